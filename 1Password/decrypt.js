@@ -0,0 +1,156 @@
+#!/usr/bin/env node
+
+/**
+ * Decrypts files written with --encrypt
+ *
+ * Prints the plaintext to stdout by default, so an encrypted intermediate
+ * can be piped into the next step without being written to disk unencrypted:
+ *
+ *   node decrypt.js converted.json.enc | node ../Proton/normalize-data.js
+ *
+ * The container format is described in lib/encryption.js.
+ */
+
+const fs = require('node:fs');
+const { PASSPHRASE_ENV, decryptText, passphraseSource } = require('../lib/encryption');
+const { LOG_LEVEL_FLAGS, createLogger } = require('../lib/logger');
+
+const log = createLogger();
+
+/**
+ * Show help information
+ */
+function showHelp() {
+    console.error(`
+Decrypt
+
+Decrypts a file written by totp-extractor.js, domain-converter.js,
+redact-sensitive.js or normalize-data.js with --encrypt, or downloaded
+encrypted from de-duplicate.html.
+
+Usage:
+  node decrypt.js [options] <input>
+
+Arguments:
+  input                     Encrypted file, or - for stdin
+
+Options:
+  --output <file>           Write the plaintext to a file instead of stdout
+  --force                   Overwrite an existing output file
+  --passphrase-file <file>  Read the passphrase from the first line of a file
+                            (default: $${PASSPHRASE_ENV}, else ask on the terminal)
+  --quiet                   Only print errors
+  --help                    Show this help message
+
+Examples:
+  node decrypt.js output.txt.enc
+  node decrypt.js converted.json.enc | node ../Proton/normalize-data.js
+  ${PASSPHRASE_ENV}=... node decrypt.js --output aegis.json aegis.json.enc
+`);
+}
+
+/**
+ * Parse command line arguments
+ * @param {string[]} args - Arguments after the script name
+ * @returns {Object} - Parsed options
+ */
+function parseArgs(args) {
+    const options = { input: null, output: null, force: false, passphraseFile: null, logLevel: 'info', help: false };
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        switch (arg) {
+            case '--help':
+            case '-h':
+                options.help = true;
+                break;
+
+            case '--output':
+                options.output = args[++i];
+                if (!options.output) {
+                    throw new Error('Option --output requires a value');
+                }
+                break;
+
+            case '--force':
+                options.force = true;
+                break;
+
+            case '--passphrase-file':
+                options.passphraseFile = args[++i];
+                if (!options.passphraseFile) {
+                    throw new Error('Option --passphrase-file requires a value');
+                }
+                break;
+
+            case '--quiet':
+                options.logLevel = LOG_LEVEL_FLAGS[arg];
+                break;
+
+            default:
+                if (arg.startsWith('-') && arg !== '-') {
+                    throw new Error(`Unknown option: ${arg}`);
+                }
+                if (options.input !== null) {
+                    throw new Error('Too many arguments');
+                }
+                options.input = arg;
+                break;
+        }
+    }
+
+    if (!options.help && !options.input) {
+        throw new Error('Input file is required (use - for stdin)');
+    }
+
+    return options;
+}
+
+async function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(error.message);
+        showHelp();
+        process.exit(1);
+    }
+
+    if (options.help) {
+        showHelp();
+        return;
+    }
+    log.setLevel(options.logLevel);
+
+    try {
+        let text;
+        if (options.input === '-') {
+            const chunks = [];
+            for await (const chunk of process.stdin) {
+                chunks.push(chunk);
+            }
+            text = Buffer.concat(chunks).toString('utf8');
+        } else {
+            text = fs.readFileSync(options.input, 'utf8');
+        }
+
+        const plaintext = decryptText(text, await passphraseSource({ passphraseFile: options.passphraseFile })());
+
+        if (options.output) {
+            fs.writeFileSync(options.output, plaintext, { flag: options.force ? 'w' : 'wx' });
+            log.info(`Decrypted ${options.input === '-' ? 'stdin' : options.input} to ${options.output}`);
+        } else {
+            process.stdout.write(plaintext);
+        }
+    } catch (error) {
+        if (error.code === 'EEXIST') {
+            error.message = `${error.path || 'Output file'} already exists; pass --force to overwrite it`;
+        }
+        log.error('Decryption failed:', error.message);
+        process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    main();
+}
@@ -1,762 +1,63 @@
 #!/usr/bin/env node
 
 const fs = require('node:fs');
+const { getRegistrableDomain, hasListedSuffix } = require('../lib/public-suffix');
+const { toUnicodeHostname, toASCIIHostname } = require('../lib/idn');
+const { BUILTIN_MAPPINGS, loadMappings } = require('../lib/mapping-packs');
+const { REPORT_FORMATS, formatReport } = require('../lib/report');
+const { LOG_LEVEL_FLAGS, createLogger } = require('../lib/logger');
+const { PASSPHRASE_ENV, isEncrypted, createEncryptor, decryptText, passphraseSource } = require('../lib/encryption');
+
+// Progress goes to stderr so stdout stays clean for piping
+const log = createLogger();
 
 /**
- * Domain to generic name mapping function
+ * Resolve the generic name for a domain title along with the rule that produced it
  * @param {string} domainTitle - The domain title to convert
- * @returns {string} - The generic name
+ * @param {Object} [mappings] - Layered mappings from loadMappings(); defaults to the built-in set
+ * @returns {{name: string, rule: string|null}} - The generic name and a description of the rule that fired
  */
-function mapDomainToGenericName(domainTitle) {
+function resolveGenericName(domainTitle, mappings = BUILTIN_MAPPINGS) {
     if (!domainTitle || typeof domainTitle !== 'string') {
-        return domainTitle;
+        return { name: domainTitle, rule: null };
     }
 
     // Remove protocol if present and trailing slashes
-    const domain = domainTitle.replace(/^https?:\/\//, '').replace(/\/+$/, '').replace(/^([^/]+).*$/, '$1');
-
-    // Individual domain mappings for exact matches
-    const exactMatches = {
-        // Security
-        'auth0.com': 'Auth0',
-        'passkeys.io': 'Passkeys',
-        'passkey.org': 'Passkey',
-
-        // Development and Programming
-        'stackoverflow.com': 'Stack Overflow',
-        'serverfault.com': 'Server Fault',
-        'superuser.com': 'Super User',
-        'codesandbox.io': 'CodeSandbox',
-        'jsfiddle.net': 'JSFiddle',
-        'plnkr.co': 'Plunker',
-        'observablehq.com': 'Observable',
-        'bl.ocks.org': 'Blocks',
-        'blockbuilder.org': 'Block Builder',
-        'jsbin.com': 'JS Bin',
-        'sqlfiddle.com': 'SQL Fiddle',
-        'dbfiddle.uk': 'DB Fiddle',
-        'dotnetfiddle.net': 'DotNet Fiddle',
-        'ideone.com': 'Ideone',
-        'paiza.io': 'Paiza.IO',
-        'repl.it': 'Repl.it',
-        'mybinder.org': 'MyBinder',
-        'wandbox.org': 'Wandbox',
-        'godbolt.org': 'Compiler Explorer',
-        'regex101.com': 'Regex101',
-        'regexr.com': 'Regexr',
-        'hackerrank.com': 'HackerRank',
-        'hackerearth.com': 'HackerEarth',
-        'codechef.com': 'CodeChef',
-        'codewars.com': 'CodeWars',
-        'topcoder.com': 'TopCoder',
-        'kattis.com': 'Kattis',
-        'spoj.com': 'SPOJ',
-        'atcoder.jp': 'AtCoder',
-        'codeforces.com': 'Codeforces',
-        'csacademy.com': 'CS Academy',
-        'lightoj.com': 'LightOJ',
-        'timus.ru': 'Timus',
-        'a2oj.com': 'A2OJ',
-        'projecteuler.net': 'Project Euler',
-        'rosalind.info': 'Rosalind',
-        'bioinformatics.org': 'Bioinformatics',
-        'databricks.com': 'Databricks',
-        'udacity.com': 'Udacity',
-        'pluralsight.com': 'Pluralsight',
-        'lynda.com': 'Lynda',
-        'skillshare.com': 'Skillshare',
-        'treehouse.com': 'Treehouse',
-        'wesbos.com': 'Wes Bos',
-        'javascript30.com': 'JavaScript30',
-        'freecodecamp.org': 'freeCodeCamp',
-        'theodinproject.com': 'The Odin Project',
-        'scrimba.com': 'Scrimba',
-        'teamtreehouse.com': 'Team Treehouse',
-        'thinkful.com': 'Thinkful',
-        'generalassemb.ly': 'General Assembly',
-        'appacademy.io': 'App Academy',
-        'flatironschool.com': 'Flatiron School',
-        'codingdojo.com': 'Coding Dojo',
-        'makersacademy.com': 'Makers Academy',
-        'devbootcamp.com': 'Dev Bootcamp',
-        'ironhack.com': 'Ironhack',
-        'lewagon.com': 'Le Wagon',
-        'microverse.org': 'Microverse',
-        'codersrank.io': 'Codersrank',
-        'hackthebox.eu': 'HackTheBox',
-        'tryhackme.com': 'TryHackMe',
-        'overthewire.org': 'OverTheWire',
-        'ctftime.org': 'CTFtime',
-        'ctflearn.com': 'CTF Learn',
-        'picoctf.org': 'PicoCTF',
-        'ctf365.com': 'CTF365',
-        'root-me.org': 'Root-Me',
-        'ctfchallenge.com': 'CTF Challenge',
-        'ctf101.org': 'CTF101',
-        'ctfzone.org': 'CTF Zone',
-        'ctf-archive.com': 'CTF Archive',
-
-        // Cloud Services
-        's3.amazonaws.com': 'Amazon S3',
-        'cloudfront.net': 'CloudFront',
-        'linode.com': 'Linode',
-        'vultr.com': 'Vultr',
-        'heroku.com': 'Heroku',
-        'vercel.com': 'Vercel',
-        'netlify.com': 'Netlify',
-        'surge.sh': 'Surge',
-        'firebase.com': 'Firebase',
-        'app.supabase.com': 'Supabase Dashboard',
-        'planetscale.com': 'PlanetScale',
-        'render.com': 'Render',
-
-        // Communication and collaboration
-        'slack.com': 'Slack',
-        'discord.gg': 'Discord',
-        'teams.microsoft.com': 'Microsoft Teams',
-        'trello.com': 'Trello',
-        'asana.com': 'Asana',
-        'jira.atlassian.com': 'Jira',
-        'confluence.atlassian.com': 'Confluence',
-
-        // Social media
-        'x.com': 'X',
-        'youtube.com': 'YouTube',
-        'pinterest.com': 'Pinterest',
-        'snapchat.com': 'Snapchat',
-        'twitch.tv': 'Twitch',
-
-        // Email services
-        'gmail.com': 'Gmail',
-        'outlook.com': 'Outlook',
-        'yahoo.com': 'Yahoo Mail',
-        'protonmail.com': 'Proton Mail',
-        'mailchimp.com': 'Mailchimp',
-
-        // Indonesian services
-        'dsg.id': 'DSG',
-        'tokopedia.com': 'Tokopedia',
-        'traveloka.com': 'Traveloka',
-        'tiket.com': 'Tiket',
-        'gojek.com': 'Gojek',
-        'grab.com': 'Grab',
-        'ovo.id': 'OVO',
-        'gopay.co.id': 'GoPay',
-        'bca.co.id': 'BCA',
-        'mandiri.co.id': 'Mandiri',
-        'bni.co.id': 'BNI',
-        'bri.co.id': 'BRI',
-
-        // Internal/admin domains
-        'admin.localhost': 'Admin',
-        'cpanel.localhost': 'cPanel',
-        'webmail.localhost': 'Webmail',
-
-        // Auth and account services
-        'auth.github.com': 'GitHub',
-        'accounts.shopify.com': 'Shopify',
-
-        // Dashboard and panel services
-        'dashboard.g2i.co': 'G2i',
-        'admin.g2i.co': 'G2i',
-        'panel.g2i.co': 'G2i',
-        'cpanel.hostinger.com': 'cPanel',
-
-        // Service-specific domains
-        'manage.auth0.com': 'Auth0',
-        'dashboard.stripe.com': 'Stripe',
-        'console.cloud.google.com': 'Google Cloud Console',
-        'portal.azure.com': 'Azure Portal',
-
-        // Add all the domains from the user's list with their corresponding clean titles
-        '1cak.com': '1CAK',
-        '500px.com': '500px',
-        '9gag.com': '9GAG',
-        'about.me': 'About',
-        'academy.bitlabs.id': 'Bitlabs',
-        'academy.mounev.com': 'Mounev',
-        'account.acer.com': 'Acer',
-        'account.asus.com': 'Asus',
-        'account.dyn.com': 'Dyn',
-        'account.envato.com': 'Envato',
-        'account.forem.com': 'Forem',
-        'account.gandi.net': 'Gandi',
-        'account.hoyoverse.com': 'Hoyoverse',
-        'account.jetbrains.com': 'JetBrains',
-        'account.kemnaker.go.id': 'Kemnaker',
-        'account.mekari.com': 'Mekari',
-        'account.midtrans.com': 'Midtrans',
-        'account.mihoyo.com': 'Mihoyo',
-        'account.mongodb.com': 'MongoDB',
-        'account.netmaker.io': 'Netmaker',
-        'account.proton.me': 'Proton',
-        'account.riotgames.com': 'Riotgames',
-        'account.shodan.io': 'Shodan',
-        'account.xiaomi.com': 'Xiaomi',
-        'accounts.axure.com': 'Axure',
-        'accounts.bhinneka.com': 'Bhinneka',
-        'accounts.binance.com': 'Binance',
-        'accounts.codeguide.dev': 'Codeguide',
-        'accounts.crowdin.com': 'Crowdin',
-        'accounts.google.com': 'Google',
-        'accounts.hetzner.com': 'Hetzner',
-        'accounts.nintendo.com': 'Nintendo',
-        'accounts.openrouter.ai': 'OpenRouter',
-        'accounts.paradoxplaza.com': 'Paradox',
-        'accounts.pubg.com': 'PUBG',
-        'accounts.sanity.io': 'Sanity',
-        'accounts.thingiverse.com': 'Thingiverse',
-        'accounts.zerotier.com': 'ZeroTier',
-        'accounts.zoho.com': 'Zoho',
-        'adm.nadi.co.id': 'Nadi',
-        'admin.freestyle.sh': 'Freestyle',
-        'adobe.com': 'Adobe',
-        'airbnb.co.id': 'Airbnb',
-        'ais2020.id': 'AIS',
-        'akses.ksei.co.id': 'KSEI',
-        'alfagift.id': 'Alfagift',
-        'alhikmah.mikhmon.cc': 'Alhikmah',
-        'alin.mikhmon.me': 'Alin',
-        'almanac.io': 'Almanac',
-        'amazon.com': 'Amazon',
-        'anaconda.org': 'Anaconda',
-        'angel.co': 'AngelList',
-        'anthropic.com': 'Anthropic',
-        'antivirus-original.id': 'Antivirus Original',
-        'apidog.com': 'Apidog',
-        'app.anonaddy.com': 'AnonAddy',
-        'app.benji.so': 'Benji',
-        'app.bitly.com': 'Bitly',
-        'app.bitrise.io': 'Bitrise',
-        'app.box.com': 'Box',
-        'app.clickup.com': 'ClickUp',
-        'app.cloudcraft.co': 'Cloudcraft',
-        'app.daily.dev': 'Daily',
-        'app.element.io': 'Element',
-        'app.esign.mekari.com': 'Mekari',
-        'app.flagsmith.com': 'Flagsmith',
-        'app.gitkraken.com': 'Gitkraken',
-        'app.glitchtip.com': 'Glitchtip',
-        'app.highlight.io': 'Highlight',
-        'app.insomnia.rest': 'Insomnia',
-        'app.koofr.net': 'Koofr',
-        'app.link.com': 'Link',
-        'app.netlify.com': 'Netlify',
-        'app.onesignal.com': 'OneSignal',
-        'app.originality.ai': 'Originality',
-        'app.outlier.ai': 'Outlier',
-        'app.plex.tv': 'Plex',
-        'app.pluralsight.com': 'Pluralsight',
-        'app.requestly.io': 'Requestly',
-        'app.ritapersonaldata.com': 'Ritapersonaldata',
-        'app.simplelogin.io': 'SimpleLogin',
-        'app.teleprompter.com': 'Teleprompter',
-        'app.usebraintrust.com': 'Braintrust',
-        'app.zerossl.com': 'ZeroSSL',
-        'apple.com': 'Apple',
-        'apply.appledeveloperacademy.uc.ac.id': 'ADC UC',
-        'arc.net': 'Arc',
-        'arstechnica.com': 'Arstechnica',
-        'artstation.com': 'ArtStation',
-        'asia.wargaming.net': 'Wargaming',
-        'asiv4.smartplatform.asia': 'ASIV4',
-        'ask.fm': 'Ask.Fm',
-        'auth.adguard.com': 'Adguard',
-        'auth.docker.com': 'Docker',
-        'auth.hostinger.com': 'Hostinger',
-        'auth.mistral.ai': 'Mistral',
-        'auth.nx.app': 'Nx',
-        'auth0.openai.com': 'OpenAI',
-        'authenticator.cursor.sh': 'Cursor',
-        'aws.amazon.com': 'AWS',
-        'azure.microsoft.com': 'Azure',
-        'behance.net': 'Behance',
-        'bilibili.tv': 'Bilibili',
-        'bitbucket.org': 'Bitbucket',
-        'bitly.com': 'Bitly',
-        'blockchain.com': 'Blockchain',
-        'bluehost.com': 'Bluehost',
-        'booking.com': 'Booking',
-        'brainly.co.id': 'Brainly',
-        'builder.io': 'Builder',
-        'bukalapak.com': 'Bukalapak',
-        'canva.com': 'Canva',
-        'capital.com': 'Capital',
-        'chat.deepseek.com': 'DeepSeek',
-        'chrome.com': 'Chrome',
-        'classroom.google.com': 'Google Classroom',
-        'clickup.com': 'ClickUp',
-        'clockify.me': 'Clockify',
-        'cloud.digitalocean.com': 'DigitalOcean',
-        'cloudflare.com': 'Cloudflare',
-        'codeberg.org': 'Codeberg',
-        'codecademy.com': 'CodeCademy',
-        'codepen.io': 'CodePen',
-        'codepolitan.com': 'Codepolitan',
-        'coinbase.com': 'Coinbase',
-        'coinmarketcap.com': 'Coinmarketcap',
-        'coinone.co.id': 'CoinOne',
-        'colab.research.google.com': 'Google Colab',
-        'console.aws.amazon.com': 'AWS Console',
-        'console.firebase.google.com': 'Firebase Console',
-        'console.passage.id': 'Passage',
-        'coursera.org': 'Coursera',
-        'cpanel.chalidana.com': 'cPanel',
-        'craft.do': 'Craft',
-        'crowdin.com': 'Crowdin',
-        'dashboard.render.com': 'Render',
-        'dashboard.spun.global': 'Spun',
-        'datacamp.com': 'Datacamp',
-        'dealls.com': 'Dealls',
-        'deepnote.com': 'Deepnote',
-        'dev.to': 'Dev',
-        'devpost.com': 'Devpost',
-        'dicoding.com': 'Dicoding',
-        'digitalocean.com': 'DigitalOcean',
-        'directus.cloud': 'Directus',
-        'discord.com': 'Discord',
-        'docker.com': 'Docker',
-        'dotenv.org': 'Dotenv',
-        'driver-sea.taxsee.com': 'Taxsee',
-        'dribbble.com': 'Dribbble',
-        'dropbox.com': 'Dropbox',
-        'ebay.com': 'eBay',
-        'edu.hsi.id': 'HSI',
-        'efss.qloud.my': 'Qloud',
-        'egghead.io': 'egghead',
-        'emailnotif.kai.id': 'KAI',
-        'en.wikipedia.org': 'Wikipedia',
-        'eu1.dashboard.clevertap.com': 'CleverTap',
-        'evaluasi.grupislamsunnah.com': 'Grup Islam Sunnah',
-        'exacoat.com': 'Exacoat',
-        'exercism.org': 'Exercism',
-        'expo.dev': 'Expo',
-        'expo.muktamar48.id': 'Muktamar48',
-        'facebook.com': 'Facebook',
-        'feedly.com': 'Feedly',
-        'fig.io': 'Fig',
-        'figma.com': 'Figma',
-        'firecrawl.dev': 'Firecrawl',
-        'fireship.io': 'Fireship',
-        'flip.id': 'Flip',
-        'fly.io': 'Fly',
-        'foodlama-workspace.slack.com': 'FoodLama',
-        'forum.xda-developers.com': 'XDA',
-        'forums.macrumors.com': 'Macrumors',
-        'frollo.us': 'Frollo',
-        'frontendmasters.com': 'Frontend Masters',
-        'fuzuyx.mycozy.cloud': 'Cozy',
-        'geekle.us': 'Geekle',
-        'genshin.chiya.dev': 'Chiya',
-        'get.tech': 'GetTech',
-        'getpocket.com': 'Pocket',
-        'giphy.com': 'Giphy',
-        'github.com': 'GitHub',
-        'gitlab.com': 'GitLab',
-        'gitlab.customs.go.id': 'GitLab',
-        'glints.com': 'Glints',
-        'glitch.com': 'Glitch',
-        'google.com': 'Google',
-        'gptinf.com': 'GPTInf',
-        'grammarly.com': 'Grammarly',
-        'gsmarena.com': 'GSMArena',
-        'gumroad.com': 'Gumroad',
-        'habitica.com': 'Habitica',
-        'hashnode.com': 'Hashnode',
-        'himalayas.app': 'Himalayas',
-        'hootsuite.com': 'Hootsuite',
-        'hopin.com': 'Hopin',
-        'hpanel.hostinger.com': 'Hostinger',
-        'hub.flexibits.com': 'Flexibits',
-        'huggingface.co': 'Hugging Face',
-        'ibank.klikbcasyariah.com': 'KlikBCA',
-        'ibm.com': 'IBM',
-        'ibox.co.id': 'iBox',
-        'icons8.com': 'Icons8',
-        'id.aliexpress.com': 'Aliexpress',
-        'id.atlassian.com': 'Atlassian',
-        'id.bisnis.com': 'Bisnis',
-        'id.docker.com': 'Docker',
-        'id.freepikcompany.com': 'Freepik',
-        'id.getmailspring.com': 'Getmailspring',
-        'id.hellosehat.com': 'Hellosehat',
-        'id.logi.com': 'Logi',
-        'id.pinterest.com': 'Pinterest',
-        'id.sonyentertainmentnetwork.com': 'Sony',
-        'id.unity.com': 'Unity',
-        'id.wikihow.com': 'WikiHow',
-        'identity.flickr.com': 'Flickr',
-        'ifttt.com': 'IFTTT',
-        'imgur.com': 'Imgur',
-        'indodax.com': 'Indodax',
-        'insomnia.rest': 'Insomnia',
-        'instagram.com': 'Instagram',
-        'internal.dsg.id': 'Internal',
-        'international.bittrex.com': 'Bittrex',
-        'ipinfo.io': 'Ipinfo',
-        'iq.com': 'iQiyi',
-        'itemku.com': 'Itemku',
-        'ithb-pmb.harukaedu.com': 'Harukaedu',
-        'jago.com': 'Jago',
-        'jagoan.cloud': 'Jagoan',
-        'jira.beacukai.go.id': 'Jira',
-        'kaggle.com': 'Kaggle',
-        'kagi.com': 'Kagi',
-        'keybase.io': 'Keybase',
-        'kitabisa.com': 'KitaBisa',
-        'klikindomaret.com': 'Indomaret',
-        'kumparan.com': 'Kumparan',
-        'lazismu.org': 'Lazismu',
-        'learn.deeplearning.ai': 'Deeplearning',
-        'leetcode.com': 'Leetcode',
-        'lifeafter.neteasegamer.com': 'NetEase',
-        'line.me': 'Line',
-        'linebank.co.id': 'LINE Bank',
-        'linkedin.com': 'LinkedIn',
-        'linustechtips.com': 'Linustechtips',
-        'live.com': 'Microsoft',
-        'login.aol.com': 'AOL',
-        'login.blockchain.com': 'Blockchain',
-        'login.circle.so': 'Circle',
-        'login.coinbase.com': 'Coinbase',
-        'login.gaijin.net': 'Gaijin',
-        'login.gearbest.com': 'Gearbest',
-        'login.gog.com': 'GOG',
-        'login.iis.net': 'IIS',
-        'login.linode.com': 'Linode',
-        'login.microsoftonline.com': 'Microsoft',
-        'login.okta.com': 'Okta',
-        'login.teamviewer.com': 'TeamViewer',
-        'login.yahoo.com': 'Yahoo',
-        'loom.com': 'Loom',
-        'lottiefiles.com': 'Lottiefiles',
-        'lwn.net': 'LWN',
-        'm.cinepolis.co.id': 'Cinepolis',
-        'mamikos.com': 'Mamikos',
-        'mapgenie.io': 'Mapgenie',
-        'masaj.id': 'Masaj',
-        'mediakonsumen.com': 'Mediakonsumen',
-        'medium.com': 'Medium',
-        'mega.nz': 'Mega',
-        'member.blanja.com': 'Blanja',
-        'member.citilink.co.id': 'Citilink',
-        'member.hide.me': 'Hide',
-        'member.indowebsite.com': 'Indowebsite',
-        'member.jagoanhosting.com': 'Jagoan Hosting',
-        'member.lazada.co.id': 'Lazada',
-        'member.tunnel.id': 'Tunnel',
-        'merchant.gudangvoucher.com': 'Gudang Voucher',
-        'mixer.com': 'Mixer',
-        'monday.com': 'Monday.com',
-        'monect.com': 'Monect',
-        'moneylover.me': 'MoneyLover',
-        'mozilla.org': 'Mozilla',
-        'my.1password.com': '1Password',
-        'my.mlh.io': 'MLH',
-        'my.nextdns.io': 'NextDNS',
-        'my.surfshark.com': 'Surfshark',
-        'my.tabnine.com': 'Tabnine',
-        'myid.canon': 'Canon',
-        'myih.telkom.co.id': 'Indihome',
-        'myjobstreet.jobstreet.com': 'Jobstreet',
-        'new.edmodo.com': 'Edmodo',
-        'news.ycombinator.com': 'HackerNews',
-        'noip.com': 'No-IP',
-        'notion.so': 'Notion',
-        'nu-tech.id': 'Nutech',
-        'observability.nadi.co.id': 'Nadi',
-        'office.com': 'Microsoft Office',
-        'ollama.com': 'Ollama',
-        'onboarding.sendinblue.com': 'Sendinblue',
-        'opennote.me': 'OpenNote',
-        'openrouter.ai': 'OpenRouter',
-        'openwebui.com': 'OpenWebUI',
-        'operationcode.org': 'Operationcode',
-        'oracle.com': 'Oracle',
-        'orcid.org': 'Orcid',
-        'osdn.net': 'Osdn',
-        'oyorooms.com': 'Oyo',
-        'p-store.net': 'PStore',
-        'passport.alibaba.com': 'Alibaba',
-        'passport.alibabacloud.com': 'Alibaba Cloud',
-        'passport.twitch.tv': 'Twitch',
-        'passport.yandex.com': 'Yandex',
-        'payloadcms.com': 'Payload',
-        'perpustakaan.jakarta.go.id': 'Jakarta',
-        'php.id': 'PHP',
-        'pkwifi.mahavikri.net': 'PKWiFi',
-        'platform.deepseek.com': 'DeepSeek',
-        'pln.co.id': 'PLN Mobile',
-        'portal.biznetgio.com': 'Biznet',
-        'postman.co': 'Postman',
-        'prismlive.com': 'PRISM Live',
-        'privateemail.com': 'PrivateEmail',
-        'profile.codersrank.io': 'Codersrank',
-        'profreehost.com': 'ProFreeHost',
-        'projects.360solusiteknologi.co.id': 'Projects',
-        'projects.animaapp.com': 'Animaapp',
-        'projects.co.id': 'Projects',
-        'quora.com': 'Quora',
-        'raidforums.com': 'RaidForums',
-        'railway.app': 'Railway',
-        'rainbow.me': 'Rainbow',
-        'rapidapi.com': 'Rapidapi',
-        'raycast.com': 'Raycast',
-        'raywenderlich.auth0.com': 'Raywenderlich',
-        'realvnc.com': 'RealVNC',
-        'reddit.com': 'Reddit',
-        'relocate.me': 'Relocate',
-        'remotasks.zendesk.com': 'Remotasks',
-        'remoteworker.id': 'Remoteworker',
-        'replit.com': 'Replit',
-        'resend.com': 'Resend',
-        'resocoder.com': 'Resocoder',
-        'retroachievements.org': 'RetroAchievements',
-        'rive.app': 'Rive',
-        'robinhood.com': 'Robinhood',
-        'rumahweb.com': 'Rumahweb',
-        'run.qwiklabs.com': 'Qwiklabs',
-        'same.dev': 'Same',
-        'samsatdigital.id': 'SignalPolri',
-        'samsung.com': 'Samsung',
-        'sandbox.doku.com': 'Doku',
-        'scrapybara.com': 'Scrapybara',
-        'secure.devpost.com': 'Devpost',
-        'secure.meetup.com': 'MeetUp',
-        'secure.soundcloud.com': 'Soundcloud',
-        'secure.tesco.com': 'Tesco',
-        'sendpulse.com': 'Sendpulse',
-        'sensus.bps.go.id': 'BPS',
-        'shopee.co.id': 'Shopee',
-        'sicepat.com': 'SiCepat',
-        'signin.ea.com': 'EA',
-        'signin.rockstargames.com': 'Rockstar',
-        'signon.ghostery.com': 'Ghostery',
-        'signup.cloud.oracle.com': 'Oracle Cloud',
-        'signup.hulu.com': 'Hulu',
-        'simkah4.kemenag.go.id': 'Kemenag',
-        'skills.pintar.co': 'Pintar',
-        'smartfren.com': 'Smartfren',
-        'soundiiz.com': 'Soundiiz',
-        'soundpeats.com': 'SoundPEATS',
-        'sourceforge.net': 'SourceForge',
-        'spaceship.com': 'Spaceship',
-        'spacetoongo.com': 'Spacetoon Go',
-        'spacetoongo.sentry.io': 'Sentry',
-        'spacetoongo.slack.com': 'Slack',
-        'speedtest.net': 'Speedtest',
-        'spoonacular.com': 'Spoonacular',
-        'spotify.com': 'Spotify',
-        'sso.crunchyroll.com': 'Crunchyroll',
-        'sso.garena.com': 'Garena',
-        'sso.pintaria.com': 'Pintaria',
-        'sso.teachable.com': 'Teachable',
-        'stackblitz.com': 'StackBlitz',
-        'stackexchange.com': 'Stack Exchange',
-        'staging-api-ydsf.dsg.id': 'Staging API',
-        'station-prod.eu.auth0.com': 'Station',
-        'steampowered.com': 'Steam',
-        'stockbit.com': 'Stockbit',
-        'substack.com': 'Substack',
-        'supabase.com': 'Supabase',
-        'supermaven.com': 'Supermaven',
-        'support.dsg.id': 'Support',
-        'survey.stateofjs.com': 'Stateofjs',
-        'tailscale.com': 'Tailscale',
-        'talent.skilledd.com': 'Skilledd',
-        'tavily.us.auth0.com': 'Tavily',
-        'telegram.org': 'Telegram',
-        'telkomselcm.telkomsel.com': 'Telkomsel',
-        'tencentcloud.com': 'Tencent',
-        'termius.com': 'Termius',
-        'the-mug-store.infra-43f.workers.dev': 'Mugstore',
-        'themebeta.com': 'ThemeBeta',
-        'thunderclient.com': 'ThunderClient',
-        'tiktok.com': 'TikTok',
-        'tldr.tech': 'TLDR',
-        'toggl.com': 'Toggl',
-        'trae.ai': 'Trae',
-        'tunnel.hostddns.us': 'FreeDNS',
-        'tunnel.id': 'Tunnel',
-        'tuta.com': 'Tutanota',
-        'twitter.com': 'Twitter',
-        'ubisoft.com': 'Ubisoft',
-        'udemy.com': 'Udemy',
-        'uniportal.huawei.com': 'Huawei',
-        'unsplash.com': 'Unsplash',
-        'upwork.com': 'Upwork',
-        'us.battle.net': 'Battle',
-        'user.kata.ai': 'Kata',
-        'vimeo.com': 'Vimeo',
-        'vk.com': 'VK',
-        'wayscript.com': 'Wayscript',
-        'web.aeonfree.com': 'AeonFree',
-        'web.mobills.com.br': 'Mobills',
-        'web.telegram.org': 'Telegram Web',
-        'webauthn.io': 'Webauthn',
-        'welcome2.wifi.id': 'WiFi.id',
-        'whimsical.com': 'Whimsical',
-        'wikimedia.org': 'Wikimedia',
-        'windsurf.com': 'Windsurf',
-        'wiretrustee.eu.auth0.com': 'WireTrustee',
-        'wise.com': 'Wise',
-        'wms.wifi.id': 'WMS',
-        'wordpress.com': 'WordPress',
-        'workos.com': 'WorkOS',
-        'www.academia.edu': 'Academia',
-        'www.agoda.com': 'Agoda',
-        'www.alienwarearena.com': 'Alienwarearena',
-        'www.any.do': 'Any',
-        'www.artstation.com': 'ArtStation',
-        'www.asda.com': 'Asda',
-        'www.aukey.com': 'Aukey',
-        'www.awwwards.com': 'Awwwards',
-        'www.bima.tri.co.id': 'Tri',
-        'www.blibli.com': 'Blibli',
-        'www.bookmarks.dev': 'Bookmarks',
-        'www.bukalapak.com': 'Bukalapak',
-        'www.cakeresume.com': 'Cakeresume',
-        'www.centered.app': 'Centered',
-        'www.change.org': 'Change',
-        'www.classcentral.com': 'Classcentral',
-        'www.cocreate.id': 'CoCreate',
-        'www.codashop.com': 'Codashop',
-        'www.codecademy.com': 'CodeCademy',
-        'www.codepolitan.com': 'Codepolitan',
-        'www.coursera.org': 'Coursera',
-        'www.crazydomains.id': 'Crazydomains',
-        'www.datacamp.com': 'Datacamp',
-        'www.deviantart.com': 'DevianArt',
-        'www.dropbox.com': 'Dropbox',
-        'www.educative.io': 'Educative',
-        'www.epicgames.com': 'Epic',
-        'www.eventbrite.com': 'Eventbrite',
-        'www.evernote.com': 'Evernote',
-        'www.facebook.com': 'Facebook',
-        'www.fandom.com': 'Fandom',
-        'www.fiverr.com': 'Fiverr',
-        'www.fotor.com': 'Fotor',
-        'www.genymotion.com': 'Genymotion',
-        'www.glassdoor.com': 'Glassdoor',
-        'www.glazestock.com': 'GlazeStock',
-        'www.goersapp.com': 'Goers',
-        'www.goodreads.com': 'Goodreads',
-        'www.grammarly.com': 'Grammarly',
-        'www.hackerrank.com': 'HackerRank',
-        'www.humblebundle.com': 'Humblebundle',
-        'www.ign.com': 'Ign',
-        'www.imdb.com': 'IMDB',
-        'www.joinhoney.com': 'Honey',
-        'www.kalibrr.com': 'Kalibrr',
-        'www.karir.com': 'Karir',
-        'www.kaskus.co.id': 'Kaskus',
-        'www.kickstarter.com': 'Kickstarter',
-        'www.kraken.com': 'Kraken',
-        'www.kredibel.co.id': 'Kredibel',
-        'www.last.fm': 'Last.fm',
-        'www.launchgood.com': 'LaunchGood',
-        'www.locofy.ai': 'Locofy',
-        'www.loom.com': 'Loom',
-        'www.mail.com': 'Mail',
-        'www.mediafire.com': 'Mediafire',
-        'www.michaelpage.co.id': 'Michael Page',
-        'www.multcloud.com': 'Multcloud',
-        'www.namecheap.com': 'Namecheap',
-        'www.netflix.com': 'Netflix',
-        'www.npmjs.com': 'Npmjs',
-        'www.olx.co.id': 'OLX',
-        'www.openstreetmap.org': 'OpenStreetMap',
-        'www.patreon.com': 'Patreon',
-        'www.paypal.com': 'PayPal',
-        'www.phind.com': 'Phind',
-        'www.reddit.com': 'Reddit',
-        'www.rescuetime.com': 'RescueTime',
-        'www.salamdakwah.com': 'SalamDakwah',
-        'www.sepulsa.com': 'SePulsa',
-        'www.shopback.co.id': 'ShopBack',
-        'www.skyscanner.co.id': 'Skyscanner',
-        'www.techinasia.com': 'TechInAsia',
-        'www.ted.com': 'Ted',
-        'www.template.net': 'Template',
-        'www.tenforums.com': 'TenForums',
-        'www.tiket.com': 'Tiket',
-        'www.tokopedia.com': 'Tokopedia',
-        'www.toptal.com': 'Toptal',
-        'www.totaltypescript.com': 'Total TypeScript',
-        'www.traveloka.com': 'Traveloka',
-        'www.tumblr.com': 'Tumblr',
-        'www.tvtime.com': 'Tvtime',
-        'www.twilio.com': 'Twilio',
-        'www.typing.com': 'Typing',
-        'www.typingclub.com': 'Typingclub',
-        'www.upwork.com': 'Upwork',
-        'www.ushubtv.com': 'UsHub',
-        'www.vidio.com': 'Vidio',
-        'www.virustotal.com': 'VirusTotal',
-        'www.vultr.com': 'Vultr',
-        'www.wattpad.com': 'Wattpad',
-        'www.worldoftrucks.com': 'Worldoftrucks',
-        'www.zenhr.com': 'ZenHR',
-        'yaqeeninstitute.org': 'Yaqeen Institute',
-        'zapier.com': 'Zapier',
-        'zona.mikhmon.me': 'Zona',
-        'zoom.us': 'Zoom'
-    };
+    const domain = domainTitle.trim().replace(/^https?:\/\//, '').replace(/\/+$/, '').replace(/^([^/]+).*$/, '$1');
+
+    // Titles with spaces are names, not domains ("Work GitHub", "Google (me@example.com)")
+    if (/\s/.test(domain)) {
+        return { name: domainTitle, rule: null };
+    }
+
+    const { exactMatches, exactSources = {}, patterns, skipPrefixes } = mappings;
+
+    // Look up internationalized domains in both forms, and name them in Unicode
+    const unicodeDomain = toUnicodeHostname(domain);
+    const asciiDomain = toASCIIHostname(domain);
 
-    if (exactMatches[domain]) {
-        return exactMatches[domain];
+    const domainKey = unicodeDomain.toLowerCase();
+    if (Object.hasOwn(exactMatches, domainKey)) {
+        return { name: exactMatches[domainKey], rule: `exact ${domainKey} (${exactSources[domainKey] || 'built-in'})` };
     }
 
     // Fallback to pattern-based matching for unknown domains
-    const patterns = [
-        // Internal/admin patterns
-        { pattern: /^internal\.(.*)$/, replacement: 'Internal' },
-        { pattern: /^admin\.(.*)$/, replacement: 'Admin' },
-        { pattern: /^cpanel\.(.*)$/, replacement: 'cPanel' },
-        { pattern: /^webmail\.(.*)$/, replacement: 'Webmail' },
-        { pattern: /^panel\.(.*)$/, replacement: 'Panel' },
-        { pattern: /^dashboard\.(.*)$/, replacement: 'Dashboard' },
-
-        // Auth/service subdomains
-        { pattern: /^auth\.(.*)$/, replacement: '$1', transform: 'capitalize' },
-        { pattern: /^accounts\.(.*)$/, replacement: '$1', transform: 'capitalize' },
-        { pattern: /^login\.(.*)$/, replacement: '$1', transform: 'capitalize' },
-        { pattern: /^signin\.(.*)$/, replacement: '$1', transform: 'capitalize' },
-        { pattern: /^app\.([a-zA-Z0-9-]+)\.com$/, replacement: '$1', transform: 'capitalize' },
-
-        // Service-specific patterns
-        { pattern: /^(.*\.)?hpanel\.hostinger\.com$/, replacement: 'Hostinger' },
-        { pattern: /^(.*\.)?cpanel\.(.*)$/, replacement: 'cPanel' },
-        { pattern: /^(.*\.)?plesk\.(.*)$/, replacement: 'Plesk' },
-
-        // Common service patterns
-        { pattern: /^(.*\.)?github\.com$/, replacement: 'GitHub' },
-        { pattern: /^(.*\.)?gitlab\.com$/, replacement: 'GitLab' },
-        { pattern: /^(.*\.)?bitbucket\.org$/, replacement: 'Bitbucket' },
-        { pattern: /^(.*\.)?stackoverflow\.com$/, replacement: 'Stack Overflow' },
-        { pattern: /^(.*\.)?notion\.so$/, replacement: 'Notion' },
-        { pattern: /^(.*\.)?figma\.com$/, replacement: 'Figma' },
-        { pattern: /^(.*\.)?canva\.com$/, replacement: 'Canva' },
-
-        // WWW subdomain removal
-        { pattern: /^www\.(.*)$/, replacement: '$1' },
-
-        // Development environment patterns
-        { pattern: /^(.*\.)?localhost$/, replacement: 'Localhost' },
-        { pattern: /^(.*\.)?local$/, replacement: 'Local' },
-        { pattern: /^(.*\.)?dev\.(.*)$/, replacement: 'Dev' },
-        { pattern: /^(.*\.)?staging\.(.*)$/, replacement: 'Staging' },
-        { pattern: /^(.*\.)?test\.(.*)$/, replacement: 'Test' }
-    ];
-
-    for (const { pattern, replacement, transform } of patterns) {
-        const match = domain.match(pattern);
+    for (const { pattern, replacement, transform, source } of patterns) {
+        const match = unicodeDomain.match(pattern) || asciiDomain.match(pattern);
         if (match) {
+            const patternRule = `pattern ${pattern} (${source || 'built-in'})`;
+
+            // A "$1" that captured a whole domain ("www.bank.co.uk" gives "bank.co.uk") is named like that domain
+            if (replacement === '$1' && match[1]?.includes('.') && hasListedSuffix(match[1])) {
+                const inner = resolveGenericName(match[1], mappings);
+                return { name: inner.name, rule: inner.rule ? `${patternRule}; ${inner.rule}` : patternRule };
+            }
+
             let result = replacement;
 
             // Handle replacement variables
             if (replacement.includes('$1')) {
-                result = replacement.replace('$1', match[1] || '');
+                result = replacement.replace('$1', toUnicodeHostname(match[1] || ''));
             }
 
             // Apply transformations
@@ -764,62 +65,516 @@ function mapDomainToGenericName(domainTitle) {
                 result = result.charAt(0).toUpperCase() + result.slice(1);
             }
 
-            return result;
+            return { name: result, rule: patternRule };
         }
     }
 
-    // Default: Extract and capitalize the main domain or subdomain
-    const parts = domain.split('.');
+    // Default: Name the item after the registrable domain (eTLD+1), so bank.co.uk gives "Bank" not "Co"
+    const registrableDomain = getRegistrableDomain(unicodeDomain);
+    if (registrableDomain) {
+        // Take the label from the title itself so its casing ("MyBank.com") survives
+        const labels = unicodeDomain.replace(/:\d+$/, '').replace(/\.+$/, '').split('.');
+        const label = labels[labels.length - registrableDomain.split('.').length];
+        return { name: label.charAt(0).toUpperCase() + label.slice(1), rule: `registrable domain ${registrableDomain}` };
+    }
+
+    // No registrable domain (IPs, single labels, bare suffixes): extract the first meaningful label
+    const parts = unicodeDomain.split('.');
     if (parts.length > 0) {
         const firstPart = parts[0];
 
         // Skip common prefixes that don't add meaning
-        const skipPrefixes = ['www', 'app', 'api', 'admin', 'cpanel', 'webmail', 'mail', 'email'];
         if (!skipPrefixes.includes(firstPart.toLowerCase()) && firstPart.length > 0) {
-            return firstPart.charAt(0).toUpperCase() + firstPart.slice(1);
+            return { name: firstPart.charAt(0).toUpperCase() + firstPart.slice(1), rule: 'first label' };
         }
 
         // If first part is a skip prefix, try the second part
         if (parts.length > 1) {
             const secondPart = parts[1];
             if (secondPart && secondPart.length > 0) {
-                return secondPart.charAt(0).toUpperCase() + secondPart.slice(1);
+                return { name: secondPart.charAt(0).toUpperCase() + secondPart.slice(1), rule: `label after skip prefix "${firstPart}"` };
             }
         }
     }
 
     // Ultimate fallback: return the original domain
-    return domain;
+    return { name: unicodeDomain, rule: 'unchanged domain' };
+}
+
+/**
+ * Domain to generic name mapping function
+ * @param {string} domainTitle - The domain title to convert
+ * @param {Object} [mappings] - Layered mappings from loadMappings(); defaults to the built-in set
+ * @returns {string} - The generic name
+ */
+function mapDomainToGenericName(domainTitle, mappings = BUILTIN_MAPPINGS) {
+    return resolveGenericName(domainTitle, mappings).name;
+}
+
+/**
+ * Check whether a title is a bare domain or URL rather than a hand-written name
+ * @param {string} title - The item title
+ * @returns {boolean} - True for titles like "github.com" or "https://x.example.org/login"
+ */
+function isDomainTitle(title) {
+    if (typeof title !== 'string') {
+        return false;
+    }
+
+    const value = title.trim();
+    if (/^https?:\/\/\S+$/i.test(value)) {
+        return true;
+    }
+
+    const host = value.replace(/\/.*$/, '');
+    if (!/^[\p{L}\p{N}-]+(\.[\p{L}\p{N}-]+)+(:\d+)?$/u.test(host)) {
+        return false;
+    }
+
+    // Dotted words such as "Node.js" only count when they end in a real suffix
+    return hasListedSuffix(host) || /^\d{1,3}(\.\d{1,3}){3}(:\d+)?$/.test(host) || /\.localhost(:\d+)?$/i.test(host);
 }
 
 // Export the function for use in other modules
 module.exports = {
-    mapDomainToGenericName
+    mapDomainToGenericName,
+    resolveGenericName,
+    isDomainTitle,
+    isPlaceholderTitle,
+    getPrimaryUrl,
+    loadMappings,
+    processObject,
+    processProtonData,
+    convertData,
+    disambiguateCollisions,
+    resolveCategory,
+    learnMappings,
+    buildLearnedPack,
+    detectFormat
 };
 
+// Titles that carry no information and should be replaced when a URL is available
+const PLACEHOLDER_TITLES = [
+    '', 'login', 'log in', 'sign in', 'signin', 'untitled', 'untitled login', 'untitled item',
+    'new login', 'new item', 'item', 'website', 'password', 'account'
+];
+
+/**
+ * Check whether a title is missing or a generic placeholder such as "Login" or "Untitled"
+ * @param {string} title - The item title
+ * @returns {boolean} - True if the title can be replaced freely
+ */
+function isPlaceholderTitle(title) {
+    return title === undefined || title === null || (typeof title === 'string' && PLACEHOLDER_TITLES.includes(title.trim().toLowerCase()));
+}
+
+/**
+ * Pick the primary URL of an item
+ *
+ * 1PUX items keep it in overview.url, with overview.urls[] entries of the form
+ * { label, url } (optionally flagged primary); Proton items only have a list of
+ * URL strings, the first of which is primary.
+ *
+ * @param {{url?: string, urls?: Array<string|Object>}} source - An overview or content object
+ * @returns {string|null} - The primary URL, or null if the item has none
+ */
+function getPrimaryUrl(source) {
+    if (!source || typeof source !== 'object') {
+        return null;
+    }
+    if (typeof source.url === 'string' && source.url.trim()) {
+        return source.url.trim();
+    }
+
+    const entries = (Array.isArray(source.urls) ? source.urls : [])
+        .map(entry => (typeof entry === 'string' ? { url: entry } : entry))
+        .filter(entry => entry && typeof entry.url === 'string' && entry.url.trim());
+    const primary = entries.find(entry => entry.primary) || entries[0];
+
+    return primary ? primary.url.trim() : null;
+}
+
+/**
+ * Extract the hostname from a URL, tolerating a missing scheme
+ * @param {string} url - The URL
+ * @returns {string} - The hostname, or the input if it cannot be parsed
+ */
+function hostFromUrl(url) {
+    try {
+        return new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(url) ? url : `https://${url}`).hostname;
+    } catch {
+        return url;
+    }
+}
+
+// Query parameters added by ad and mail campaign trackers
+const TRACKING_PARAMS = [
+    /^utm_/i,
+    /^(fbclid|gclid|gclsrc|dclid|msclkid|yclid|twclid|igshid|mc_cid|mc_eid|_ga|_gl|mkt_tok|_hsenc|_hsmi|oly_anon_id|oly_enc_id|vero_id|wickedid|ref_src)$/i
+];
+
+/**
+ * Check whether http:// URLs on a host should be upgraded to https://
+ *
+ * "all" upgrades every host on a public suffix, leaving localhost, IPs and
+ * internal names alone; a domain list upgrades those domains and their
+ * subdomains. URLs with an explicit port are never upgraded.
+ *
+ * @param {URL} parsed - The parsed URL
+ * @param {boolean|string[]} upgradeHttps - true for all hosts, or a list of domains
+ * @returns {boolean} - True if the URL should be upgraded
+ */
+function shouldUpgradeToHttps(parsed, upgradeHttps) {
+    if (!upgradeHttps || parsed.protocol !== 'http:' || parsed.port) {
+        return false;
+    }
+
+    const host = toUnicodeHostname(parsed.hostname).toLowerCase();
+    if (upgradeHttps === true) {
+        return hasListedSuffix(host);
+    }
+    return upgradeHttps.some(domain => host === domain || host.endsWith(`.${domain}`));
+}
+
+/**
+ * Clean a single URL: upgrade to https where configured, strip tracking parameters and fragments
+ *
+ * Edits are made on the original text so URLs keep their formatting. Only
+ * http(s) URLs are touched, and hash routes such as "#/login" are kept.
+ *
+ * @param {string} url - The URL
+ * @param {Object} [options] - Conversion options (upgradeHttps)
+ * @returns {{url: string, actions: string[]}} - The cleaned URL and what was done to it
+ */
+function cleanUrl(url, options = {}) {
+    let parsed;
+    try {
+        parsed = new URL(url.trim());
+    } catch {
+        return { url, actions: [] };
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+        return { url, actions: [] };
+    }
+
+    const actions = [];
+    let cleaned = url.trim();
+
+    if (shouldUpgradeToHttps(parsed, options.upgradeHttps)) {
+        cleaned = cleaned.replace(/^http:/i, 'https:');
+        actions.push('https');
+    }
+
+    const hashIndex = cleaned.indexOf('#');
+    if (hashIndex !== -1 && !/^#!?\//.test(cleaned.slice(hashIndex))) {
+        cleaned = cleaned.slice(0, hashIndex);
+        actions.push('fragment');
+    }
+
+    const queryIndex = cleaned.indexOf('?');
+    if (queryIndex !== -1) {
+        const [query, hash = null] = cleaned.slice(queryIndex + 1).split(/#(.*)/s);
+        const kept = query.split('&').filter(pair => {
+            let name = pair.split('=')[0];
+            try {
+                name = decodeURIComponent(name);
+            } catch {
+                // Keep the raw name
+            }
+            return !TRACKING_PARAMS.some(pattern => pattern.test(name));
+        });
+
+        if (kept.length !== query.split('&').length) {
+            cleaned = `${cleaned.slice(0, queryIndex)}${kept.length > 0 ? `?${kept.join('&')}` : ''}${hash !== null ? `#${hash}` : ''}`;
+            actions.push('tracking');
+        }
+    }
+
+    return { url: cleaned, actions };
+}
+
+/**
+ * Key used to spot duplicate URLs that differ only in host case, default port or a bare trailing slash
+ * @param {string} url - The URL
+ * @returns {string} - The comparison key
+ */
+function urlKey(url) {
+    try {
+        return new URL(url.trim()).href.replace(/\/$/, '');
+    } catch {
+        return url.trim();
+    }
+}
+
+/**
+ * Clean and dedupe a list of URL entries, keeping the first of each duplicate
+ * @param {Array<string|Object>} urls - URL strings (Proton) or { label, url } entries (1PUX)
+ * @param {Object} options - Conversion options (upgradeHttps)
+ * @param {Function} report - Called with each change ({ field, before, after, action })
+ * @returns {Array<string|Object>} - The cleaned list
+ */
+function cleanUrlList(urls, options, report) {
+    const entries = [];
+    const seen = new Map();
+
+    urls.forEach((entry, index) => {
+        const isString = typeof entry === 'string';
+        const raw = isString ? entry : entry?.url;
+        if (typeof raw !== 'string') {
+            entries.push(entry);
+            return;
+        }
+
+        const { url, actions } = cleanUrl(raw, options);
+        if (actions.length > 0) {
+            report({ field: `urls[${index}]`, before: raw, after: url, action: actions.join(', ') });
+        }
+
+        const key = urlKey(url);
+        if (seen.has(key)) {
+            report({ field: `urls[${index}]`, before: url, after: '', action: 'duplicate' });
+
+            // The surviving entry inherits the duplicate's primary flag and label
+            const survivorIndex = seen.get(key);
+            const survivor = entries[survivorIndex];
+            if (!isString && typeof survivor === 'object') {
+                entries[survivorIndex] = {
+                    ...survivor,
+                    ...(entry.primary && { primary: true }),
+                    ...(!survivor.label && entry.label && { label: entry.label })
+                };
+            }
+            return;
+        }
+
+        seen.set(key, entries.length);
+        entries.push(isString ? url : { ...entry, url });
+    });
+
+    return entries;
+}
+
+/**
+ * Clean the URLs of a 1PUX overview and keep overview.url in sync with the primary entry
+ *
+ * The primary entry is the one flagged primary, else the one matching
+ * overview.url, else the first. It is moved to the front of urls[], and a
+ * url missing from a non-empty urls[] is added to it.
+ *
+ * @param {Object} overview - The item overview
+ * @param {Object} options - Conversion options (upgradeHttps, onUrlChange)
+ * @param {Object} details - Item details passed to options.onUrlChange ({ vault, uuid })
+ * @returns {Object} - The overview with cleaned URLs
+ */
+function cleanOverviewUrls(overview, options, details) {
+    const report = change => {
+        if (options.onUrlChange) {
+            options.onUrlChange({ ...details, ...change });
+        }
+    };
+
+    let url = overview.url;
+    if (typeof url === 'string' && url.trim()) {
+        const cleaned = cleanUrl(url, options);
+        if (cleaned.actions.length > 0) {
+            report({ field: 'url', before: url, after: cleaned.url, action: cleaned.actions.join(', ') });
+            url = cleaned.url;
+        }
+    }
+
+    if (!Array.isArray(overview.urls)) {
+        return url === overview.url ? overview : { ...overview, url };
+    }
+
+    const urls = cleanUrlList(overview.urls, options, report);
+    const hasUrl = entry => entry && typeof entry === 'object' && typeof entry.url === 'string';
+    if (urls.some(hasUrl)) {
+        let primaryIndex = urls.findIndex(entry => hasUrl(entry) && entry.primary);
+        if (primaryIndex === -1 && typeof url === 'string' && url.trim()) {
+            primaryIndex = urls.findIndex(entry => hasUrl(entry) && urlKey(entry.url) === urlKey(url));
+            if (primaryIndex === -1) {
+                urls.unshift({ label: '', url });
+                primaryIndex = 0;
+                report({ field: 'urls', before: '', after: url, action: 'added primary' });
+            }
+        }
+        if (primaryIndex === -1) {
+            primaryIndex = urls.findIndex(hasUrl);
+        }
+
+        if (primaryIndex > 0) {
+            const [primary] = urls.splice(primaryIndex, 1);
+            urls.unshift(primary);
+            report({ field: 'urls', before: `urls[${primaryIndex}]`, after: 'urls[0]', action: 'primary first' });
+        }
+
+        if (urls[0].url !== url) {
+            report({ field: 'url', before: url ?? '', after: urls[0].url, action: 'sync' });
+            url = urls[0].url;
+        }
+    }
+
+    return { ...overview, ...(url !== undefined && { url }), urls };
+}
+
+/**
+ * Work out whether a title should be renamed, asking the caller via options.onRename
+ * @param {Object} change - The proposed rename ({ vault, uuid, oldTitle, url })
+ * @param {Object} mappings - Layered mappings
+ * @param {Object} options - Conversion options
+ * @returns {string|null} - The new title, or null to keep the current one
+ */
+function decideRename(change, mappings, options) {
+    if (options.rename === false) {
+        return null;
+    }
+
+    const fromUrl = options.nameFrom === 'url' && Boolean(change.url);
+    const { url, ...details } = change;
+    if (!fromUrl && !change.oldTitle) {
+        return null;
+    }
+
+    const { name, rule } = resolveGenericName(fromUrl ? hostFromUrl(url) : change.oldTitle, mappings);
+    if (!name || name === change.oldTitle || isDisambiguatedTitle(change.oldTitle, name)) {
+        return null;
+    }
+
+    // Missing, placeholder and bare-domain titles were never hand-written; in url mode
+    // a title such as "Work GitHub" is only replaced when overwriteTitles asks for it
+    const replaceable = isDomainTitle(change.oldTitle) || (fromUrl && isPlaceholderTitle(change.oldTitle));
+    let status = 'rename';
+    if (!replaceable && options.onlyIfTitleIsDomain) {
+        status = 'not-a-domain';
+    } else if (!replaceable && fromUrl && !options.overwriteTitles) {
+        status = 'hand-written';
+    }
+    const approved = options.onRename
+        ? options.onRename({ ...details, newTitle: name, source: fromUrl ? 'url' : 'title', rule, status }) !== false
+        : true;
+
+    return status === 'rename' && approved ? name : null;
+}
+
+/**
+ * Look up the catalog category of a domain or URL
+ *
+ * The host itself is tried first, then each parent domain, so
+ * "mail.tokopedia.com" is filed with "tokopedia.com"; pattern rules that
+ * carry a category are the fallback.
+ *
+ * @param {string} domainTitle - A domain, URL or title
+ * @param {Object} [mappings] - Layered mappings from loadMappings(); defaults to the built-in set
+ * @returns {string|null} - The category, or null if the domain isn't catalogued
+ */
+function resolveCategory(domainTitle, mappings = BUILTIN_MAPPINGS) {
+    if (!domainTitle || typeof domainTitle !== 'string') {
+        return null;
+    }
+
+    const host = toUnicodeHostname(hostFromUrl(domainTitle.trim())).toLowerCase();
+    if (/\s/.test(host)) {
+        return null;
+    }
+
+    const { categories = {}, patterns } = mappings;
+    const labels = host.split('.');
+    for (let i = 0; i < labels.length - 1; i++) {
+        const candidate = labels.slice(i).join('.');
+        if (Object.hasOwn(categories, candidate)) {
+            return categories[candidate];
+        }
+    }
+
+    const asciiHost = toASCIIHostname(host);
+    for (const { pattern, category } of patterns) {
+        if (category && (pattern.test(host) || pattern.test(asciiHost))) {
+            return category;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Work out the tags an item should have once its category tag is added
+ * @param {string[]} [existing] - The item's current tags
+ * @param {string} source - The item's primary URL, or its title when it has none
+ * @param {Object} mappings - Layered mappings
+ * @param {Object} options - Conversion options (tagPrefix, onTag)
+ * @param {Object} details - Item details passed to options.onTag ({ vault, uuid })
+ * @returns {string[]|null} - The new tag list, or null if nothing changes
+ */
+function categoryTags(existing, source, mappings, options, details) {
+    const category = resolveCategory(source, mappings);
+    if (!category) {
+        return null;
+    }
+
+    const tag = `${options.tagPrefix || ''}${category}`;
+    const tags = Array.isArray(existing) ? existing : [];
+    if (tags.includes(tag)) {
+        return null;
+    }
+
+    if (options.onTag) {
+        options.onTag({ ...details, tag });
+    }
+    return [...tags, tag];
+}
+
 /**
  * Process a JSON object recursively to update domain titles
  * @param {any} obj - The object to process
+ * @param {Object} [mappings] - Layered mappings from loadMappings(); defaults to the built-in set
+ * @param {Object} [options] - Conversion options
+ * @param {string} [options.nameFrom] - 'title' (default) or 'url' to name items after their primary URL
+ * @param {boolean} [options.onlyIfTitleIsDomain] - Leave titles that aren't a bare domain or URL alone
+ * @param {boolean} [options.overwriteTitles] - With nameFrom 'url', also replace hand-written titles
+ * @param {boolean} [options.rename] - Set to false to leave titles alone, e.g. to only add tags
+ * @param {boolean} [options.tagCategories] - Tag items with their catalog category (overview.tags)
+ * @param {string} [options.tagPrefix] - Prefix for category tags, e.g. "Category/"
+ * @param {Function} [options.onTag] - Called with each tag added
+ * @param {boolean} [options.cleanUrls] - Strip tracking parameters and fragments, dedupe urls[] and sync url with the primary entry
+ * @param {boolean|string[]} [options.upgradeHttps] - Upgrade http:// URLs on all hosts (true) or on these domains
+ * @param {Function} [options.onUrlChange] - Called with each URL change
+ * @param {Function} [options.onRename] - Called with each proposed rename; return false to reject it
+ * @param {Object} [context] - Traversal context (current vault name)
  * @returns {any} - The processed object
  */
-function processObject(obj) {
+function processObject(obj, mappings = BUILTIN_MAPPINGS, options = {}, context = {}) {
     if (typeof obj === 'object' && obj !== null) {
         if (Array.isArray(obj)) {
-            return obj.map(processObject);
+            return obj.map(item => processObject(item, mappings, options, context));
         } else {
+            // 1PUX vaults carry their name in attrs next to the items array
+            if (Array.isArray(obj.items) && obj.attrs && typeof obj.attrs === 'object') {
+                context = { ...context, vault: obj.attrs.name };
+            }
+
             const processed = {};
             for (const [key, value] of Object.entries(obj)) {
                 if (key === 'overview' && typeof value === 'object' && value !== null) {
-                    processed[key] = processObject(value);
+                    const overview = options.cleanUrls || options.upgradeHttps
+                        ? cleanOverviewUrls(value, options, { vault: context.vault, uuid: obj.uuid })
+                        : value;
+                    processed[key] = processObject(overview, mappings, options, context);
                     // Update the title if URL exists
-                    if (value.title) {
-                        const cleanTitle = mapDomainToGenericName(value.title);
-                        if (cleanTitle !== value.title) {
+                    if (overview.title || options.nameFrom === 'url') {
+                        const cleanTitle = decideRename({ vault: context.vault, uuid: obj.uuid, oldTitle: overview.title, url: getPrimaryUrl(overview) }, mappings, options);
+                        if (cleanTitle !== null) {
                             processed[key] = { ...processed[key], title: cleanTitle };
                         }
                     }
+
+                    if (options.tagCategories) {
+                        const tags = categoryTags(overview.tags, getPrimaryUrl(overview) || overview.title, mappings, options, { vault: context.vault, uuid: obj.uuid });
+                        if (tags !== null) {
+                            processed[key] = { ...processed[key], tags };
+                        }
+                    }
                 } else {
-                    processed[key] = processObject(value);
+                    processed[key] = processObject(value, mappings, options, context);
                 }
             }
             return processed;
@@ -828,24 +583,1154 @@ function processObject(obj) {
     return obj;
 }
 
+/**
+ * Process a Proton Pass export, updating item names from their domain titles
+ *
+ * Proton items have no tag field of their own, so category tags are written
+ * to an item-level labels array.
+ *
+ * @param {Object} data - The Proton export ({ vaults: { [id]: { items: [] } } })
+ * @param {Object} [mappings] - Layered mappings from loadMappings(); defaults to the built-in set
+ * @param {Object} [options] - Conversion options, as for processObject
+ * @returns {Object} - The processed export
+ */
+function processProtonData(data, mappings = BUILTIN_MAPPINGS, options = {}) {
+    if (!data || !data.vaults) {
+        return data;
+    }
+
+    const vaults = {};
+    for (const [vaultId, vault] of Object.entries(data.vaults)) {
+        if (!vault || !Array.isArray(vault.items)) {
+            vaults[vaultId] = vault;
+            continue;
+        }
+
+        vaults[vaultId] = {
+            ...vault,
+            items: vault.items.map(item => {
+                if (!item?.data?.metadata) {
+                    return item;
+                }
+
+                if ((options.cleanUrls || options.upgradeHttps) && Array.isArray(item.data.content?.urls)) {
+                    const report = change => {
+                        if (options.onUrlChange) {
+                            options.onUrlChange({ vault: vault.name || vaultId, uuid: item.itemId, ...change });
+                        }
+                    };
+                    const urls = cleanUrlList(item.data.content.urls, options, report);
+                    item = { ...item, data: { ...item.data, content: { ...item.data.content, urls } } };
+                }
+
+                const change = {
+                    vault: vault.name || vaultId,
+                    uuid: item.itemId,
+                    oldTitle: item.data.metadata.name,
+                    url: getPrimaryUrl({ urls: item.data.content?.urls })
+                };
+                const cleanName = decideRename(change, mappings, options);
+                const labels = options.tagCategories
+                    ? categoryTags(item.labels, change.url || change.oldTitle, mappings, options, { vault: change.vault, uuid: change.uuid })
+                    : null;
+                if (cleanName === null && labels === null) {
+                    return item;
+                }
+
+                return {
+                    ...item,
+                    ...(labels !== null && { labels }),
+                    ...(cleanName !== null && {
+                        data: { ...item.data, metadata: { ...item.data.metadata, name: cleanName } }
+                    })
+                };
+            })
+        };
+    }
+
+    return { ...data, vaults };
+}
+
+/**
+ * Convert an export of the given format
+ * @param {Object} data - The parsed export
+ * @param {string} format - '1pux' or 'proton'
+ * @param {Object} mappings - Layered mappings
+ * @param {Object} [options] - Conversion options, as for processObject
+ * @returns {Object} - The converted export
+ */
+function convertData(data, format, mappings, options = {}) {
+    return format === 'proton'
+        ? processProtonData(data, mappings, options)
+        : processObject(data, mappings, options);
+}
+
+/**
+ * Check whether a title is a name already disambiguated by a previous run, e.g. "Google (me@example.com)"
+ * @param {string} title - The current title
+ * @param {string} name - The generic name
+ * @returns {boolean} - True if the title is the name plus a parenthesized suffix
+ */
+function isDisambiguatedTitle(title, name) {
+    return typeof title === 'string' && title.startsWith(`${name} (`) && title.endsWith(')');
+}
+
+// Per-format access to the fields collision handling needs
+const ITEM_ACCESSORS = {
+    '1pux': {
+        uuid: item => item?.uuid,
+        getTitle: item => item?.overview?.title,
+        setTitle: (item, title) => {
+            item.overview.title = title;
+        },
+        username: item => (Array.isArray(item?.details?.loginFields) ? item.details.loginFields : [])
+            .find(field => field?.designation === 'username')?.value,
+        url: item => getPrimaryUrl(item?.overview)
+    },
+    proton: {
+        uuid: item => item?.itemId,
+        getTitle: item => item?.data?.metadata?.name,
+        setTitle: (item, title) => {
+            item.data.metadata.name = title;
+        },
+        username: item => item?.data?.content?.itemUsername || item?.data?.content?.itemEmail || item?.data?.content?.username,
+        url: item => getPrimaryUrl({ urls: item?.data?.content?.urls })
+    }
+};
+
+// Suffix sources for --disambiguate, tried in the order given
+const DISAMBIGUATION_STRATEGIES = {
+    username: (item, accessors) => accessors.username(item),
+    subdomain: (item, accessors) => {
+        const url = accessors.url(item);
+        if (!url) {
+            return null;
+        }
+        const host = hostFromUrl(url).toLowerCase().replace(/^www\./, '');
+        const registrableDomain = getRegistrableDomain(host);
+        return registrableDomain && host !== registrableDomain ? host.slice(0, -(registrableDomain.length + 1)) : null;
+    },
+    vault: (item, accessors, vaultName) => vaultName
+};
+
+/**
+ * Call back with each vault's items before and after conversion
+ * @param {Object} before - The input export
+ * @param {Object} after - The converted export (same shape and order)
+ * @param {string} format - '1pux' or 'proton'
+ * @param {Function} callback - Called with (vaultName, itemsBefore, itemsAfter)
+ */
+function forEachVaultPair(before, after, format, callback) {
+    if (format === 'proton') {
+        for (const [vaultId, vault] of Object.entries(after?.vaults || {})) {
+            if (Array.isArray(vault?.items)) {
+                callback(vault.name || vaultId, before.vaults[vaultId].items, vault.items);
+            }
+        }
+        return;
+    }
+
+    (after?.accounts || []).forEach((account, accountIndex) => {
+        (account?.vaults || []).forEach((vault, vaultIndex) => {
+            if (Array.isArray(vault?.items)) {
+                callback(vault.attrs?.name, before.accounts[accountIndex].vaults[vaultIndex].items, vault.items);
+            }
+        });
+    });
+}
+
+/**
+ * Give items renamed in this run a unique title when several share one within a vault
+ *
+ * Only renamed items get a suffix; titles that were already there are left
+ * alone. Each renamed item takes the first strategy whose suffix is present
+ * and unique within its group, falling back to a counter in UUID order, so
+ * the outcome doesn't depend on item order. Reruns leave "Name (suffix)"
+ * titles untouched (see isDisambiguatedTitle).
+ *
+ * @param {Object} before - The input export
+ * @param {Object} after - The converted export; renamed items are updated in place
+ * @param {string} format - '1pux' or 'proton'
+ * @param {string[]} strategies - Names from DISAMBIGUATION_STRATEGIES, in order; empty to only detect
+ * @returns {Object[]} - One entry per renamed item in a collision: { vault, uuid, from, to, strategy }
+ */
+function disambiguateCollisions(before, after, format, strategies) {
+    const accessors = ITEM_ACCESSORS[format];
+    const results = [];
+
+    forEachVaultPair(before, after, format, (vaultName, itemsBefore, itemsAfter) => {
+        const groups = new Map();
+        itemsAfter.forEach((item, index) => {
+            const title = accessors.getTitle(item);
+            if (!title) {
+                return;
+            }
+            if (!groups.has(title)) {
+                groups.set(title, []);
+            }
+            groups.get(title).push({ item, renamed: title !== accessors.getTitle(itemsBefore[index]) });
+        });
+
+        const taken = new Set(groups.keys());
+        for (const [title, members] of groups) {
+            const renamed = members.filter(member => member.renamed).map(member => member.item);
+            if (members.length < 2 || renamed.length === 0) {
+                continue;
+            }
+
+            // Keep the bare title only if an untouched item already holds it
+            if (renamed.length === members.length) {
+                taken.delete(title);
+            }
+            renamed.sort((a, b) => String(accessors.uuid(a) ?? '').localeCompare(String(accessors.uuid(b) ?? '')));
+
+            const suffixes = Object.fromEntries(strategies.map(strategy =>
+                [strategy, renamed.map(item => DISAMBIGUATION_STRATEGIES[strategy](item, accessors, vaultName) || null)]));
+
+            renamed.forEach((item, index) => {
+                let newTitle = null;
+                let used = 'counter';
+
+                for (const strategy of strategies) {
+                    const suffix = suffixes[strategy][index];
+                    const unique = suffix && suffixes[strategy].filter(other => other === suffix).length === 1;
+                    if (unique && !taken.has(`${title} (${suffix})`)) {
+                        newTitle = `${title} (${suffix})`;
+                        used = strategy;
+                        break;
+                    }
+                }
+
+                if (strategies.length === 0) {
+                    used = null;
+                    newTitle = title;
+                } else if (!newTitle) {
+                    for (let counter = 2; !newTitle || taken.has(newTitle); counter++) {
+                        newTitle = `${title} (${counter})`;
+                    }
+                }
+
+                taken.add(newTitle);
+                if (newTitle !== title) {
+                    accessors.setTitle(item, newTitle);
+                }
+                results.push({ vault: vaultName, uuid: accessors.uuid(item), from: title, to: newTitle, strategy: used });
+            });
+        }
+    });
+
+    return results;
+}
+
+/**
+ * Call back with each vault's name and items
+ * @param {Object} data - The parsed export
+ * @param {string} format - '1pux' or 'proton'
+ * @param {Function} callback - Called with (vaultName, items)
+ */
+function forEachVault(data, format, callback) {
+    forEachVaultPair(data, data, format, (vaultName, items) => callback(vaultName, items));
+}
+
+/**
+ * Learn domain → title mappings from titles people have already curated by hand
+ *
+ * Pairs each item's registrable domain (from its primary URL) with its title,
+ * skipping titles that are still a domain or a placeholder, and ranks each
+ * domain's most common title by how consistently it is used. Domains that
+ * already have an exact match in the loaded mappings, or that the mappings
+ * already name the same way, are left out.
+ *
+ * @param {Object} data - The parsed export
+ * @param {string} format - '1pux' or 'proton'
+ * @param {Object} mappings - Layered mappings to check for existing entries
+ * @param {Object} [options] - Ranking thresholds
+ * @param {number} [options.minCount] - Minimum number of items using the winning title (default 1)
+ * @param {number} [options.minConsistency] - Minimum share of the domain's items using it (default 0.6)
+ * @returns {Object[]} - Ranked suggestions: { domain, title, count, total, consistency, alternatives }
+ */
+function learnMappings(data, format, mappings, options = {}) {
+    const { minCount = 1, minConsistency = 0.6 } = options;
+    const accessors = ITEM_ACCESSORS[format];
+    const domains = new Map();
+
+    forEachVault(data, format, (vaultName, items) => {
+        for (const item of items) {
+            const url = accessors.url(item);
+            const rawTitle = accessors.getTitle(item);
+            if (!url || typeof rawTitle !== 'string') {
+                continue;
+            }
+
+            // Drop a disambiguation suffix such as "Google (me@example.com)"
+            const title = rawTitle.trim().replace(/\s+\([^()]*\)$/, '');
+            if (!title || isDomainTitle(title) || isPlaceholderTitle(title)) {
+                continue;
+            }
+
+            const domain = getRegistrableDomain(hostFromUrl(url));
+            if (!domain) {
+                continue;
+            }
+
+            if (!domains.has(domain)) {
+                domains.set(domain, new Map());
+            }
+            // Titles that differ only in case count together; the first spelling seen is kept
+            const titles = domains.get(domain);
+            const key = title.toLowerCase();
+            const entry = titles.get(key) || { title, count: 0 };
+            entry.count++;
+            titles.set(key, entry);
+        }
+    });
+
+    const suggestions = [];
+    for (const [domain, titles] of domains) {
+        if (Object.hasOwn(mappings.exactMatches, domain)) {
+            continue;
+        }
+
+        const ranked = [...titles.values()].sort((a, b) => b.count - a.count || a.title.localeCompare(b.title));
+        const [best, ...alternatives] = ranked;
+        const total = ranked.reduce((sum, entry) => sum + entry.count, 0);
+        const consistency = best.count / total;
+
+        if (best.count < minCount || consistency < minConsistency) {
+            continue;
+        }
+        if (resolveGenericName(domain, mappings).name === best.title) {
+            continue;
+        }
+
+        suggestions.push({
+            domain,
+            title: best.title,
+            count: best.count,
+            total,
+            consistency: Math.round(consistency * 100) / 100,
+            alternatives: alternatives.map(entry => `${entry.title} (${entry.count})`).join(', ')
+        });
+    }
+
+    return suggestions.sort((a, b) =>
+        b.consistency - a.consistency || b.count - a.count || a.domain.localeCompare(b.domain));
+}
+
+/**
+ * Turn learned suggestions into a mapping pack
+ * @param {Object[]} suggestions - Output of learnMappings()
+ * @param {string} source - Where the suggestions came from, for the pack description
+ * @returns {Object} - A pack with exactMatches sorted by domain
+ */
+function buildLearnedPack(suggestions, source) {
+    const exactMatches = {};
+    for (const { domain, title } of [...suggestions].sort((a, b) => a.domain.localeCompare(b.domain))) {
+        exactMatches[domain] = title;
+    }
+
+    return {
+        name: 'learned',
+        description: `Proposed by domain-converter learn from ${source}`,
+        exactMatches
+    };
+}
+
+/**
+ * Detect the export format from the shape of the data
+ * @param {Object} data - The parsed export
+ * @returns {string|null} - '1pux', 'proton', or null if unrecognized
+ */
+function detectFormat(data) {
+    if (data && Array.isArray(data.accounts)) {
+        return '1pux';
+    }
+    if (data && data.vaults && typeof data.vaults === 'object' && !Array.isArray(data.vaults)) {
+        return 'proton';
+    }
+    return null;
+}
+
+/**
+ * Read the input export from a file or stdin, decrypting it if it was written with --encrypt
+ * @param {string} inputPath - File path, or '-' for stdin
+ * @param {function(): Promise<string>} [passphrase] - Source of the passphrase for encrypted input
+ * @returns {Promise<{data: Object, encrypted: boolean}>} - The parsed JSON data, and whether it was encrypted
+ */
+async function readInput(inputPath, passphrase = passphraseSource()) {
+    let text;
+    if (inputPath === '-') {
+        const chunks = [];
+        for await (const chunk of process.stdin) {
+            chunks.push(chunk);
+        }
+        text = Buffer.concat(chunks).toString('utf8');
+    } else {
+        try {
+            text = fs.readFileSync(inputPath, 'utf8');
+        } catch (error) {
+            throw new Error(`Error reading file ${inputPath}: ${error.message}`);
+        }
+    }
+
+    const encrypted = isEncrypted(text);
+    if (encrypted) {
+        text = decryptText(text, await passphrase());
+    }
+
+    try {
+        return { data: JSON.parse(text), encrypted };
+    } catch (error) {
+        throw new Error(`Invalid JSON in ${inputPath === '-' ? 'stdin' : inputPath}: ${error.message}`);
+    }
+}
+
+/**
+ * Write the converted export to a file or stdout
+ * @param {string} outputPath - File path, or '-' for stdout
+ * @param {string} text - The serialized output
+ * @param {Object} options - Write options
+ * @param {boolean} options.force - Allow overwriting an existing file
+ * @param {Object} [options.encryptor] - Encrypts the text first (see lib/encryption.js)
+ */
+function writeOutput(outputPath, text, { force, encryptor = null }) {
+    if (encryptor) {
+        text = encryptor.encrypt(text).trimEnd();
+    }
+
+    if (outputPath === '-') {
+        process.stdout.write(`${text}\n`);
+        return;
+    }
+
+    // "wx" fails instead of clobbering a file that is already there
+    fs.writeFileSync(outputPath, text, { flag: force ? 'w' : 'wx' });
+}
+
+/**
+ * Show help information
+ */
+function showHelp() {
+    console.error(`
+Domain Title Converter
+
+Renames items titled with a domain (e.g. "accounts.google.com") to a generic
+service name (e.g. "Google").
+
+Usage:
+  node domain-converter.js [options] <input> <output>
+  node domain-converter.js [options] --in-place <input>
+  node domain-converter.js --dry-run [options] <input>
+  node domain-converter.js learn [options] <input> [output]   (see learn --help)
+
+Arguments:
+  input                     Export JSON to read, or - for stdin
+  output                    File to write, or - for stdout
+
+Options:
+  --format <1pux|proton>    Input format (default: detected from the data)
+  --in-place                Rewrite the input file, keeping a backup
+  --backup-suffix <suffix>  Suffix for the --in-place backup (default: .bak)
+  --force                   Overwrite an existing output or backup file
+  --team-mappings <file>    Team mapping pack (JSON or YAML)
+  --mappings <file>         Personal mapping pack (JSON or YAML)
+  --name-from <title|url>   Derive names from the title (default) or the primary URL;
+                            url mode fills in missing, placeholder and bare-domain
+                            titles and keeps hand-written ones
+  --overwrite-titles        With --name-from url, also replace hand-written titles
+  --only-if-title-is-domain Only rename items whose title is a bare domain or URL
+  --tag-categories          Tag items with their catalog category (e.g. Finance,
+                            Development): 1PUX overview.tags, Proton item labels
+  --tag-prefix <prefix>     Prefix for category tags (e.g. "Category/")
+  --no-rename               Leave titles as they are (e.g. to only add tags)
+  --clean-urls              Strip tracking parameters and fragments from URLs, drop
+                            duplicate urls[] entries, move the primary URL first
+                            and keep overview.url in sync with it
+  --upgrade-https <all|list>
+                            Upgrade http:// URLs to https:// on every public
+                            domain (all) or on these domains (e.g. example.com,
+                            corp.example); implies --clean-urls
+  --url-report <file>       Write the URL change report to a file, or - for stdout
+  --disambiguate <list>     When renamed items share a title within a vault, add a
+                            suffix from the first of these that tells them apart:
+                            username, subdomain, vault (e.g. username,subdomain);
+                            a counter is used when none does
+  --dry-run                 Write the rename report without converting anything
+  --interactive             Ask before each rename (y/n, a = accept rest, q = reject rest)
+  --report <file>           Write the rename report to a file, or - for stdout
+                            (default for --dry-run: stdout)
+  --report-format <format>  Report format: table, csv or json (default: table)
+  --encrypt                 Encrypt the output and reports with a passphrase
+                            (decrypt with decrypt.js); implied by encrypted input,
+                            which is decrypted and encrypted again with the same
+                            passphrase
+  --passphrase-file <file>  Read the passphrase from the first line of a file
+                            (default: $${PASSPHRASE_ENV}, else ask on the terminal)
+  --quiet                   Only print errors
+  --verbose                 Also print every rename and URL change
+  --debug                   Also print skipped titles and why
+  --help                    Show this help message
+
+Examples:
+  node domain-converter.js export.data converted.json
+  node domain-converter.js --format proton proton.json - | node ../Proton/normalize-data.js
+  cat export.data | node domain-converter.js - - > converted.json
+  node domain-converter.js --in-place export.data
+  node domain-converter.js --name-from url export.data converted.json
+  node domain-converter.js --clean-urls --upgrade-https all --url-report urls.csv --report-format csv export.data converted.json
+  node domain-converter.js --no-rename --tag-categories --tag-prefix Category/ export.data tagged.json
+  node domain-converter.js --dry-run --only-if-title-is-domain --report-format csv export.data > renames.csv
+  node domain-converter.js --interactive --report renames.json --report-format json export.data converted.json
+  node domain-converter.js --encrypt --format proton proton.json converted.json.enc
+`);
+}
+
+/**
+ * Parse the options both commands share, and their input and output arguments
+ * @param {string[]} args - Command line arguments
+ * @param {Object} options - Option defaults, updated in place
+ * @param {function(string, function(): string): boolean} parseOption - Handles the command's own options, taking values with the function it gets; false if unknown
+ * @returns {Object} - The options
+ */
+function parseCommandArgs(args, options, parseOption) {
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        const valueOf = () => {
+            const value = args[++i];
+            if (value === undefined || (value.startsWith('--') && value !== '-')) {
+                throw new Error(`Option ${arg} requires a value`);
+            }
+            return value;
+        };
+
+        switch (arg) {
+            case '--help':
+            case '-h':
+                options.help = true;
+                break;
+
+            case '--quiet':
+            case '--verbose':
+            case '--debug':
+                options.logLevel = LOG_LEVEL_FLAGS[arg];
+                break;
+
+            case '--encrypt':
+                options.encrypt = true;
+                break;
+
+            case '--passphrase-file':
+                options.passphraseFile = valueOf();
+                break;
+
+            case '--format':
+                options.format = valueOf();
+                if (!['1pux', 'proton'].includes(options.format)) {
+                    throw new Error(`Unknown format "${options.format}" (expected 1pux or proton)`);
+                }
+                break;
+
+            case '--force':
+                options.force = true;
+                break;
+
+            case '--team-mappings':
+                options.teamMappings = valueOf();
+                break;
+
+            case '--mappings':
+                options.personalMappings = valueOf();
+                break;
+
+            case '--report':
+                options.report = valueOf();
+                break;
+
+            case '--report-format':
+                options.reportFormat = valueOf();
+                if (!REPORT_FORMATS.includes(options.reportFormat)) {
+                    throw new Error(`Unknown report format "${options.reportFormat}" (expected ${REPORT_FORMATS.join(', ')})`);
+                }
+                break;
+
+            default:
+                if (parseOption(arg, valueOf)) {
+                    break;
+                }
+                if (arg.startsWith('-') && arg !== '-') {
+                    throw new Error(`Unknown option: ${arg}`);
+                }
+
+                if (options.input === null) {
+                    options.input = arg;
+                } else if (options.output === null) {
+                    options.output = arg;
+                } else {
+                    throw new Error('Too many arguments');
+                }
+                break;
+        }
+    }
+
+    return options;
+}
+
+/**
+ * Parse command line arguments
+ * @param {string[]} args - Arguments after the script name
+ * @returns {Object} - Parsed options
+ */
+function parseArgs(args) {
+    const options = {
+        input: null,
+        output: null,
+        format: null,
+        inPlace: false,
+        backupSuffix: '.bak',
+        force: false,
+        teamMappings: undefined,
+        personalMappings: undefined,
+        nameFrom: 'title',
+        onlyIfTitleIsDomain: false,
+        overwriteTitles: false,
+        disambiguate: [],
+        rename: true,
+        tagCategories: false,
+        tagPrefix: '',
+        cleanUrls: false,
+        upgradeHttps: false,
+        urlReport: null,
+        dryRun: false,
+        interactive: false,
+        report: null,
+        reportFormat: 'table',
+        encrypt: false,
+        passphraseFile: null,
+        logLevel: 'info',
+        help: false
+    };
+
+    parseCommandArgs(args, options, (arg, valueOf) => {
+        switch (arg) {
+            case '--in-place':
+                options.inPlace = true;
+                return true;
+
+            case '--backup-suffix':
+                options.backupSuffix = valueOf();
+                return true;
+
+            case '--name-from':
+                options.nameFrom = valueOf();
+                if (!['title', 'url'].includes(options.nameFrom)) {
+                    throw new Error(`Unknown name source "${options.nameFrom}" (expected title or url)`);
+                }
+                return true;
+
+            case '--only-if-title-is-domain':
+                options.onlyIfTitleIsDomain = true;
+                return true;
+
+            case '--overwrite-titles':
+                options.overwriteTitles = true;
+                return true;
+
+            case '--tag-categories':
+                options.tagCategories = true;
+                return true;
+
+            case '--tag-prefix':
+                options.tagPrefix = valueOf();
+                return true;
+
+            case '--no-rename':
+                options.rename = false;
+                return true;
+
+            case '--clean-urls':
+                options.cleanUrls = true;
+                return true;
+
+            case '--upgrade-https': {
+                const value = valueOf();
+                options.upgradeHttps = value === 'all'
+                    ? true
+                    : value.split(',').map(domain => toUnicodeHostname(domain.trim()).toLowerCase()).filter(Boolean);
+                options.cleanUrls = true;
+                return true;
+            }
+
+            case '--url-report':
+                options.urlReport = valueOf();
+                return true;
+
+            case '--disambiguate':
+                options.disambiguate = valueOf().split(',').map(strategy => strategy.trim()).filter(Boolean);
+                for (const strategy of options.disambiguate) {
+                    if (!Object.hasOwn(DISAMBIGUATION_STRATEGIES, strategy)) {
+                        throw new Error(`Unknown disambiguation strategy "${strategy}" (expected ${Object.keys(DISAMBIGUATION_STRATEGIES).join(', ')})`);
+                    }
+                }
+                return true;
+
+            case '--dry-run':
+                options.dryRun = true;
+                return true;
+
+            case '--interactive':
+                options.interactive = true;
+                return true;
+
+            default:
+                return false;
+        }
+    });
+
+    if (options.help) {
+        return options;
+    }
+
+    if (!options.input) {
+        throw new Error('Input file is required (use - for stdin)');
+    }
+
+    if (options.dryRun) {
+        if (options.interactive) {
+            throw new Error('--dry-run and --interactive cannot be combined');
+        }
+        options.report = options.report || (options.urlReport === '-' ? null : '-');
+        if (options.urlReport === '-' && options.report === '-') {
+            throw new Error('The URL report and the rename report cannot both go to stdout');
+        }
+        return options;
+    }
+
+    if (options.interactive && options.input === '-') {
+        throw new Error('--interactive reads answers from stdin, so the input must be a file');
+    }
+
+    if (options.inPlace) {
+        if (options.input === '-') {
+            throw new Error('--in-place needs an input file, not stdin');
+        }
+        if (options.output !== null) {
+            throw new Error('--in-place cannot be combined with an output argument');
+        }
+        if (!options.backupSuffix) {
+            throw new Error('--backup-suffix cannot be empty');
+        }
+        options.output = options.input;
+    } else if (!options.output) {
+        throw new Error('Output file is required (use - for stdout, or --in-place)');
+    }
+
+    if (options.report === '-' && options.output === '-') {
+        throw new Error('The report and the converted output cannot both go to stdout');
+    }
+    if (options.urlReport === '-' && (options.output === '-' || options.report === '-')) {
+        throw new Error('The URL report cannot go to stdout along with the converted output or rename report');
+    }
+
+    return options;
+}
+
+/**
+ * Show help information for the learn command
+ */
+function showLearnHelp() {
+    console.error(`
+Domain Mapping Learner
+
+Proposes a mapping pack from the titles already given to items in an export,
+leaving out domains the current mappings already cover.
+
+Usage:
+  node domain-converter.js learn [options] <input> [output]
+
+Arguments:
+  input                     Export JSON to scan, or - for stdin
+  output                    Where to write the proposed pack (default: - for stdout)
+
+Options:
+  --format <1pux|proton>    Input format (default: detected from the data)
+  --min-count <n>           Minimum number of items using a title (default: 1)
+  --min-consistency <0-1>   Minimum share of a domain's items using it (default: 0.6)
+  --report <file>           Write the ranked suggestions to a file, or - for stdout
+  --report-format <format>  Report format: table, csv or json (default: table)
+  --force                   Overwrite existing output or report files
+  --team-mappings <file>    Team mapping pack (JSON or YAML)
+  --mappings <file>         Personal mapping pack (JSON or YAML)
+  --encrypt                 Encrypt the pack and report with a passphrase
+  --passphrase-file <file>  Read the passphrase from the first line of a file
+                            (default: $${PASSPHRASE_ENV}, else ask on the terminal)
+  --quiet                   Only print errors
+  --verbose                 Also print every learned mapping
+  --help                    Show this help message
+
+Examples:
+  node domain-converter.js learn export.data learned.json
+  node domain-converter.js learn --min-count 2 --report - export.data learned.json
+  node domain-converter.js export.data converted.json --team-mappings learned.json
+`);
+}
+
+/**
+ * Parse command line arguments for the learn command
+ * @param {string[]} args - Arguments after "learn"
+ * @returns {Object} - Parsed options
+ */
+function parseLearnArgs(args) {
+    const options = {
+        input: null,
+        output: null,
+        format: null,
+        minCount: 1,
+        minConsistency: 0.6,
+        report: null,
+        reportFormat: 'table',
+        force: false,
+        teamMappings: undefined,
+        personalMappings: undefined,
+        encrypt: false,
+        passphraseFile: null,
+        logLevel: 'info',
+        help: false
+    };
+
+    parseCommandArgs(args, options, (arg, valueOf) => {
+        switch (arg) {
+            case '--min-count':
+                options.minCount = Number(valueOf());
+                if (!Number.isInteger(options.minCount) || options.minCount < 1) {
+                    throw new Error('--min-count must be a positive integer');
+                }
+                return true;
+
+            case '--min-consistency':
+                options.minConsistency = Number(valueOf());
+                if (!(options.minConsistency >= 0 && options.minConsistency <= 1)) {
+                    throw new Error('--min-consistency must be between 0 and 1');
+                }
+                return true;
+
+            default:
+                return false;
+        }
+    });
+
+    if (options.help) {
+        return options;
+    }
+
+    if (!options.input) {
+        throw new Error('Input file is required (use - for stdin)');
+    }
+    options.output = options.output || '-';
+
+    if (options.report === '-' && options.output === '-') {
+        throw new Error('The report and the proposed pack cannot both go to stdout');
+    }
+
+    return options;
+}
+
+// Columns of the learn report
+const LEARN_REPORT_COLUMNS = [
+    { key: 'domain', label: 'Domain' },
+    { key: 'title', label: 'Title' },
+    { key: 'count', label: 'Items' },
+    { key: 'total', label: 'Of' },
+    { key: 'consistency', label: 'Consistency' },
+    { key: 'alternatives', label: 'Other titles' }
+];
+
+/**
+ * Run the learn command
+ * @param {string[]} args - Arguments after "learn"
+ */
+async function learnMain(args) {
+    let options;
+    try {
+        options = parseLearnArgs(args);
+    } catch (error) {
+        console.error(error.message);
+        showLearnHelp();
+        process.exit(1);
+    }
+
+    if (options.help) {
+        showLearnHelp();
+        return;
+    }
+    log.setLevel(options.logLevel);
+
+    try {
+        const mappings = loadMappings({ team: options.teamMappings, personal: options.personalMappings });
+        log.info(`Mapping layers: ${mappings.layers.join(' → ')}`);
+
+        log.info(`Reading ${options.input === '-' ? 'stdin' : options.input}...`);
+        const passphrase = passphraseSource({ passphraseFile: options.passphraseFile, confirm: options.encrypt });
+        const { data: inputData } = await readInput(options.input, passphrase);
+        const encryptor = options.encrypt ? createEncryptor(await passphrase()) : null;
+
+        const format = options.format || detectFormat(inputData);
+        if (!format) {
+            throw new Error('Could not detect the export format; pass --format 1pux or --format proton');
+        }
+
+        const suggestions = learnMappings(inputData, format, mappings, {
+            minCount: options.minCount,
+            minConsistency: options.minConsistency
+        });
+        log.info(`Learned ${suggestions.length} new mapping(s)`);
+        for (const suggestion of suggestions) {
+            log.verbose(`  ${suggestion.domain} → "${suggestion.title}" (${suggestion.count} of ${suggestion.total} items)`);
+        }
+
+        const pack = buildLearnedPack(suggestions, options.input === '-' ? 'stdin' : options.input);
+        writeOutput(options.output, JSON.stringify(pack, null, 2), { force: options.force, encryptor });
+        if (options.output !== '-') {
+            log.info(`Proposed mapping pack written to ${options.output}`);
+        }
+
+        if (options.report) {
+            writeOutput(options.report, formatReport(suggestions, LEARN_REPORT_COLUMNS, options.reportFormat), { force: options.force, encryptor });
+        }
+    } catch (error) {
+        if (error.code === 'EEXIST') {
+            error.message = `${error.path || 'Output file'} already exists; pass --force to overwrite it`;
+        }
+        log.error('Error learning mappings:', error.message);
+        process.exit(1);
+    }
+}
+
+/**
+ * Ask for approval of each proposed rename on the terminal
+ * @param {Object[]} changes - Proposed renames with status 'rename'
+ * @returns {Promise<boolean[]>} - One decision per change
+ */
+async function promptForRenames(changes) {
+    const readline = require('node:readline');
+    const rl = readline.createInterface({ input: process.stdin, terminal: false });
+    // Iterating buffers answers that arrive before their question, e.g. when piped
+    const answers = rl[Symbol.asyncIterator]();
+    const decisions = [];
+    let remaining = null;
+
+    try {
+        for (const [index, change] of changes.entries()) {
+            if (remaining !== null) {
+                decisions.push(remaining);
+                continue;
+            }
+
+            const where = [change.vault, change.uuid].filter(Boolean).join(' / ');
+            const question = `[${index + 1}/${changes.length}] ${where ? `${where}: ` : ''}"${change.oldTitle}" → "${change.newTitle}" (${change.rule}) [y/n/a/q] `;
+
+            let answer = '';
+            while (!['y', 'n', 'a', 'q'].includes(answer)) {
+                process.stderr.write(question);
+                const next = await answers.next();
+                // End of input rejects everything still pending
+                answer = next.done ? 'q' : next.value.trim().toLowerCase();
+            }
+
+            if (answer === 'a' || answer === 'q') {
+                remaining = answer === 'a';
+            }
+            decisions.push(answer === 'y' || answer === 'a');
+        }
+    } finally {
+        rl.close();
+    }
+
+    return decisions;
+}
+
+// Columns of the rename report
+const REPORT_COLUMNS = [
+    { key: 'vault', label: 'Vault' },
+    { key: 'uuid', label: 'UUID' },
+    { key: 'oldTitle', label: 'Old title' },
+    { key: 'newTitle', label: 'New title' },
+    { key: 'source', label: 'From' },
+    { key: 'rule', label: 'Rule' },
+    { key: 'status', label: 'Status' }
+];
+
+// Columns of the URL change report
+const URL_REPORT_COLUMNS = [
+    { key: 'vault', label: 'Vault' },
+    { key: 'uuid', label: 'UUID' },
+    { key: 'field', label: 'Field' },
+    { key: 'before', label: 'Before' },
+    { key: 'after', label: 'After' },
+    { key: 'action', label: 'Action' }
+];
+
 /**
  * Main function to run the script
  */
-function main() {
+async function main() {
+    if (process.argv[2] === 'learn') {
+        await learnMain(process.argv.slice(3));
+        return;
+    }
+
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(error.message);
+        showHelp();
+        process.exit(1);
+    }
+
+    if (options.help) {
+        showHelp();
+        return;
+    }
+    log.setLevel(options.logLevel);
+
     try {
-        console.log('Reading input.json...');
-        const inputData = JSON.parse(fs.readFileSync('input.json', 'utf8'));
+        log.info('Loading domain mappings...');
+        const mappings = loadMappings({ team: options.teamMappings, personal: options.personalMappings });
+        log.info(`Mapping layers: ${mappings.layers.join(' → ')}`);
+
+        log.info(`Reading ${options.input === '-' ? 'stdin' : options.input}...`);
+        const passphrase = passphraseSource({ passphraseFile: options.passphraseFile, confirm: options.encrypt });
+        const { data: inputData, encrypted } = await readInput(options.input, passphrase);
+
+        // Decrypted data never goes back to disk in plaintext: encrypted input implies --encrypt
+        if (encrypted && !options.encrypt) {
+            log.info('Input is encrypted: encrypting the output and reports with the same passphrase');
+        }
+        const encryptor = options.encrypt || encrypted ? createEncryptor(await passphrase()) : null;
+
+        const format = options.format || detectFormat(inputData);
+        if (!format) {
+            throw new Error('Could not detect the export format; pass --format 1pux or --format proton');
+        }
 
-        console.log('Processing domains...');
-        const processedData = processObject(inputData);
+        // Plan every rename first so it can be previewed or approved before anything is applied
+        const changes = [];
+        convertData(inputData, format, mappings, {
+            nameFrom: options.nameFrom,
+            onlyIfTitleIsDomain: options.onlyIfTitleIsDomain,
+            overwriteTitles: options.overwriteTitles,
+            rename: options.rename,
+            cleanUrls: options.cleanUrls,
+            upgradeHttps: options.upgradeHttps,
+            onRename: change => {
+                changes.push(change);
+                return false;
+            }
+        });
+        const proposed = changes.filter(change => change.status === 'rename');
+        log.info(`Found ${proposed.length} rename(s), ${changes.length - proposed.length} skipped as not a domain or hand-written`);
+        for (const change of changes) {
+            const line = `  ${[change.vault, change.uuid].filter(Boolean).join(' / ')}: "${change.oldTitle}" → "${change.newTitle}" (${change.rule})`;
+            if (change.status === 'rename') {
+                log.verbose(line);
+            } else {
+                log.debug(`${line} skipped: ${change.status}`);
+            }
+        }
 
-        console.log('Writing output.json...');
-        fs.writeFileSync('output.json', JSON.stringify(processedData, null, 2));
+        const decisions = options.interactive
+            ? await promptForRenames(proposed)
+            : proposed.map(() => true);
+        proposed.forEach((change, index) => {
+            change.status = decisions[index] ? (options.dryRun ? 'would-rename' : 'renamed') : 'rejected';
+        });
 
-        console.log('Domain conversion completed successfully!');
-        console.log('Output written to output.json');
+        log.info(`Processing domains (${format})...`);
+        let sequence = 0;
+        let tagged = 0;
+        const urlChanges = [];
+        const processedData = convertData(inputData, format, mappings, {
+            nameFrom: options.nameFrom,
+            onlyIfTitleIsDomain: options.onlyIfTitleIsDomain,
+            overwriteTitles: options.overwriteTitles,
+            rename: options.rename,
+            tagCategories: options.tagCategories,
+            tagPrefix: options.tagPrefix,
+            cleanUrls: options.cleanUrls,
+            upgradeHttps: options.upgradeHttps,
+            onRename: () => ['renamed', 'would-rename'].includes(changes[sequence++].status),
+            onTag: () => {
+                tagged++;
+            },
+            onUrlChange: change => {
+                urlChanges.push(change);
+                log.verbose(`  ${[change.vault, change.uuid].filter(Boolean).join(' / ')}: ${change.action} ${change.before} → ${change.after}`);
+            }
+        });
+        if (options.tagCategories) {
+            log.info(`${options.dryRun ? 'Would tag' : 'Tagged'} ${tagged} item(s) with their category`);
+        }
+        if (options.cleanUrls) {
+            const items = new Set(urlChanges.map(change => `${change.vault}\0${change.uuid}`)).size;
+            log.info(`${options.dryRun ? 'Would make' : 'Made'} ${urlChanges.length} URL change(s) across ${items} item(s)`);
+        }
+
+        const collisions = disambiguateCollisions(inputData, processedData, format, options.disambiguate);
+        if (collisions.length > 0 && options.disambiguate.length === 0) {
+            log.warn(`Warning: ${collisions.length} renamed item(s) share a title with another item in the same vault; use --disambiguate to tell them apart`);
+        }
+        for (const collision of collisions) {
+            const change = changes.find(candidate => candidate.vault === collision.vault &&
+                candidate.uuid === collision.uuid && candidate.newTitle === collision.from && !candidate.disambiguated);
+            if (change) {
+                change.newTitle = collision.to;
+                change.rule = collision.strategy ? `${change.rule}; ${collision.strategy} suffix` : `${change.rule}; title collision`;
+                change.disambiguated = true;
+            }
+        }
+
+        if (options.dryRun) {
+            if (options.report) {
+                writeOutput(options.report, formatReport(changes, REPORT_COLUMNS, options.reportFormat), { force: options.force, encryptor });
+            }
+            if (options.urlReport) {
+                writeOutput(options.urlReport, formatReport(urlChanges, URL_REPORT_COLUMNS, options.reportFormat), { force: options.force, encryptor });
+            }
+            log.info('Dry run: no output written');
+            return;
+        }
+
+        if (options.inPlace) {
+            const backupPath = `${options.input}${options.backupSuffix}`;
+            fs.copyFileSync(options.input, backupPath, options.force ? 0 : fs.constants.COPYFILE_EXCL);
+            log.info(`Backup written to ${backupPath}`);
+        }
+
+        writeOutput(options.output, JSON.stringify(processedData, null, 2), { force: options.force || options.inPlace, encryptor });
+
+        if (options.report) {
+            writeOutput(options.report, formatReport(changes, REPORT_COLUMNS, options.reportFormat), { force: options.force, encryptor });
+            if (options.report !== '-') {
+                log.info(`Rename report written to ${options.report}`);
+            }
+        }
+
+        if (options.urlReport) {
+            writeOutput(options.urlReport, formatReport(urlChanges, URL_REPORT_COLUMNS, options.reportFormat), { force: options.force, encryptor });
+            if (options.urlReport !== '-') {
+                log.info(`URL report written to ${options.urlReport}`);
+            }
+        }
+
+        log.info('Domain conversion completed successfully!');
+        if (options.output !== '-') {
+            log.info(`Output written to ${options.output}`);
+        }
     } catch (error) {
-        console.error('Error processing domains:', error.message);
+        if (error.code === 'EEXIST') {
+            error.message = `${error.dest || error.path || 'Output file'} already exists; pass --force to overwrite it`;
+        }
+        log.error('Error processing domains:', error.message);
         process.exit(1);
     }
 }
@@ -0,0 +1,299 @@
+/**
+ * Tests for domain-converter.js: naming from URLs and the command line
+ *
+ * Run with: node --test 1Password/
+ */
+
+const assert = require('node:assert/strict');
+const { spawnSync } = require('node:child_process');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { describe, it } = require('node:test');
+const { PASSPHRASE_ENV, isEncryptedFile, createEncryptor, decryptText } = require('../lib/encryption');
+const { resolveGenericName, getPrimaryUrl, isPlaceholderTitle, processObject, processProtonData } = require('./domain-converter');
+
+const SCRIPT = path.join(__dirname, 'domain-converter.js');
+const PASSPHRASE = 'correct horse battery staple';
+
+const EXPORT = {
+    vaults: {
+        v1: {
+            name: 'Personal',
+            items: [{ itemId: 'i1', data: { type: 'login', metadata: { name: 'github.com' }, content: { urls: ['https://github.com/login'] } } }]
+        }
+    }
+};
+
+/**
+ * Runs domain-converter.js with the test passphrase in the environment
+ * @param {string[]} args - Command line arguments
+ * @param {string} [input] - Text for stdin
+ * @returns {Object} - The spawnSync result
+ */
+function run(args, input) {
+    return spawnSync(process.execPath, [SCRIPT, ...args], {
+        input,
+        env: { ...process.env, [PASSPHRASE_ENV]: PASSPHRASE },
+        encoding: 'utf8',
+        timeout: 60000
+    });
+}
+
+/**
+ * Builds a 1PUX export with one login per title and URL
+ * @param {Array<[string, string]>} logins - Pairs of title and overview.url
+ * @returns {Object} - The export
+ */
+function onePuxExport(logins) {
+    return {
+        accounts: [{
+            vaults: [{
+                attrs: { name: 'Personal' },
+                items: logins.map(([title, url], index) => ({ uuid: `i${index}`, overview: { title, url } }))
+            }]
+        }]
+    };
+}
+
+/**
+ * Lists the titles of a converted 1PUX export
+ * @param {Object} data - The export
+ * @returns {string[]} - The item titles, in order
+ */
+function titles(data) {
+    return data.accounts[0].vaults[0].items.map(item => item.overview.title);
+}
+
+describe('resolveGenericName', () => {
+    it('names unknown domains after their registrable domain', () => {
+        assert.deepEqual(resolveGenericName('bank.co.uk'), { name: 'Bank', rule: 'registrable domain bank.co.uk' });
+        assert.deepEqual(resolveGenericName('online.bank.co.uk'), { name: 'Bank', rule: 'registrable domain bank.co.uk' });
+        assert.deepEqual(resolveGenericName('x.github.io'), { name: 'X', rule: 'registrable domain x.github.io' });
+        assert.equal(resolveGenericName('MyBank.com').name, 'MyBank');
+    });
+
+    it('names www. and other prefixed hosts like the domain they prefix', () => {
+        assert.equal(resolveGenericName('www.bank.co.uk').name, 'Bank');
+        assert.equal(resolveGenericName('https://www.x.github.io/login').name, 'X');
+        assert.equal(resolveGenericName('login.bank.co.uk').name, 'Bank');
+        assert.match(resolveGenericName('www.bank.co.uk').rule, /^pattern \/\^www.*; registrable domain bank\.co\.uk$/);
+    });
+
+    it('names punycode and Unicode titles alike, in Unicode', () => {
+        assert.deepEqual(resolveGenericName('xn--bcher-kva.de'), { name: 'Bücher', rule: 'registrable domain bücher.de' });
+        assert.equal(resolveGenericName('bücher.de').name, 'Bücher');
+        assert.equal(resolveGenericName('www.xn--bcher-kva.de').name, 'Bücher');
+    });
+
+    it('keeps titles that are names, not domains', () => {
+        assert.deepEqual(resolveGenericName('Work GitHub'), { name: 'Work GitHub', rule: null });
+    });
+});
+
+describe('getPrimaryUrl', () => {
+    it('prefers overview.url, then the primary urls[] entry, then the first', () => {
+        assert.equal(getPrimaryUrl({ url: 'https://a.example/', urls: [{ url: 'https://b.example/' }] }), 'https://a.example/');
+        assert.equal(getPrimaryUrl({ urls: [{ url: 'https://b.example/' }, { url: 'https://c.example/', primary: true }] }), 'https://c.example/');
+        assert.equal(getPrimaryUrl({ urls: ['https://d.example/', 'https://e.example/'] }), 'https://d.example/');
+        assert.equal(getPrimaryUrl({ urls: [] }), null);
+    });
+});
+
+describe('isPlaceholderTitle', () => {
+    it('accepts missing and generic titles only', () => {
+        for (const title of [undefined, null, '', 'Login', ' untitled ', 'New Item']) {
+            assert.ok(isPlaceholderTitle(title), String(title));
+        }
+        assert.ok(!isPlaceholderTitle('Work GitHub'));
+    });
+});
+
+describe('--name-from url', () => {
+    const logins = [
+        ['Work GitHub', 'https://github.com/'],
+        ['login', 'https://app.zoom.us/'],
+        ['', 'https://github.com/'],
+        ['gitlab.com', 'https://gitlab.com/users/sign_in']
+    ];
+
+    it('fills in missing, placeholder and bare-domain titles and keeps hand-written ones', () => {
+        const statuses = [];
+        const converted = processObject(onePuxExport(logins), undefined, {
+            nameFrom: 'url',
+            onRename: change => statuses.push(change.status)
+        });
+        assert.deepEqual(titles(converted), ['Work GitHub', 'Zoom', 'GitHub', 'GitLab']);
+        assert.deepEqual(statuses, ['hand-written', 'rename', 'rename', 'rename']);
+    });
+
+    it('replaces hand-written titles with overwriteTitles', () => {
+        const converted = processObject(onePuxExport(logins), undefined, { nameFrom: 'url', overwriteTitles: true });
+        assert.equal(titles(converted)[0], 'GitHub');
+    });
+
+    it('names Proton items after their first URL', () => {
+        const data = {
+            vaults: {
+                v1: {
+                    name: 'Personal',
+                    items: [{ itemId: 'i1', data: { type: 'login', metadata: { name: 'Untitled' }, content: { urls: ['https://app.zoom.us/j/1', 'https://github.com/'] } } }]
+                }
+            }
+        };
+        const converted = processProtonData(data, undefined, { nameFrom: 'url' });
+        assert.equal(converted.vaults.v1.items[0].data.metadata.name, 'Zoom');
+    });
+
+    it('leaves items without a URL to the title', () => {
+        const converted = processObject(onePuxExport([['github.com', undefined], ['Notes', undefined]]), undefined, { nameFrom: 'url' });
+        assert.deepEqual(titles(converted), ['GitHub', 'Notes']);
+    });
+});
+
+describe('command line', () => {
+    it('reads stdin and writes stdout with -', () => {
+        const result = run(['-', '-'], JSON.stringify(EXPORT));
+        assert.equal(result.status, 0, result.stderr);
+        assert.equal(JSON.parse(result.stdout).vaults.v1.items[0].data.metadata.name, 'GitHub');
+    });
+
+    it('refuses to overwrite an existing output without --force', () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'domain-converter-'));
+        const input = path.join(dir, 'export.json');
+        const output = path.join(dir, 'converted.json');
+        fs.writeFileSync(input, JSON.stringify(EXPORT));
+        fs.writeFileSync(output, '{}');
+
+        try {
+            const refused = run([input, output]);
+            assert.equal(refused.status, 1);
+            assert.match(refused.stderr, /already exists; pass --force/);
+            assert.equal(fs.readFileSync(output, 'utf8'), '{}');
+
+            const forced = run(['--force', input, output]);
+            assert.equal(forced.status, 0, forced.stderr);
+            assert.equal(JSON.parse(fs.readFileSync(output, 'utf8')).vaults.v1.items[0].data.metadata.name, 'GitHub');
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    for (const [args, message] of [
+        [[], /Input file is required/],
+        [['export.json'], /Output file is required/],
+        [['--format', 'csv', 'export.json', 'out.json'], /Unknown format "csv"/],
+        [['--format'], /Option --format requires a value/],
+        [['a.json', 'b.json', 'c.json'], /Too many arguments/],
+        [['--in-place', '-'], /--in-place needs an input file/],
+        [['--report', '-', 'export.json', '-'], /cannot both go to stdout/]
+    ]) {
+        it(`exits with status 1: ${args.join(' ') || '(no arguments)'}`, () => {
+            const result = run(args);
+            assert.equal(result.status, 1);
+            assert.match(result.stderr, message);
+        });
+    }
+});
+
+describe('learn command line', () => {
+    it('takes the shared options and its own', () => {
+        const data = JSON.stringify(onePuxExport([['Acme Portal', 'https://acme-corp.com/'], ['Acme Portal', 'https://www.acme-corp.com/login']]));
+        const result = run(['learn', '--quiet', '--format', '1pux', '--min-count', '2', '-'], data);
+        assert.equal(result.status, 0, result.stderr);
+        assert.deepEqual(JSON.parse(result.stdout).exactMatches, { 'acme-corp.com': 'Acme Portal' });
+    });
+
+    for (const [args, message] of [
+        [['learn', '--min-count'], /Option --min-count requires a value/],
+        [['learn', '--report-format'], /Option --report-format requires a value/],
+        [['learn', '--min-count', '0', 'export.data'], /--min-count must be a positive integer/],
+        [['learn', '--in-place', 'export.data'], /Unknown option: --in-place/],
+        [['--min-count', '2', 'export.data', 'out.json'], /Unknown option: --min-count/]
+    ]) {
+        it(`exits with status 1: ${args.join(' ')}`, () => {
+            const result = run(args);
+            assert.equal(result.status, 1);
+            assert.match(result.stderr, message);
+        });
+    }
+});
+
+describe('--dry-run', () => {
+    it('reports each rename with its vault, uuid, titles and rule, and converts nothing', () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'domain-converter-'));
+        const input = path.join(dir, 'export.data');
+        const data = JSON.stringify(onePuxExport([['github.com', 'https://github.com/'], ['Work GitHub', 'https://github.com/'], ['accounts.google.com', undefined]]));
+        fs.writeFileSync(input, data);
+
+        try {
+            const result = run(['--dry-run', '--report-format', 'json', input]);
+            assert.equal(result.status, 0, result.stderr);
+            assert.deepEqual(JSON.parse(result.stdout), [
+                { vault: 'Personal', uuid: 'i0', oldTitle: 'github.com', newTitle: 'GitHub', source: 'title', rule: 'exact github.com (built-in)', status: 'would-rename' },
+                { vault: 'Personal', uuid: 'i2', oldTitle: 'accounts.google.com', newTitle: 'Google', source: 'title', rule: 'exact accounts.google.com (built-in)', status: 'would-rename' }
+            ]);
+            assert.equal(fs.readFileSync(input, 'utf8'), data);
+            assert.deepEqual(fs.readdirSync(dir), ['export.data']);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
+
+describe('--in-place', () => {
+    it('keeps an encrypted input encrypted with the same passphrase', () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'domain-converter-'));
+        const input = path.join(dir, 'export.json');
+        fs.writeFileSync(input, createEncryptor(PASSPHRASE).encrypt(JSON.stringify(EXPORT)));
+
+        try {
+            const result = run(['--in-place', input]);
+            assert.equal(result.status, 0, result.stderr);
+
+            assert.ok(isEncryptedFile(input));
+            assert.ok(isEncryptedFile(`${input}.bak`));
+            const converted = JSON.parse(decryptText(fs.readFileSync(input, 'utf8'), PASSPHRASE));
+            assert.equal(converted.vaults.v1.items[0].data.metadata.name, 'GitHub');
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    it('leaves a plaintext input in plaintext', () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'domain-converter-'));
+        const input = path.join(dir, 'export.json');
+        fs.writeFileSync(input, JSON.stringify(EXPORT));
+
+        try {
+            const result = run(['--in-place', input]);
+            assert.equal(result.status, 0, result.stderr);
+            assert.equal(JSON.parse(fs.readFileSync(input, 'utf8')).vaults.v1.items[0].data.metadata.name, 'GitHub');
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
+
+describe('encrypted input', () => {
+    it('encrypts the output and report with the same passphrase', () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'domain-converter-'));
+        const input = path.join(dir, 'export.json.enc');
+        const output = path.join(dir, 'converted.json');
+        const report = path.join(dir, 'renames.csv');
+        fs.writeFileSync(input, createEncryptor(PASSPHRASE).encrypt(JSON.stringify(EXPORT)));
+
+        try {
+            const result = run(['--report', report, '--report-format', 'csv', input, output]);
+            assert.equal(result.status, 0, result.stderr);
+
+            assert.ok(isEncryptedFile(output));
+            assert.ok(isEncryptedFile(report));
+            const converted = JSON.parse(decryptText(fs.readFileSync(output, 'utf8'), PASSPHRASE));
+            assert.equal(converted.vaults.v1.items[0].data.metadata.name, 'GitHub');
+            assert.match(decryptText(fs.readFileSync(report, 'utf8'), PASSPHRASE), /github\.com/);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
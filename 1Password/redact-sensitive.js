@@ -11,14 +11,47 @@
  *   node redact-sensitive.js --help
  *
  * Options:
- *   --config <file>    Specify a configuration file for custom redaction rules
+ *   --config <file>    Specify a configuration file: patterns, rules with
+ *                      JSONPath-style selectors and actions, and allow-lists
  *   --preserve-keys    Preserve sensitive property keys but redact values only
- *   --dry-run          Show what would be redacted without making changes
+ *   --dry-run          Report what would be redacted without making changes
+ *   --report <file>    Write the dry-run report to a file
+ *   --report-format    Dry-run report format: table, csv, json or sarif
+ *   --fail-on <counter>[=<max>]  Exit with status 2 past a redaction count
+ *   --schema 1pux      Redact a 1PUX export.data by field meaning instead of key names
+ *   --redact-ids       With --schema 1pux, also replace item, vault and account UUIDs
+ *   --pseudonymize     Replace sensitive values with consistent fakes of the same shape
+ *   --pseudonym-key-file  Read the pseudonymization and hashing key from a file
+ *   --encrypt          Encrypt the output file with a passphrase (implied by encrypted input)
+ *   --passphrase-file  Read the passphrase from a file
+ *   --quiet            Only print errors
+ *   --verbose          Also print the configuration in use
+ *   --debug            Also print every redacted path
  *   --help             Show this help message
  */
 
+const crypto = require("node:crypto");
 const fs = require("node:fs");
 const path = require("node:path");
+const { LOG_LEVEL_FLAGS, createLogger } = require("../lib/logger");
+const {
+	PASSPHRASE_ENV,
+	isEncrypted,
+	isEncryptedFile,
+	createEncryptor,
+	decryptText,
+	passphraseSource,
+} = require("../lib/encryption");
+const { createPseudonymizer } = require("../lib/pseudonymize");
+const { compileSelector, matchSelector, formatPath } = require("../lib/selectors");
+const { REPORT_FORMATS, formatReport } = require("../lib/report");
+const { DETECTOR_NAMES, detectSecrets, replaceSecrets } = require("../lib/detectors");
+
+// Environment variable read for the pseudonymization key when no key file is given
+const PSEUDONYM_KEY_ENV = "PSEUDONYM_KEY";
+
+// Messages are masked, so nothing sensitive from the input reaches the terminal
+const log = createLogger({ stream: process.stdout });
 
 /**
  * Default configuration for sensitive data patterns
@@ -57,38 +90,235 @@ const DEFAULT_CONFIG = {
 		"socialSecurityNumber",
 	],
 
-	// Value patterns that indicate sensitive data
+	// Value patterns that make a whole value sensitive
 	sensitivePatterns: [
 		/^\d{4,6}$/, // PIN-like numbers (4-6 digits)
 		/^[a-f0-9]{8}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{12}$/i, // UUID format
-		/^testpass123!$/i, // Example password pattern
-		/^fakepassword456$/i, // Example password history pattern
-		/^test@example\.com$/i, // Example email pattern
 	],
 
+	// Detectors from lib/detectors.js whose matches are replaced inside any string
+	detectors: DETECTOR_NAMES,
+
 	// Replacement text for sensitive values
 	redactionText: "[REDACTED]",
 
 	// Whether to preserve the original property keys
 	preserveKeys: false,
+
+	// Layout-aware redaction instead of key-name matching: null or "1pux"
+	schema: null,
+
+	// With a schema, also replace structural IDs (UUIDs, document IDs)
+	redactIds: false,
+
+	// Replace sensitive values with fakes of the same shape instead of redactionText
+	pseudonymize: false,
+
+	// Rules tried in order before the checks above: {name, select, key, value, action}
+	rules: [],
+
+	// Selectors of paths and values (exact strings or "/regex/flags") never redacted
+	allowPaths: [],
+	allowValues: [],
 };
 
+// What a rule can do with the value it matches
+const RULE_ACTIONS = ["drop", "mask", "hash", "pseudonymize", "keep"];
+const RULE_KEYS = ["name", "select", "key", "value", "detect", "action"];
+
+// Configurations already validated and compiled by compileConfig
+const compiledConfigs = new WeakSet();
+
+// Dry-run audit report formats and columns
+const AUDIT_FORMATS = [...REPORT_FORMATS, "sarif"];
+const AUDIT_COLUMNS = [
+	{ key: "path", label: "Path" },
+	{ key: "action", label: "Action" },
+	{ key: "rule", label: "Rule" },
+	{ key: "vault", label: "Vault" },
+];
+const AUDIT_ACTION_VERBS = { drop: "dropped", mask: "masked", hash: "hashed", pseudonymize: "pseudonymized" };
+
+// Exit status when a --fail-on threshold is exceeded, apart from 1 for errors
+const THRESHOLD_EXIT_CODE = 2;
+
+// 1PUX section field value types, by what they hold
+const ONEPUX_SECRET_VALUE_TYPES = ["concealed", "totp", "creditCardNumber", "sshKey"];
+const ONEPUX_PERSONAL_VALUE_TYPES = ["email", "phone", "address"];
+
+/**
+ * Compile a regular expression from the config: a RegExp, "/source/flags"
+ * or a bare source string
+ */
+function compilePattern(pattern, where) {
+	if (pattern instanceof RegExp) {
+		return pattern;
+	}
+	if (typeof pattern !== "string" || !pattern) {
+		throw new Error(`${where} must be a non-empty regular expression string`);
+	}
+
+	const literal = /^\/(.*)\/([a-z]*)$/s.exec(pattern);
+	const [source, flags] = literal ? [literal[1], literal[2]] : [pattern, ""];
+	if (/[gy]/.test(flags)) {
+		throw new Error(`${where}: the g and y flags are not supported`);
+	}
+	try {
+		return new RegExp(source, flags);
+	} catch (error) {
+		throw new Error(`${where}: ${error.message}`);
+	}
+}
+
+/**
+ * Check a list of detector names from the config
+ */
+function checkDetectors(names, where) {
+	if (!Array.isArray(names)) {
+		throw new Error(`${where} must be an array of detector names`);
+	}
+	const unknown = names.filter((name) => !DETECTOR_NAMES.includes(name));
+	if (unknown.length > 0) {
+		throw new Error(`${where} has unknown detectors: ${unknown.join(", ")} (expected ${DETECTOR_NAMES.join(", ")})`);
+	}
+	return names;
+}
+
+/**
+ * Validate and compile one rule
+ */
+function compileRule(rule, index) {
+	const where = `rules[${index}]`;
+	if (rule === null || typeof rule !== "object" || Array.isArray(rule)) {
+		throw new Error(`${where} must be an object`);
+	}
+
+	const unknown = Object.keys(rule).filter((key) => !RULE_KEYS.includes(key));
+	if (unknown.length > 0) {
+		throw new Error(`${where} has unknown properties: ${unknown.join(", ")} (expected ${RULE_KEYS.join(", ")})`);
+	}
+	if (!RULE_ACTIONS.includes(rule.action)) {
+		throw new Error(`${where} has action ${JSON.stringify(rule.action)} (expected ${RULE_ACTIONS.join(", ")})`);
+	}
+	if (rule.select === undefined && rule.key === undefined && rule.value === undefined && rule.detect === undefined) {
+		throw new Error(`${where} needs at least one of select, key, value or detect`);
+	}
+	if (rule.name !== undefined && typeof rule.name !== "string") {
+		throw new Error(`${where}.name must be a string`);
+	}
+
+	let selector = null;
+	if (rule.select !== undefined) {
+		try {
+			selector = compileSelector(rule.select);
+		} catch (error) {
+			throw new Error(`${where}.select: ${error.message}`);
+		}
+	}
+
+	return {
+		label: rule.name ? `rule "${rule.name}"` : where,
+		action: rule.action,
+		selector,
+		key: rule.key === undefined ? null : compilePattern(rule.key, `${where}.key`),
+		value: rule.value === undefined ? null : compilePattern(rule.value, `${where}.value`),
+		detect: rule.detect === undefined ? null : checkDetectors(rule.detect, `${where}.detect`),
+	};
+}
+
+/**
+ * Validate a configuration and compile its patterns, rules and allow-lists
+ *
+ * Returns a new configuration; compiling it again returns it unchanged.
+ */
+function compileConfig(config) {
+	if (compiledConfigs.has(config)) {
+		return config;
+	}
+
+	const merged = { ...DEFAULT_CONFIG, ...config };
+	for (const name of ["sensitiveKeys", "sensitiveProperties"]) {
+		if (!Array.isArray(merged[name]) || merged[name].some((item) => typeof item !== "string")) {
+			throw new Error(`${name} must be an array of strings`);
+		}
+	}
+	for (const name of ["sensitivePatterns", "rules", "allowPaths", "allowValues"]) {
+		if (!Array.isArray(merged[name])) {
+			throw new Error(`${name} must be an array`);
+		}
+	}
+	for (const name of ["preserveKeys", "redactIds", "pseudonymize"]) {
+		if (typeof merged[name] !== "boolean") {
+			throw new Error(`${name} must be true or false`);
+		}
+	}
+	if (typeof merged.redactionText !== "string") {
+		throw new Error("redactionText must be a string");
+	}
+	if (merged.schema !== null && merged.schema !== "1pux") {
+		throw new Error(`schema must be null or "1pux", not ${JSON.stringify(merged.schema)}`);
+	}
+
+	const compiled = {
+		...merged,
+		detectors: checkDetectors(merged.detectors, "detectors"),
+		sensitivePatterns: merged.sensitivePatterns.map((pattern, index) =>
+			compilePattern(pattern, `sensitivePatterns[${index}]`),
+		),
+		rules: merged.rules.map(compileRule),
+		allowPaths: merged.allowPaths.map((selector, index) => {
+			try {
+				return compileSelector(selector);
+			} catch (error) {
+				throw new Error(`allowPaths[${index}]: ${error.message}`);
+			}
+		}),
+		allowValues: merged.allowValues.map((allowed, index) => {
+			if (typeof allowed !== "string") {
+				throw new Error(`allowValues[${index}] must be a string`);
+			}
+			if (/^\/.*\/[a-z]*$/s.test(allowed)) {
+				const pattern = compilePattern(allowed, `allowValues[${index}]`);
+				return (value) => pattern.test(value);
+			}
+			return (value) => value === allowed;
+		}),
+	};
+
+	compiledConfigs.add(compiled);
+	return compiled;
+}
+
 /**
  * Load configuration from file or use defaults
+ *
+ * Throws if the file cannot be read or the configuration is invalid, rather
+ * than redacting with a policy other than the one asked for.
  */
 function loadConfig(configPath) {
 	if (!configPath) {
-		return DEFAULT_CONFIG;
+		return compileConfig(DEFAULT_CONFIG);
+	}
+
+	let userConfig;
+	try {
+		userConfig = JSON.parse(fs.readFileSync(configPath, "utf8"));
+	} catch (error) {
+		throw new Error(`Error loading config file ${configPath}: ${error.message}`);
+	}
+	if (userConfig === null || typeof userConfig !== "object" || Array.isArray(userConfig)) {
+		throw new Error(`Config file ${configPath} must hold a JSON object`);
+	}
+
+	const unknown = Object.keys(userConfig).filter((key) => !Object.hasOwn(DEFAULT_CONFIG, key));
+	if (unknown.length > 0) {
+		throw new Error(`Config file ${configPath} has unknown settings: ${unknown.join(", ")}`);
 	}
 
 	try {
-		const configData = fs.readFileSync(configPath, "utf8");
-		const userConfig = JSON.parse(configData);
-		return { ...DEFAULT_CONFIG, ...userConfig };
+		return compileConfig(userConfig);
 	} catch (error) {
-		console.error(`Error loading config file ${configPath}:`, error.message);
-		console.log("Using default configuration.");
-		return DEFAULT_CONFIG;
+		throw new Error(`Invalid config file ${configPath}: ${error.message}`);
 	}
 }
 
@@ -121,74 +351,517 @@ function isSensitiveValue(value, config) {
 }
 
 /**
- * Recursively redact sensitive data from an object
+ * Apply a function to every primitive in a value, keeping the structure of
+ * objects and arrays
  */
-function redactObject(obj, config, parentPath = "") {
-	if (obj === null || typeof obj !== "object") {
-		return obj;
+function mapLeaves(value, replace) {
+	if (Array.isArray(value)) {
+		return value.map((item) => mapLeaves(item, replace));
+	}
+	if (value !== null && typeof value === "object") {
+		return Object.fromEntries(
+			Object.entries(value).map(([key, item]) => [key, mapLeaves(item, replace)]),
+		);
 	}
+	return replace(value);
+}
 
-	// Handle arrays
-	if (Array.isArray(obj)) {
-		return obj.map((item, index) => {
-			const currentPath = `${parentPath}[${index}]`;
-			return redactObject(item, config, currentPath);
-		});
+/**
+ * Replace a value according to a rule action (any but drop)
+ *
+ * mask gives the redaction text, hash an HMAC-SHA256 of each string and
+ * number keyed with the pseudonymization key, and pseudonymize a fake of
+ * the same shape (see lib/pseudonymize.js). With detector matches, only the
+ * matches inside the string are replaced.
+ */
+function applyAction(action, value, config, matches = null) {
+	if (matches && action !== "keep") {
+		return replaceSecrets(value, matches, (match) => applyAction(action, match, config));
 	}
 
-	// Handle objects
-	const redacted = {};
+	switch (action) {
+		case "keep":
+			return value;
+
+		case "mask":
+			return config.redactionText;
 
-	for (const [key, value] of Object.entries(obj)) {
-		const currentPath = parentPath ? `${parentPath}.${key}` : key;
+		case "hash":
+			if (!config.hashKey) {
+				throw new Error("The hash action needs a key (config.hashKey)");
+			}
+			return mapLeaves(value, (leaf) =>
+				typeof leaf === "string" || typeof leaf === "number"
+					? `hmac-sha256:${crypto.createHmac("sha256", config.hashKey).update(String(leaf)).digest("hex")}`
+					: leaf,
+			);
 
-		// Check if this key indicates sensitive data
-		if (isSensitiveKey(key, config)) {
-			if (config.preserveKeys) {
-				redacted[key] = config.redactionText;
+		case "pseudonymize":
+			if (!config.pseudonymizer) {
+				throw new Error("The pseudonymize action needs a pseudonymizer (config.pseudonymizer)");
 			}
-			// If not preserving keys, skip this property entirely
+			return mapLeaves(value, config.pseudonymizer);
+
+		default:
+			throw new Error(`Unknown action: ${action}`);
+	}
+}
+
+/**
+ * Check whether a compiled rule matches a node
+ */
+function ruleMatches(rule, path, nodes) {
+	const key = path[path.length - 1];
+	const value = nodes[nodes.length - 1];
+
+	if (rule.key && (typeof key !== "string" || !rule.key.test(key))) {
+		return false;
+	}
+	if (rule.value && ((typeof value !== "string" && typeof value !== "number") || !rule.value.test(String(value)))) {
+		return false;
+	}
+	return !rule.selector || matchSelector(rule.selector, path, nodes);
+}
+
+/**
+ * Decide what happens to a node: the allow-lists win, then the first
+ * matching rule, then the base decision of the redaction mode
+ */
+function decide(config, path, nodes, baseDecision) {
+	const value = nodes[nodes.length - 1];
+
+	if (config.allowPaths.some((selector) => matchSelector(selector, path, nodes))) {
+		return { action: "keep", reason: "allowPaths" };
+	}
+	if (typeof value === "string" && config.allowValues.some((allowed) => allowed(value))) {
+		return { action: "keep", reason: "allowValues" };
+	}
+
+	for (const rule of config.rules) {
+		if (!ruleMatches(rule, path, nodes)) {
 			continue;
 		}
+		if (!rule.detect) {
+			return { action: rule.action, reason: rule.label };
+		}
+		// Detector rules match only strings with a detection, and replace only what was found
+		const matches = detectSecrets(value, rule.detect);
+		if (matches.length > 0) {
+			return { action: rule.action, reason: rule.label, matches: rule.action === "drop" ? null : matches };
+		}
+	}
 
-		// Recursively process nested objects/arrays
-		if (value !== null && typeof value === "object") {
-			redacted[key] = redactObject(value, config, currentPath);
-		} else {
-			// Check if the value itself is sensitive
-			if (isSensitiveValue(value, config)) {
-				redacted[key] = config.redactionText;
-			} else {
-				redacted[key] = value;
+	return baseDecision(path, nodes) || detectionDecision(value, config);
+}
+
+/**
+ * Replace what the configured detectors find inside a string
+ */
+function detectionDecision(value, config) {
+	const matches = detectSecrets(value, config.detectors);
+	if (matches.length === 0) {
+		return null;
+	}
+	const detectors = [...new Set(matches.map((match) => match.detector))];
+	return {
+		action: config.pseudonymize ? "pseudonymize" : "mask",
+		reason: `detector ${detectors.join(", ")}`,
+		matches,
+	};
+}
+
+/**
+ * Walk a document and apply the decision for every property and array
+ * element; nodes without a decision are walked into. onRedact, if given, is
+ * called with the path, nodes and decision of everything not kept.
+ */
+function redactTree(data, config, baseDecision, onRedact = null) {
+	const walk = (node, path, nodes) => {
+		const children = Array.isArray(node) ? node.map((item, index) => [index, item]) : Object.entries(node);
+		const kept = [];
+
+		for (const [key, value] of children) {
+			const childPath = [...path, key];
+			const childNodes = [...nodes, value];
+			const decision = decide(config, childPath, childNodes, baseDecision);
+
+			if (!decision) {
+				kept.push([key, value !== null && typeof value === "object" ? walk(value, childPath, childNodes) : value]);
+				continue;
+			}
+
+			if (decision.action !== "keep") {
+				const verb = decision.action === "drop" ? "Dropping" : "Redacting";
+				log.debug(`${verb} ${formatPath(childPath)} (${decision.reason})`);
+				if (onRedact) {
+					onRedact(childPath, childNodes, decision);
+				}
+			}
+			if (decision.action !== "drop") {
+				kept.push([key, applyAction(decision.action, value, config, decision.matches)]);
 			}
 		}
+
+		return Array.isArray(node) ? kept.map(([, value]) => value) : Object.fromEntries(kept);
+	};
+
+	return data !== null && typeof data === "object" ? walk(data, [], [data]) : data;
+}
+
+/**
+ * Recursively redact sensitive data from an object
+ *
+ * Sensitive keys are dropped, or kept with their value replaced when
+ * preserveKeys or pseudonymize is set; sensitive values are replaced, and
+ * so is anything the detectors find inside other strings. Rules and
+ * allow-lists in the config come first.
+ */
+function redactObject(obj, config, { onRedact = null } = {}) {
+	const compiled = compileConfig(config);
+	const replaceAction = compiled.pseudonymize ? "pseudonymize" : "mask";
+
+	return redactTree(obj, compiled, (path, nodes) => {
+		const key = path[path.length - 1];
+		if (typeof key === "string" && isSensitiveKey(key, compiled)) {
+			return {
+				action: compiled.preserveKeys || compiled.pseudonymize ? replaceAction : "drop",
+				reason: "sensitive key",
+			};
+		}
+		if (isSensitiveValue(nodes[nodes.length - 1], compiled)) {
+			return { action: replaceAction, reason: "sensitive value" };
+		}
+		return null;
+	}, onRedact);
+}
+
+/**
+ * Mark the sensitive fields of one 1PUX item by their meaning
+ */
+function mark1PUXItem(item, path, mark, config) {
+	if (config.redactIds) {
+		mark(item, "uuid", `${path}.uuid`, "item id");
 	}
+	mark(item.overview, "subtitle", `${path}.overview.subtitle`, "subtitle");
+
+	const details = item.details || {};
+	(details.loginFields || []).forEach((field, index) => {
+		let reason = "login field";
+		if (field.designation === "password" || field.fieldType === "P") {
+			reason = "password";
+		} else if (field.designation === "username") {
+			reason = "username";
+		}
+		mark(field, "value", `${path}.details.loginFields[${index}].value`, reason);
+	});
+
+	mark(details, "notesPlain", `${path}.details.notesPlain`, "notes");
+
+	(details.passwordHistory || []).forEach((entry, index) => {
+		mark(entry, "value", `${path}.details.passwordHistory[${index}].value`, "password history");
+	});
 
-	return redacted;
+	(details.sections || []).forEach((section, sectionIndex) => {
+		(section.fields || []).forEach((field, fieldIndex) => {
+			const value = field.value;
+			if (!value || typeof value !== "object") {
+				return;
+			}
+
+			const valuePath = `${path}.details.sections[${sectionIndex}].fields[${fieldIndex}].value`;
+			for (const type of Object.keys(value)) {
+				if (ONEPUX_SECRET_VALUE_TYPES.includes(type) || ONEPUX_PERSONAL_VALUE_TYPES.includes(type)) {
+					mark(value, type, `${valuePath}.${type}`, type);
+				} else if (type === "file" && value.file) {
+					mark(value.file, "fileName", `${valuePath}.file.fileName`, "attachment name");
+					if (config.redactIds) {
+						mark(value.file, "documentId", `${valuePath}.file.documentId`, "document id");
+					}
+				}
+			}
+		});
+	});
+
+	if (details.documentAttributes) {
+		mark(details.documentAttributes, "fileName", `${path}.details.documentAttributes.fileName`, "attachment name");
+		if (config.redactIds) {
+			mark(details.documentAttributes, "documentId", `${path}.details.documentAttributes.documentId`, "document id");
+		}
+	}
+}
+
+/**
+ * Redact a 1PUX export.data by the meaning of each field instead of key names
+ *
+ * Passwords, login form values, concealed, one-time password, card number,
+ * SSH key, email, phone and address fields, password history, notes,
+ * subtitles, account names and emails and attachment file names are
+ * replaced, and so is anything the detectors find in other strings.
+ * Titles, URLs, tags, categories and designations are kept otherwise, and
+ * so are UUIDs and document IDs unless config.redactIds is set. Keys are
+ * only removed by drop rules, so the result keeps the 1PUX layout.
+ */
+function redact1PUX(data, config, { onRedact = null } = {}) {
+	if (!Array.isArray(data?.accounts)) {
+		throw new Error("Input is not a 1PUX export.data (no accounts array)");
+	}
+
+	const compiled = compileConfig(config);
+	const sensitive = new Map();
+	const mark = (parent, key, path, reason) => {
+		if (!parent || parent[key] === undefined || parent[key] === null || parent[key] === "") {
+			return;
+		}
+		sensitive.set(path, reason);
+	};
+
+	data.accounts.forEach((account, accountIndex) => {
+		const accountPath = `accounts[${accountIndex}]`;
+		for (const key of ["accountName", "name", "email"]) {
+			mark(account.attrs, key, `${accountPath}.attrs.${key}`, "account");
+		}
+		if (compiled.redactIds) {
+			mark(account.attrs, "uuid", `${accountPath}.attrs.uuid`, "account id");
+		}
+
+		(account.vaults || []).forEach((vault, vaultIndex) => {
+			const vaultPath = `${accountPath}.vaults[${vaultIndex}]`;
+			if (compiled.redactIds) {
+				mark(vault.attrs, "uuid", `${vaultPath}.attrs.uuid`, "vault id");
+			}
+			(vault.items || []).forEach((item, itemIndex) => {
+				mark1PUXItem(item, `${vaultPath}.items[${itemIndex}]`, mark, compiled);
+			});
+		});
+	});
+
+	const replaceAction = compiled.pseudonymize ? "pseudonymize" : "mask";
+	return redactTree(data, compiled, (path) => {
+		const reason = sensitive.get(formatPath(path));
+		return reason ? { action: replaceAction, reason } : null;
+	}, onRedact);
+}
+
+/**
+ * Redact data with the schema chosen in the config, or by key names
+ */
+function redactData(data, config, options = {}) {
+	if (config.schema === "1pux") {
+		return redact1PUX(data, config, options);
+	}
+	return redactObject(data, config, options);
+}
+
+/**
+ * Name the vault a path is in: accounts[].vaults[] of 1PUX, the vaults map
+ * of Proton Pass exports, or "" outside any vault
+ */
+function vaultOf(path, nodes) {
+	const index = path.indexOf("vaults");
+	if (index === -1 || index + 1 >= path.length) {
+		return "";
+	}
+	const vault = nodes[index + 2];
+	return String(vault?.attrs?.name ?? vault?.name ?? path[index + 1]);
+}
+
+/**
+ * Redact data and list every path that was dropped or replaced, with the
+ * rule or check that matched it and the vault it is in
+ */
+function auditData(data, config) {
+	const findings = [];
+	const redacted = redactData(data, config, {
+		onRedact: (path, nodes, decision) => {
+			findings.push({
+				path: formatPath(path),
+				action: decision.action,
+				rule: decision.reason,
+				vault: vaultOf(path, nodes),
+			});
+		},
+	});
+	return { redacted, findings };
+}
+
+/**
+ * Count findings by one of their properties, most frequent first
+ */
+function countFindings(findings, key) {
+	const counts = new Map();
+	for (const finding of findings) {
+		counts.set(finding[key], (counts.get(finding[key]) || 0) + 1);
+	}
+	return [...counts].sort((a, b) => b[1] - a[1]).map(([name, count]) => ({ [key]: name, count }));
+}
+
+/**
+ * Render the audit of a dry run as a table, CSV, JSON or SARIF
+ *
+ * The table and JSON add counts per action, rule and vault; CSV has one row
+ * per finding. SARIF gives a result per finding, with the rules that matched
+ * as the tool's rules and the JSON path as a logical location, for code
+ * scanning dashboards.
+ */
+function formatAudit(findings, format, inputFile) {
+	const byAction = countFindings(findings, "action");
+	const byRule = countFindings(findings, "rule");
+	const byVault = countFindings(findings, "vault").filter((row) => row.vault !== "");
+
+	switch (format) {
+		case "table": {
+			const sections = [
+				formatReport(findings, AUDIT_COLUMNS, "table"),
+				`By rule:\n${formatReport(byRule, [{ key: "rule", label: "Rule" }, { key: "count", label: "Paths" }], "table")}`,
+			];
+			if (byVault.length > 0) {
+				sections.push(
+					`By vault:\n${formatReport(byVault, [{ key: "vault", label: "Vault" }, { key: "count", label: "Paths" }], "table")}`,
+				);
+			}
+			const actions = byAction.map(({ action, count }) => `${count} ${AUDIT_ACTION_VERBS[action]}`);
+			sections.push(`${findings.length} paths would be redacted${actions.length > 0 ? `: ${actions.join(", ")}` : ""}`);
+			return sections.join("\n\n");
+		}
+
+		case "csv":
+			return formatReport(findings, AUDIT_COLUMNS, "csv");
+
+		case "json": {
+			const counts = (rows, key) => Object.fromEntries(rows.map((row) => [row[key], row.count]));
+			return JSON.stringify(
+				{
+					input: inputFile,
+					total: findings.length,
+					byAction: counts(byAction, "action"),
+					byRule: counts(byRule, "rule"),
+					byVault: counts(byVault, "vault"),
+					findings: JSON.parse(formatReport(findings, AUDIT_COLUMNS, "json")),
+				},
+				null,
+				2,
+			);
+		}
+
+		case "sarif":
+			return JSON.stringify(
+				{
+					$schema: "https://json.schemastore.org/sarif-2.1.0.json",
+					version: "2.1.0",
+					runs: [
+						{
+							tool: {
+								driver: {
+									name: "redact-sensitive",
+									rules: byRule.map(({ rule }) => ({ id: rule, shortDescription: { text: rule } })),
+								},
+							},
+							results: findings.map((finding) => ({
+								ruleId: finding.rule,
+								level: finding.action === "drop" || finding.action === "mask" ? "warning" : "note",
+								message: { text: `${finding.path} would be ${AUDIT_ACTION_VERBS[finding.action]}` },
+								locations: [
+									{
+										physicalLocation: { artifactLocation: { uri: inputFile } },
+										logicalLocations: [{ fullyQualifiedName: finding.path, kind: "member" }],
+									},
+								],
+								properties: { action: finding.action, vault: finding.vault },
+							})),
+						},
+					],
+				},
+				null,
+				2,
+			);
+
+		default:
+			throw new Error(`Unknown report format "${format}" (expected ${AUDIT_FORMATS.join(", ")})`);
+	}
+}
+
+/**
+ * Parse a --fail-on threshold: <counter>[=<max>], where the counter is
+ * total, an action, rule:<name> or vault:<name> and max defaults to 0
+ */
+function parseThreshold(text) {
+	const match = /^(total|drop|mask|hash|pseudonymize|rule:.+?|vault:.+?)(?:=(\d+))?$/.exec(text || "");
+	if (!match) {
+		throw new Error(
+			`Invalid --fail-on threshold "${text}" (expected total, drop, mask, hash, pseudonymize, rule:<name> or vault:<name>, optionally followed by =<max>)`,
+		);
+	}
+	return { counter: match[1], max: match[2] === undefined ? 0 : Number(match[2]) };
+}
+
+/**
+ * Check findings against --fail-on thresholds
+ *
+ * Returns a message for every threshold exceeded.
+ */
+function exceededThresholds(findings, thresholds) {
+	return thresholds.flatMap(({ counter, max }) => {
+		let count;
+		if (counter === "total") {
+			count = findings.length;
+		} else if (counter.startsWith("rule:")) {
+			const name = counter.slice("rule:".length);
+			count = findings.filter((finding) => finding.rule === name || finding.rule === `rule "${name}"`).length;
+		} else if (counter.startsWith("vault:")) {
+			count = findings.filter((finding) => finding.vault === counter.slice("vault:".length)).length;
+		} else {
+			count = findings.filter((finding) => finding.action === counter).length;
+		}
+		return count > max ? [`${counter}: ${count} paths (at most ${max} allowed)`] : [];
+	});
+}
+
+/**
+ * Read a JSON file, decrypting it if it was written with --encrypt
+ */
+function readJSONFile(inputPath, passphrase) {
+	let inputData = fs.readFileSync(inputPath, "utf8");
+	if (isEncrypted(inputData)) {
+		if (!passphrase) {
+			throw new Error("The file is encrypted and no passphrase was given");
+		}
+		inputData = decryptText(inputData, passphrase);
+	}
+	return JSON.parse(inputData);
 }
 
 /**
  * Process a JSON file and redact sensitive data
+ *
+ * Nothing is written when a --fail-on threshold is exceeded. Returns the
+ * exit status: 0, 1 on errors or THRESHOLD_EXIT_CODE.
  */
-function processFile(inputPath, outputPath, config) {
+function processFile(inputPath, outputPath, config, { passphrase = null, encryptor = null, thresholds = [] } = {}) {
 	try {
 		// Read input file
-		const inputData = fs.readFileSync(inputPath, "utf8");
-		const jsonData = JSON.parse(inputData);
+		const jsonData = readJSONFile(inputPath, passphrase);
 
 		// Redact sensitive data
-		const redactedData = redactObject(jsonData, config);
+		const { redacted: redactedData, findings } = auditData(jsonData, config);
 
-		// Write output file
-		fs.writeFileSync(outputPath, JSON.stringify(redactedData, null, 2));
+		const exceeded = exceededThresholds(findings, thresholds);
+		if (exceeded.length > 0) {
+			exceeded.forEach((message) => log.error(`Threshold exceeded: ${message}`));
+			log.error(`Nothing was written to ${outputPath}`);
+			return THRESHOLD_EXIT_CODE;
+		}
 
-		console.log(`Successfully processed ${inputPath}`);
-		console.log(`Redacted data written to ${outputPath}`);
+		// Write output file, encrypted if requested
+		const outputData = JSON.stringify(redactedData, null, 2);
+		fs.writeFileSync(outputPath, encryptor ? encryptor.encrypt(outputData) : outputData);
 
-		return true;
+		log.info(`Successfully processed ${inputPath}`);
+		log.info(`Redacted data written to ${outputPath}`);
+
+		return 0;
 	} catch (error) {
-		console.error(`Error processing file:`, error.message);
-		return false;
+		log.error(`Error processing file:`, error.message);
+		return 1;
 	}
 }
 
@@ -209,42 +882,131 @@ Arguments:
 Options:
   --config <file>       Specify a configuration file for custom redaction rules
   --preserve-keys       Preserve sensitive property keys but redact values only
-  --dry-run            Show what would be redacted without making changes
+  --dry-run            Report every path that would be dropped or replaced, with
+                       the rule that matched it and counts per rule and vault,
+                       without writing anything
+  --report <file>      With --dry-run, write the report to a file instead of stdout
+  --report-format <format>
+                       Report format: table, csv, json or sarif (default: table)
+  --fail-on <counter>[=<max>]
+                       Exit with status 2 when more than max paths (default 0)
+                       would be redacted, counting total, drop, mask, hash,
+                       pseudonymize, rule:<name> or vault:<name>; may be
+                       repeated. Without --dry-run, nothing is written then
+  --schema 1pux        Redact a 1PUX export.data by what each field holds
+                       (passwords, concealed and one-time password fields, card
+                       numbers, password history, notes, usernames, emails,
+                       attachment names) instead of by key name; keys, titles,
+                       URLs and IDs are kept
+  --redact-ids         With --schema 1pux, also replace item, vault and account
+                       UUIDs and document IDs
+  --pseudonymize       Replace sensitive values with fakes of the same kind and
+                       shape (emails, UUIDs, same-length passwords) instead of
+                       [REDACTED]; equal values get equal fakes, so duplicates
+                       and reuse still show. Sensitive keys are kept
+  --pseudonym-key-file <file>
+                       Secret key for --pseudonymize and the hash and pseudonymize
+                       rule actions, so fakes and hashes match across runs
+                       (default: $${PSEUDONYM_KEY_ENV}, else a random key per run)
+  --encrypt            Encrypt the output file with a passphrase (default output
+                       name gets .enc; decrypt with decrypt.js). Implied by
+                       encrypted input, which is decrypted and encrypted again
+                       with the same passphrase
+  --passphrase-file <file>
+                       Read the passphrase from the first line of a file
+                       (default: $${PASSPHRASE_ENV}, else ask on the terminal)
+  --quiet              Only print errors
+  --verbose            Also print the configuration in use
+  --debug              Also print every redacted path
+                       (anything that looks like a secret is masked in all messages)
   --help               Show this help message
 
 Examples:
   node redact-sensitive.js data.json redacted-data.json
   node redact-sensitive.js --config custom-config.json --preserve-keys export.json
   node redact-sensitive.js --dry-run sensitive-data.json
+  node redact-sensitive.js --dry-run --report-format sarif --report audit.sarif export.json
+  node redact-sensitive.js --config policy.json --fail-on rule:notes --fail-on drop=20 export.json shareable.json
+  node redact-sensitive.js --schema 1pux --pseudonymize export.data shareable.json
+  node redact-sensitive.js --pseudonymize --pseudonym-key-file team.key export.json shareable.json
+  node redact-sensitive.js --encrypt converted.json.enc shareable.json.enc
 
 Configuration File Format:
   {
+    "rules": [
+      { "name": "notes", "select": "$..details.notesPlain", "action": "mask" }
+    ],
+    "allowPaths": ["$.accounts[*].attrs.domain"],
+    "allowValues": ["n/a", "/^https?:/i"]
+  }
+
+  Other rules, one per line of the "rules" array:
+    { "name": "keep titles", "select": "$..overview.title", "action": "keep" }
+    { "select": "$..loginFields[?(@.designation == 'username')].value", "action": "hash" }
+    { "key": "/^(cvv|pin)$/i", "action": "drop" }
+    { "select": "$..notesPlain", "detect": ["email", "phone"], "action": "pseudonymize" }
+    { "value": "^AKIA[0-9A-Z]{16}$", "action": "mask" }
+
+  Other settings:
     "sensitiveKeys": ["password", "pin", "email", "uuid"],
     "sensitiveProperties": ["password", "pin", "emailAddress"],
-    "sensitivePatterns": [
-      "\\\\d{4,6}$",
-      "[a-f0-9]{8}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{12}"
-    ],
+    "sensitivePatterns": ["\\\\d{4,6}$"],
+    "detectors": ["aws-access-key", "github-token", "jwt", "pem-private-key", "card-number"],
     "redactionText": "[REDACTED]",
-    "preserveKeys": false
-  }
+    "preserveKeys": false,
+    "schema": null,
+    "redactIds": false,
+    "pseudonymize": false
+
+  Settings not in the file keep their defaults; unknown settings, malformed
+  patterns or selectors and invalid rules are errors. Patterns are regular
+  expressions, written "/source/flags" or as a bare source.
+
+Rules:
+  Each rule has an action and at least one of:
+    select   JSONPath-style selector of the path: $ (root), .name, ['name'],
+             [0], * (any property or index), .. (any depth),
+             [?(@.a.b)] and [?(@.a == 'x')] (children by content; also !=)
+    key      Pattern for the property name
+    value    Pattern for a string or number value
+    detect   Detector names; matches strings in which one of them finds
+             something, and the action then replaces only what was found
+             (drop still removes the whole value)
+  A rule matches when all of its criteria do. Every property and array
+  element is checked against the allow-lists first, then the rules in order
+  (the first match wins), then the sensitive keys and patterns or the schema,
+  and last the detectors, whose matches are replaced inside the string.
+  Actions:
+    drop          Remove the property or array element
+    mask          Replace the value with redactionText
+    hash          Replace each string and number with hmac-sha256:<hex>
+    pseudonymize  Replace each string and number with a fake of the same shape
+    keep          Leave the value and everything inside it as it is
+  allowPaths and allowValues keep whatever they match, like a keep rule that
+  comes before all others; allowValues are exact strings or /patterns/.
 
 Default Sensitive Properties:
   - password, pin, emailAddress, uuid, secretKey, accessToken, refreshToken
   - apiKey, privateKey, creditCardNumber, cvv, ssn, socialSecurityNumber
 
-Default Sensitive Patterns:
+Default Sensitive Patterns (whole values):
   - PIN-like numbers (4-6 digits)
   - UUID format (xxxxxxxx-xxxx-xxxx-xxxx-xxxxxxxxxxxx)
-  - Common password patterns
-  - Email address patterns
+
+Detectors (all on by default; found inside any string, e.g. in notes):
+  pem-private-key, jwt, aws-access-key, aws-secret-key, gcp-api-key,
+  gcp-oauth-token, github-token, slack-token, slack-webhook, stripe-key,
+  card-number, iban, email, phone, high-entropy
+  Card numbers must pass the Luhn check and IBANs the mod 97 check;
+  high-entropy finds mixed-case alphanumeric tokens of 20 or more
+  characters and hex of 32 or more that look randomly generated
 `);
 }
 
 /**
  * Main execution function
  */
-function main() {
+async function main() {
 	const args = process.argv.slice(2);
 
 	// Parse command line arguments
@@ -253,6 +1015,25 @@ function main() {
 	let configFile = null;
 	let preserveKeys = false;
 	let dryRun = false;
+	let logLevel = "info";
+	let encrypt = false;
+	let passphraseFile = null;
+	let pseudonymize = false;
+	let pseudonymKeyFile = null;
+	let schema = null;
+	let redactIds = false;
+	let reportFile = null;
+	let reportFormat = "table";
+	const thresholds = [];
+
+	// The value after an option; missing when the option comes last or is followed by another option
+	const optionValue = (option, value) => {
+		if (value === undefined || value.startsWith("--")) {
+			log.error(`Option ${option} requires a value`);
+			process.exit(1);
+		}
+		return value;
+	};
 
 	for (let i = 0; i < args.length; i++) {
 		const arg = args[i];
@@ -263,7 +1044,7 @@ function main() {
 				return;
 
 			case "--config":
-				configFile = args[++i];
+				configFile = optionValue(arg, args[++i]);
 				break;
 
 			case "--preserve-keys":
@@ -274,11 +1055,68 @@ function main() {
 				dryRun = true;
 				break;
 
+			case "--quiet":
+			case "--verbose":
+			case "--debug":
+				logLevel = LOG_LEVEL_FLAGS[arg];
+				break;
+
+			case "--encrypt":
+				encrypt = true;
+				break;
+
+			case "--passphrase-file":
+				passphraseFile = optionValue(arg, args[++i]);
+				break;
+
+			case "--schema":
+				schema = optionValue(arg, args[++i]);
+				if (schema !== "1pux") {
+					log.error(`Unknown schema: ${schema} (expected 1pux)`);
+					showHelp();
+					process.exit(1);
+				}
+				break;
+
+			case "--redact-ids":
+				redactIds = true;
+				break;
+
+			case "--report":
+				reportFile = optionValue(arg, args[++i]);
+				break;
+
+			case "--report-format":
+				reportFormat = optionValue(arg, args[++i]);
+				if (!AUDIT_FORMATS.includes(reportFormat)) {
+					log.error(`Unknown report format "${reportFormat}" (expected ${AUDIT_FORMATS.join(", ")})`);
+					showHelp();
+					process.exit(1);
+				}
+				break;
+
+			case "--fail-on":
+				try {
+					thresholds.push(parseThreshold(optionValue(arg, args[++i])));
+				} catch (error) {
+					log.error(error.message);
+					process.exit(1);
+				}
+				break;
+
+			case "--pseudonymize":
+				pseudonymize = true;
+				break;
+
+			case "--pseudonym-key-file":
+				pseudonymKeyFile = optionValue(arg, args[++i]);
+				break;
+
 			default:
 				if (arg.startsWith("--")) {
-					console.error(`Unknown option: ${arg}`);
+					log.error(`Unknown option: ${arg}`);
 					showHelp();
-					return;
+					process.exit(1);
 				}
 
 				if (!inputFile) {
@@ -286,101 +1124,161 @@ function main() {
 				} else if (!outputFile) {
 					outputFile = arg;
 				} else {
-					console.error("Too many arguments");
+					log.error("Too many arguments");
 					showHelp();
-					return;
+					process.exit(1);
 				}
 				break;
 		}
 	}
 
+	log.setLevel(logLevel);
+
 	// Validate arguments
 	if (!inputFile) {
-		console.error("Input file is required");
+		log.error("Input file is required");
 		showHelp();
-		return;
+		process.exit(1);
+	}
+	if ((reportFile || reportFormat !== "table") && !dryRun) {
+		log.error("--report and --report-format need --dry-run");
+		process.exit(1);
+	}
+
+	// Decrypted data never goes back to disk in plaintext: encrypted input implies --encrypt
+	const inputEncrypted = isEncryptedFile(inputFile);
+	if (inputEncrypted && !encrypt && !dryRun) {
+		log.info("Input is encrypted: encrypting the output with the same passphrase");
 	}
 
 	if (!outputFile) {
-		const parsed = path.parse(inputFile);
-		outputFile = `${parsed.name}.redacted${parsed.ext}`;
+		const parsed = path.parse(inputFile.replace(/\.enc$/, ""));
+		outputFile = `${parsed.name}.redacted${parsed.ext}${encrypt || inputEncrypted ? ".enc" : ""}`;
 	}
 
 	// Load configuration
-	const config = loadConfig(configFile);
-	if (preserveKeys) {
-		config.preserveKeys = true;
+	let config;
+	try {
+		config = loadConfig(configFile);
+	} catch (error) {
+		log.error(error.message);
+		process.exit(1);
+	}
+	config.preserveKeys = preserveKeys || config.preserveKeys;
+	config.schema = schema || config.schema;
+	config.redactIds = redactIds || config.redactIds;
+	config.pseudonymize = pseudonymize || config.pseudonymize;
+
+	// Pseudonyms and hashes need a key; the dry run lists the same paths with any key
+	const needsKey =
+		config.pseudonymize || config.rules.some((rule) => rule.action === "hash" || rule.action === "pseudonymize");
+	if (needsKey && dryRun) {
+		const key = crypto.randomBytes(32);
+		config.pseudonymizer = createPseudonymizer(key);
+		config.hashKey = key;
+	} else if (needsKey) {
+		let key = process.env[PSEUDONYM_KEY_ENV];
+		if (pseudonymKeyFile) {
+			try {
+				key = fs.readFileSync(pseudonymKeyFile, "utf8").trim();
+			} catch (error) {
+				log.error(`Error reading key file ${pseudonymKeyFile}:`, error.message);
+				process.exit(1);
+			}
+		}
+		if (!key) {
+			key = crypto.randomBytes(32);
+			log.info(
+				`Pseudonyms are consistent within this run only; pass --pseudonym-key-file or set ${PSEUDONYM_KEY_ENV} to reuse them`,
+			);
+		}
+		config.pseudonymizer = createPseudonymizer(key);
+		config.hashKey = key;
 	}
 
 	// Check if input file exists
 	if (!fs.existsSync(inputFile)) {
-		console.error(`Input file does not exist: ${inputFile}`);
-		return;
+		log.error(`Input file does not exist: ${inputFile}`);
+		process.exit(1);
 	}
 
-	// Dry run mode
+	// Ask for the passphrase once, for encrypted input and output alike
+	const passphrase = passphraseSource({ passphraseFile, confirm: encrypt });
+	let inputPassphrase = null;
+	let encryptor = null;
+	try {
+		inputPassphrase = inputEncrypted ? await passphrase() : null;
+		encryptor = (encrypt || inputEncrypted) && !dryRun ? createEncryptor(await passphrase()) : null;
+	} catch (error) {
+		log.error(error.message);
+		process.exit(1);
+	}
+
+	// Dry run mode: audit every path that would be redacted
 	if (dryRun) {
-		console.log("DRY RUN MODE - No files will be modified");
-		console.log(`Input file: ${inputFile}`);
-		console.log(`Output file would be: ${outputFile}`);
-		console.log(`Configuration: ${configFile || "default"}`);
-		console.log(`Preserve keys: ${config.preserveKeys}`);
-		console.log("");
+		// Machine-readable reports on stdout get nothing else mixed in
+		const announce = reportFile || reportFormat === "table" ? log.info : () => {};
+		announce("DRY RUN MODE - No files will be modified");
+		announce(`Input file: ${inputFile}`);
+		announce(`Output file would be: ${outputFile}`);
+		announce(`Configuration: ${configFile || "default"}`);
+		announce(`Preserve keys: ${config.preserveKeys}`);
+		announce(`Schema: ${config.schema || "none (key names)"}`);
+		announce("");
 
+		let findings;
 		try {
-			const inputData = fs.readFileSync(inputFile, "utf8");
-			const jsonData = JSON.parse(inputData);
-
-			console.log("Sample of what would be redacted:");
-			const sampleRedacted = redactObject(
-				JSON.parse(JSON.stringify(jsonData)),
-				config,
-			);
-
-			// Show first few properties that would be affected
-			let count = 0;
-			function showRedacted(obj, path = "") {
-				if (count >= 10) return; // Limit output
-
-				for (const [key, value] of Object.entries(obj)) {
-					const currentPath = path ? `${path}.${key}` : key;
-
-					if (typeof value === "object" && value !== null) {
-						showRedacted(value, currentPath);
-					} else if (value === "[REDACTED]") {
-						console.log(`  ${currentPath}: ${value}`);
-						count++;
-						if (count >= 10) return;
-					}
-				}
+			findings = auditData(readJSONFile(inputFile, inputPassphrase), config).findings;
+			const report = formatAudit(findings, reportFormat, inputFile);
+			if (reportFile) {
+				fs.writeFileSync(reportFile, `${report}\n`);
+				log.info(`Audit report written to ${reportFile}`);
+			} else {
+				console.log(report);
 			}
-
-			showRedacted(sampleRedacted);
 		} catch (error) {
-			console.error("Error during dry run:", error.message);
+			log.error("Error during dry run:", error.message);
+			process.exit(1);
 		}
 
+		const exceeded = exceededThresholds(findings, thresholds);
+		if (exceeded.length > 0) {
+			exceeded.forEach((message) => log.error(`Threshold exceeded: ${message}`));
+			process.exit(THRESHOLD_EXIT_CODE);
+		}
 		return;
 	}
 
 	// Process the file
-	const success = processFile(inputFile, outputFile, config);
+	log.verbose(`Configuration: ${configFile || "default"}`);
+	log.verbose(`Preserve keys: ${config.preserveKeys}`);
+	log.verbose(`Schema: ${config.schema || "none (key names)"}`);
+	const status = processFile(inputFile, outputFile, config, {
+		passphrase: inputPassphrase,
+		encryptor,
+		thresholds,
+	});
 
-	if (success) {
-		console.log("\nRedaction completed successfully!");
-		console.log(`Original: ${inputFile}`);
-		console.log(`Redacted: ${outputFile}`);
+	if (status === 0) {
+		log.info("\nRedaction completed successfully!");
+		log.info(`Original: ${inputFile}`);
+		log.info(`Redacted: ${outputFile}`);
 	} else {
-		process.exit(1);
+		process.exit(status);
 	}
 }
 
 // Export functions for use as a module
 module.exports = {
 	redactObject,
+	redact1PUX,
+	compileConfig,
 	loadConfig,
 	isSensitiveKey,
 	isSensitiveValue,
+	auditData,
+	formatAudit,
+	parseThreshold,
 	DEFAULT_CONFIG,
 };
 
@@ -0,0 +1,251 @@
+/**
+ * Tests for the redact-sensitive.js command line
+ *
+ * Run with: node --test 1Password/
+ */
+
+const assert = require('node:assert/strict');
+const { spawnSync } = require('node:child_process');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const { PASSPHRASE_ENV, isEncryptedFile, createEncryptor, decryptText } = require('../lib/encryption');
+const { redact1PUX, auditData, formatAudit, parseThreshold } = require('./redact-sensitive');
+
+const SCRIPT = path.join(__dirname, 'redact-sensitive.js');
+const PASSPHRASE = 'correct horse battery staple';
+
+const DATA = { title: 'GitHub', password: 'hunter2', notes: 'call me' };
+
+// A 1PUX export.data with a login, a credit card and a document, and what --schema 1pux makes of it
+const FIXTURES = path.join(__dirname, 'fixtures', '1pux');
+const ONEPUX = path.join(FIXTURES, 'export.data');
+const ONEPUX_REDACTED = path.join(FIXTURES, 'export.redacted.json');
+
+/**
+ * Runs redact-sensitive.js with the test passphrase in the environment
+ * @param {string[]} args - Command line arguments
+ * @param {string} cwd - Directory to run in
+ * @returns {Object} - The spawnSync result
+ */
+function run(args, cwd) {
+    return spawnSync(process.execPath, [SCRIPT, ...args], {
+        cwd,
+        env: { ...process.env, [PASSPHRASE_ENV]: PASSPHRASE },
+        encoding: 'utf8',
+        timeout: 60000
+    });
+}
+
+describe('encrypted input', () => {
+    let dir;
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'redact-sensitive-'));
+        fs.writeFileSync(path.join(dir, 'export.json.enc'), createEncryptor(PASSPHRASE).encrypt(JSON.stringify(DATA)));
+    });
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('encrypts the redacted output with the same passphrase', () => {
+        const result = run(['export.json.enc'], dir);
+        assert.equal(result.status, 0, result.stdout);
+
+        const outputPath = path.join(dir, 'export.redacted.json.enc');
+        assert.ok(isEncryptedFile(outputPath));
+        const redacted = JSON.parse(decryptText(fs.readFileSync(outputPath, 'utf8'), PASSPHRASE));
+        assert.equal(redacted.title, 'GitHub');
+        assert.equal(redacted.password, undefined);
+    });
+
+    it('encrypts an output file named without .enc', () => {
+        const result = run(['export.json.enc', 'shareable.json'], dir);
+        assert.equal(result.status, 0, result.stdout);
+        assert.ok(isEncryptedFile(path.join(dir, 'shareable.json')));
+    });
+});
+
+describe('usage errors', () => {
+    for (const args of [['--report-format', 'xml', '--dry-run', 'x.json'], ['--schema', 'foo', 'x.json'], ['--bogus', 'x.json'], ['a.json', 'b.json', 'c.json'], [], ['--config'], ['missing.json'], ['--fail-on', 'passwords=1', 'x.json']]) {
+        it(`exit with status 1: ${args.join(' ') || '(no arguments)'}`, () => {
+            assert.equal(run(args, os.tmpdir()).status, 1);
+        });
+    }
+
+    it('--help exits with status 0', () => {
+        assert.equal(run(['--help'], os.tmpdir()).status, 0);
+    });
+});
+
+describe('--pseudonymize', () => {
+    it('gives the same fakes in every run with the same key file', () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'redact-sensitive-'));
+        fs.writeFileSync(path.join(dir, 'key'), 'team key\n');
+        fs.writeFileSync(path.join(dir, 'export.json'), JSON.stringify({ title: 'GitHub', password: 'hunter2', email: 'alice@example.com' }));
+
+        try {
+            const outputs = ['first.json', 'second.json'].map(output => {
+                const result = run(['--pseudonymize', '--pseudonym-key-file', 'key', 'export.json', output], dir);
+                assert.equal(result.status, 0, result.stdout);
+                return JSON.parse(fs.readFileSync(path.join(dir, output), 'utf8'));
+            });
+            assert.deepEqual(outputs[0], outputs[1]);
+            assert.equal(outputs[0].title, 'GitHub');
+            assert.match(outputs[0].password, /^[a-z]{6}\d$/);
+            assert.notEqual(outputs[0].password, 'hunter2');
+            assert.match(outputs[0].email, /^[a-z]{5}@[a-z]{7}\.com$/);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
+
+describe('--schema 1pux', () => {
+    it('masks the fixture by field meaning and keeps its layout', () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'redact-sensitive-'));
+
+        try {
+            const result = run(['--schema', '1pux', ONEPUX, 'redacted.json'], dir);
+            assert.equal(result.status, 0, result.stdout);
+            assert.deepEqual(
+                JSON.parse(fs.readFileSync(path.join(dir, 'redacted.json'), 'utf8')),
+                JSON.parse(fs.readFileSync(ONEPUX_REDACTED, 'utf8'))
+            );
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    it('keeps titles, URLs, tags and UUIDs, and masks what detectors find elsewhere', () => {
+        const redacted = redact1PUX(JSON.parse(fs.readFileSync(ONEPUX, 'utf8')), { schema: '1pux' });
+        const [github, card, passport] = redacted.accounts[0].vaults[0].items;
+
+        assert.equal(github.overview.title, 'GitHub');
+        assert.equal(github.overview.url, 'https://github.com/login');
+        assert.deepEqual(github.overview.tags, ['Development']);
+        assert.equal(github.uuid, 'k3jq4bxk5wsb3kxbfx3kapkzwe');
+        assert.equal(github.details.loginFields[1].designation, 'password');
+        assert.equal(github.details.loginFields[1].value, '[REDACTED]');
+        assert.equal(github.details.sections[0].fields[2].value.string, 'CI uses [REDACTED] for uploads');
+        assert.equal(github.details.sections[0].fields[3].value.string, 'Team');
+        assert.equal(card.details.sections[0].fields[3].value.monthYear, 203012);
+        assert.equal(passport.details.documentAttributes.documentId, 'ufw4clvg2nctdl3zqjtjxk4vdq');
+    });
+
+    it('replaces account, vault, item and document IDs with --redact-ids', () => {
+        const redacted = redact1PUX(JSON.parse(fs.readFileSync(ONEPUX, 'utf8')), { schema: '1pux', redactIds: true });
+        const [account] = redacted.accounts;
+        const [vault] = account.vaults;
+
+        assert.equal(account.attrs.uuid, '[REDACTED]');
+        assert.equal(vault.attrs.uuid, '[REDACTED]');
+        assert.ok(vault.items.every(item => item.uuid === '[REDACTED]'));
+        assert.equal(vault.items[2].details.documentAttributes.documentId, '[REDACTED]');
+        assert.equal(vault.attrs.name, 'Personal');
+    });
+
+    it('rejects input without an accounts array', () => {
+        assert.throws(() => redact1PUX({ items: [] }, { schema: '1pux' }), /not a 1PUX export\.data/);
+    });
+});
+
+// Two dropped passwords, one of them in a Proton Pass style vault named Work
+const AUDITED = { title: 'GitHub', password: 'hunter2', vaults: { v1: { name: 'Work', items: [{ password: 'x' }] } } };
+
+describe('formatAudit', () => {
+    const { findings } = auditData(AUDITED, {});
+
+    it('lists the paths with their action, rule and vault', () => {
+        assert.deepEqual(findings, [
+            { path: 'password', action: 'drop', rule: 'sensitive key', vault: '' },
+            { path: 'vaults.v1.items[0].password', action: 'drop', rule: 'sensitive key', vault: 'Work' }
+        ]);
+    });
+
+    it('renders a table with counts by rule and vault', () => {
+        const table = formatAudit(findings, 'table', 'export.json');
+        assert.match(table, /^Path +Action +Rule +Vault\n/);
+        assert.match(table, /By rule:\nRule +Paths\n-+ +-+\nsensitive key +2/);
+        assert.match(table, /By vault:\nVault +Paths\n-+ +-+\nWork +1/);
+        assert.match(table, /\n\n2 paths would be redacted: 2 dropped$/);
+    });
+
+    it('renders one CSV row per finding, with CRLF line ends', () => {
+        assert.equal(formatAudit(findings, 'csv', 'export.json'), [
+            'path,action,rule,vault',
+            'password,drop,sensitive key,',
+            'vaults.v1.items[0].password,drop,sensitive key,Work'
+        ].join('\r\n'));
+    });
+
+    it('renders JSON with totals', () => {
+        const report = JSON.parse(formatAudit(findings, 'json', 'export.json'));
+        assert.equal(report.input, 'export.json');
+        assert.equal(report.total, 2);
+        assert.deepEqual(report.byAction, { drop: 2 });
+        assert.deepEqual(report.byRule, { 'sensitive key': 2 });
+        assert.deepEqual(report.byVault, { Work: 1 });
+        assert.deepEqual(report.findings, findings);
+    });
+
+    it('renders SARIF with a result per finding', () => {
+        const [sarifRun] = JSON.parse(formatAudit(findings, 'sarif', 'export.json')).runs;
+        assert.deepEqual(sarifRun.tool.driver.rules, [{ id: 'sensitive key', shortDescription: { text: 'sensitive key' } }]);
+        assert.equal(sarifRun.results.length, 2);
+        assert.equal(sarifRun.results[1].ruleId, 'sensitive key');
+        assert.equal(sarifRun.results[1].level, 'warning');
+        assert.equal(sarifRun.results[1].message.text, 'vaults.v1.items[0].password would be dropped');
+        assert.equal(sarifRun.results[1].locations[0].physicalLocation.artifactLocation.uri, 'export.json');
+        assert.equal(sarifRun.results[1].locations[0].logicalLocations[0].fullyQualifiedName, 'vaults.v1.items[0].password');
+    });
+
+    it('rejects an unknown format', () => {
+        assert.throws(() => formatAudit(findings, 'xml', 'export.json'), /Unknown report format "xml"/);
+    });
+});
+
+describe('parseThreshold', () => {
+    it('reads counters with an optional maximum, 0 by default', () => {
+        assert.deepEqual(parseThreshold('total'), { counter: 'total', max: 0 });
+        assert.deepEqual(parseThreshold('drop=20'), { counter: 'drop', max: 20 });
+        assert.deepEqual(parseThreshold('rule:notes'), { counter: 'rule:notes', max: 0 });
+        assert.deepEqual(parseThreshold('vault:Work=3'), { counter: 'vault:Work', max: 3 });
+    });
+
+    it('rejects unknown counters and bad maximums', () => {
+        for (const text of ['', 'passwords', 'drop=', 'drop=-1', 'total=many', 'rule:']) {
+            assert.throws(() => parseThreshold(text), /Invalid --fail-on threshold/, text);
+        }
+    });
+});
+
+describe('--fail-on', () => {
+    let dir;
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'redact-sensitive-'));
+        fs.writeFileSync(path.join(dir, 'export.json'), JSON.stringify(AUDITED));
+    });
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('exits with status 2 and writes nothing past a threshold', () => {
+        const result = run(['--fail-on', 'vault:Work', 'export.json', 'out.json'], dir);
+        assert.equal(result.status, 2);
+        assert.match(result.stderr, /Threshold exceeded: vault:Work: 1 paths \(at most 0 allowed\)/);
+        assert.ok(!fs.existsSync(path.join(dir, 'out.json')));
+    });
+
+    it('exits with status 0 and writes the output within every threshold', () => {
+        const result = run(['--fail-on', 'drop=2', '--fail-on', 'mask', 'export.json', 'out.json'], dir);
+        assert.equal(result.status, 0, result.stderr);
+        assert.ok(fs.existsSync(path.join(dir, 'out.json')));
+    });
+
+    it('exits with status 2 after the report of a dry run', () => {
+        const result = run(['--dry-run', '--report-format', 'csv', '--fail-on', 'total=1', 'export.json'], dir);
+        assert.equal(result.status, 2);
+        assert.match(result.stdout, /vaults\.v1\.items\[0\]\.password,drop,sensitive key,Work/);
+    });
+});
@@ -3,140 +3,345 @@
  *
  * Extracts TOTP values from 1Password JSON export data.
  * Handles nested account/vault/item structures and extracts
- * TOTP URIs from Security sections.
+ * TOTP URIs from Security sections. Proton Pass JSON exports
+ * are read as well.
  */
 
 const fs = require('node:fs');
+const path = require('node:path');
+const { splitLabel, parseOtpauthUri, otpFromSecret, formatOtpauthUri, roundTripProblems } = require('../lib/otpauth');
+const { AUTHENTICATOR_FORMATS, formatEntries } = require('../lib/authenticator-formats');
+const { DEFAULT_BATCH_SIZE, decodeMigrationUri } = require('../lib/otpauth-migration');
+const { encodeQR, renderTerminal, renderSVG } = require('../lib/qrcode');
+const { validateOtp, currentCode } = require('../lib/otp');
+const { REPORT_FORMATS, formatReport } = require('../lib/report');
+const { LOG_LEVEL_FLAGS, maskValue, createLogger } = require('../lib/logger');
+const { PASSPHRASE_ENV, isEncrypted, isEncryptedFile, createEncryptor, decryptText, passphraseSource } = require('../lib/encryption');
+
+// Account name used when an item has no username, subtitle or otpauth label
+const DEFAULT_FALLBACK_ACCOUNT = 'user';
+
+// Progress goes to stdout, warnings and errors to stderr; secrets are masked
+const log = createLogger({ stream: process.stdout });
+
+/**
+ * Resolves the account name of an entry from structured item data
+ *
+ * Sources are tried in order: the username login field, the item subtitle,
+ * the account part of the otpauth label, then the fallback.
+ *
+ * @param {Object} sources - Candidate values
+ * @param {string} [sources.username] - Value of the login field designated "username"
+ * @param {string} [sources.subtitle] - The item's overview.subtitle
+ * @param {Object} [sources.otp] - The parsed OTP, for its label
+ * @param {string} [fallback] - Account name to use when nothing else is available
+ * @returns {{account: string, source: string}} - The account and where it came from (username, subtitle, label or fallback)
+ */
+function resolveAccount({ username, subtitle, otp }, fallback = DEFAULT_FALLBACK_ACCOUNT) {
+    if (typeof username === 'string' && username.trim()) {
+        return { account: username.trim(), source: 'username' };
+    }
+    if (typeof subtitle === 'string' && subtitle.trim()) {
+        return { account: subtitle.trim(), source: 'subtitle' };
+    }
+    const labelAccount = otp ? splitLabel(otp.label).account : '';
+    if (labelAccount) {
+        return { account: labelAccount, source: 'label' };
+    }
+    return { account: fallback, source: 'fallback' };
+}
+
+// otpauth:// and steam:// URIs found in fields of any type
+const OTP_URI_PATTERN = /^(otpauth|steam):\/\//i;
+
+/**
+ * Finds the one-time password fields of a 1PUX item
+ *
+ * Fields typed as TOTP (value.totp) are taken whatever their title, along
+ * with any string field, section or login, that holds an otpauth:// or
+ * steam:// URI. Legacy fields titled "one-time password" with a plain
+ * string value are still recognized. A value stored in several fields is
+ * only reported once.
+ *
+ * @param {Object} item - The 1PUX item
+ * @returns {{value: string, section: string, field: string}[]} - OTP values with the section and field they came from
+ */
+function findOTPFields(item) {
+    const found = [];
+    const add = (value, section, field) => {
+        if (typeof value === 'string' && value.trim() && !found.some(existing => existing.value === value.trim())) {
+            found.push({ value: value.trim(), section, field });
+        }
+    };
+
+    for (const section of Array.isArray(item.details?.sections) ? item.details.sections : []) {
+        const sectionName = section.title || section.name || '';
+        for (const field of Array.isArray(section.fields) ? section.fields : []) {
+            const fieldName = field.title || field.id || '';
+            const value = field.value;
+
+            if (value && typeof value === 'object') {
+                if (typeof value.totp === 'string') {
+                    add(value.totp, sectionName, fieldName);
+                    continue;
+                }
+                for (const candidate of Object.values(value)) {
+                    if (typeof candidate === 'string' && OTP_URI_PATTERN.test(candidate.trim())) {
+                        add(candidate, sectionName, fieldName);
+                    }
+                }
+            } else if (typeof value === 'string' && (OTP_URI_PATTERN.test(value.trim()) || field.title === 'one-time password')) {
+                add(value, sectionName, fieldName);
+            }
+        }
+    }
+
+    for (const loginField of Array.isArray(item.details?.loginFields) ? item.details.loginFields : []) {
+        if (typeof loginField.value === 'string' && OTP_URI_PATTERN.test(loginField.value.trim())) {
+            add(loginField.value, 'Login', loginField.name || loginField.designation || loginField.id || '');
+        }
+    }
+
+    return found;
+}
+
+/**
+ * Builds a TOTP entry from an OTP value and what is known about its item
+ * @param {string} totpValue - An otpauth:// or steam:// URI, or a bare secret
+ * @param {Object} context - Item details
+ * @param {string} context.issuer - The item title
+ * @param {string} [context.vault] - The vault name
+ * @param {string} [context.username] - The item's username, for the account name
+ * @param {string} [context.subtitle] - The item's subtitle, for the account name
+ * @param {string} [context.section] - Section the value was found in
+ * @param {string} [context.field] - Field the value was found in
+ * @param {Object} [options] - Extraction options (fallbackAccount)
+ * @returns {Object} - The TOTP entry
+ */
+function buildTOTPEntry(totpValue, { issuer, vault, username, subtitle, section, field }, options = {}) {
+    // Parse otpauth:// and steam:// URIs; anything else is a bare secret
+    const isURI = OTP_URI_PATTERN.test(totpValue);
+    let otp = null;
+    let problems = [];
+    if (isURI) {
+        try {
+            otp = parseOtpauthUri(totpValue);
+        } catch (error) {
+            log.warn(`Error parsing TOTP URI: ${error.message}`);
+            problems = [error.message];
+        }
+    }
+
+    // Resolve the account from the login's username, the subtitle or the otpauth label
+    const { account, source: accountSource } = resolveAccount({ username, subtitle, otp }, options.fallbackAccount);
+    log.debug(`Account for "${issuer}" from ${accountSource}: ${account}`);
+
+    if (!isURI) {
+        log.debug(`Using raw secret for ${issuer}`);
+        otp = otpFromSecret(totpValue, { issuer, account });
+    }
+    if (otp) {
+        problems = roundTripProblems(otp);
+    }
+    if (problems.length > 0) {
+        log.warn(`Warning: TOTP for ${issuer} cannot be round-tripped: ${problems.join('; ')}`);
+    }
+
+    // Check the secret and parameters can actually generate codes
+    const validationProblems = otp ? validateOtp(otp) : [];
+    if (validationProblems.length > 0) {
+        log.warn(`Warning: TOTP for ${issuer} fails validation: ${validationProblems.join('; ')}`);
+    }
+
+    // Use URI data if we don't have better data from item
+    let finalIssuer = issuer;
+    if (otp) {
+        if (!finalIssuer || finalIssuer === 'Unknown') {
+            finalIssuer = otp.issuer || splitLabel(otp.label).issuer || 'Unknown';
+        }
+
+        // steam:// URIs carry no label, so name the entry after the item
+        if (!otp.label) {
+            otp.label = `${finalIssuer}:${account}`;
+        }
+    }
+
+    // Note algorithm, digits, period and counter if different from defaults
+    const notesParts = [];
+    if (otp) {
+        if (otp.type === 'hotp') notesParts.push(`HOTP counter: ${otp.counter}`);
+        if (otp.algorithm !== 'SHA1') notesParts.push(`Algorithm: ${otp.algorithm}`);
+        if (otp.digits !== 6) notesParts.push(`Digits: ${otp.digits}`);
+        if (otp.type === 'totp' && otp.period !== 30) notesParts.push(`Period: ${otp.period}`);
+        if (otp.encoder) notesParts.push(`Encoder: ${otp.encoder}`);
+    }
+    const notes = notesParts.join(', ');
+
+    return {
+        issuer: finalIssuer,
+        account,
+        accountSource,
+        secret: otp ? otp.secret : totpValue,
+        notes: notes || undefined,
+        vault,
+        section,
+        field,
+        uri: totpValue,
+        otp,
+        roundTrip: problems.length === 0,
+        problems,
+        valid: otp !== null && validationProblems.length === 0,
+        validationProblems
+    };
+}
+
+/**
+ * Finds the one-time password values of a Proton Pass item
+ *
+ * Proton keeps the login's TOTP in content.totpUri and extra ones in
+ * extraFields of type "totp"; text and hidden extra fields holding an
+ * otpauth:// URI are picked up too.
+ *
+ * @param {Object} item - The Proton item
+ * @returns {{value: string, section: string, field: string}[]} - OTP values with where they came from
+ */
+function findProtonOTPFields(item) {
+    const found = [];
+    const add = (value, section, field) => {
+        if (typeof value === 'string' && value.trim() && !found.some(existing => existing.value === value.trim())) {
+            found.push({ value: value.trim(), section, field });
+        }
+    };
+
+    add(item.data?.content?.totpUri, 'Login', 'totpUri');
+    for (const extraField of Array.isArray(item.data?.extraFields) ? item.data.extraFields : []) {
+        if (extraField.type === 'totp') {
+            add(extraField.data?.totpUri, 'Extra fields', extraField.fieldName || '');
+        } else if (typeof extraField.data?.content === 'string' && OTP_URI_PATTERN.test(extraField.data.content.trim())) {
+            add(extraField.data.content, 'Extra fields', extraField.fieldName || '');
+        }
+    }
+
+    return found;
+}
+
+/**
+ * Extracts TOTP entries from a parsed Proton Pass export
+ * @param {Object} data - The Proton export ({ vaults: { [id]: { name, items: [] } } })
+ * @param {Object} [options] - Extraction options, as for extractTOTPs
+ * @returns {Object[]} Array of TOTP entries, as returned by extractTOTPs
+ */
+function extractProtonTOTPs(data, options = {}) {
+    const totpEntries = [];
+    const vaults = data.vaults && typeof data.vaults === 'object' ? Object.entries(data.vaults) : [];
+    log.verbose(`Found ${vaults.length} Proton vaults`);
+
+    for (const [vaultId, vault] of vaults) {
+        if (!vault || !Array.isArray(vault.items)) {
+            log.debug(`Vault "${vault?.name || vaultId}" has no items`);
+            continue;
+        }
+
+        log.debug(`Vault "${vault.name || vaultId}" has ${vault.items.length} items`);
+        for (const item of vault.items) {
+            const title = item.data?.metadata?.name || 'Unknown';
+            const otpFields = findProtonOTPFields(item);
+            if (otpFields.length === 0) {
+                log.debug(`Item "${title}" has no one-time password fields`);
+                continue;
+            }
+
+            log.debug(`Item "${title}" has ${otpFields.length} one-time password field(s)`);
+            for (const { value, section, field } of otpFields) {
+                log.debug(`Found TOTP in "${[section, field].filter(Boolean).join(' / ')}": ${OTP_URI_PATTERN.test(value) ? value : maskValue(value)}`);
+                totpEntries.push(buildTOTPEntry(value, {
+                    issuer: title,
+                    vault: vault.name || vaultId,
+                    username: item.data?.content?.itemUsername,
+                    subtitle: item.data?.content?.itemEmail,
+                    section,
+                    field
+                }, options));
+            }
+        }
+    }
+
+    return totpEntries;
+}
 
 /**
  * Extracts TOTP values from 1Password export JSON data
- * @param {string} filePath - Path to the 1Password export JSON file
- * @returns {Object[]} Array of TOTP entries with issuer, account, and secret
+ *
+ * Proton Pass exports are read too, detected by their top-level vaults
+ * object or chosen with options.inputFormat.
+ *
+ * @param {string} filePath - Path to the 1Password (or Proton Pass) export JSON file
+ * @param {Object} [options] - Extraction options
+ * @param {string} [options.fallbackAccount] - Account name for items with no other source (default: "user")
+ * @param {string} [options.inputFormat] - '1pux' or 'proton' (default: detected from the data)
+ * @param {string} [options.passphrase] - Passphrase for an input file written with --encrypt
+ * @returns {Object[]} Array of TOTP entries with issuer, account (and accountSource), secret, the section and field it came from, the parsed otp, any round-trip problems and any validation problems
  */
-function extractTOTPs(filePath) {
+function extractTOTPs(filePath, options = {}) {
     try {
         // Read and parse the JSON file
-        console.log(`Attempting to read file: ${filePath || 'export.data'}`);
-        const rawData = fs.readFileSync(filePath || 'export.data', 'utf8');
-        console.log(`Successfully read file, size: ${rawData.length} characters`);
+        log.verbose(`Attempting to read file: ${filePath || 'export.data'}`);
+        let rawData = fs.readFileSync(filePath || 'export.data', 'utf8');
+        log.verbose(`Successfully read file, size: ${rawData.length} characters`);
+        if (isEncrypted(rawData)) {
+            if (!options.passphrase) {
+                throw new Error('The file is encrypted and no passphrase was given');
+            }
+            rawData = decryptText(rawData, options.passphrase);
+        }
         const data = JSON.parse(rawData);
-        console.log(`Parsed JSON data. Top level keys: ${Object.keys(data).join(', ')}`);
+        log.verbose(`Parsed JSON data. Top level keys: ${Object.keys(data).join(', ')}`);
+
+        const inputFormat = options.inputFormat ||
+            (!Array.isArray(data.accounts) && data.vaults && typeof data.vaults === 'object' && !Array.isArray(data.vaults) ? 'proton' : '1pux');
+        if (inputFormat === 'proton') {
+            return extractProtonTOTPs(data, options);
+        }
 
         const totpEntries = [];
 
-        // Navigate the nested structure: accounts[].vaults[].items[].details.sections[].fields[]
+        // Navigate the nested structure: accounts[].vaults[].items[], then each item's fields
         if (data.accounts && Array.isArray(data.accounts)) {
-            console.log(`Found ${data.accounts.length} accounts`);
+            log.verbose(`Found ${data.accounts.length} accounts`);
             for (const account of data.accounts) {
                 if (account.vaults && Array.isArray(account.vaults)) {
-                    console.log(`Account has ${account.vaults.length} vaults`);
+                    log.debug(`Account has ${account.vaults.length} vaults`);
                     for (const vault of account.vaults) {
                         if (vault.items && Array.isArray(vault.items)) {
-                            console.log(`Vault "${vault.attrs?.name || 'Unknown'}" has ${vault.items.length} items`);
+                            log.debug(`Vault "${vault.attrs?.name || 'Unknown'}" has ${vault.items.length} items`);
                             for (const item of vault.items) {
-                                if (item.details?.sections && Array.isArray(item.details.sections)) {
-                                    console.log(`Item "${item.overview?.title || 'Unknown'}" has ${item.details.sections.length} sections`);
-                                    for (const section of item.details.sections) {
-                                        // Look for Security sections or any section containing TOTP fields
-                                        if (section.fields && Array.isArray(section.fields)) {
-                                            console.log(`Section "${section.title || section.name || 'Unknown'}" has ${section.fields.length} fields`);
-                                            for (const field of section.fields) {
-                                                console.log(`Checking field: "${field.title || 'No title'}", has TOTP: ${!!(field.value?.totp || field.value)}`);
-                                                // Check if this field contains TOTP data - handle both otpauth:// URLs and raw secrets
-                                                if (field.title === 'one-time password') {
-                                                    const totpValue = field.value?.totp || field.value;
-                                                    if (totpValue) {
-                                                        console.log(`Found TOTP: ${totpValue}`);
-
-                                                        // Extract issuer from item title
-                                                        const issuer = item.overview?.title || 'Unknown';
-
-                                                        // Find account/email by converting entire item to string and using regex
-                                                        let account = 'user'; // Default account as requested
-                                                        const emailRegex = /[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/;
-
-                                                        // Convert entire item object to JSON string and search for emails
-                                                        const itemString = JSON.stringify(item);
-                                                        const emailMatch = itemString.match(emailRegex);
-
-                                                        if (emailMatch) {
-                                                            account = emailMatch[0];
-                                                            console.log(`Found email in item "${item.overview?.title || 'Unknown'}": ${account}`);
-                                                        } else {
-                                                            console.log(`No email found in item "${item.overview?.title || 'Unknown'}", using default: ${account}`);
-                                                        }
-
-                                                        // Use TOTP URI as secret if it's already in otpauth:// format
-                                                        let secret = totpValue;
-                                                        if (totpValue.startsWith('otpauth://')) {
-                                                            // For otpauth URLs, use the entire URI as the secret (no parsing needed)
-                                                            secret = totpValue;
-                                                            console.log(`Using full TOTP URI as secret for ${issuer}`);
-                                                        } else {
-                                                            console.log(`Using raw secret for ${issuer}: ${secret}`);
-                                                        }
-
-                                                        // Extract additional info from TOTP URI if available
-                                                        let finalIssuer = issuer;
-                                                        let finalAccount = account;
-                                                        let cleanSecret = secret;
-                                                        let notes = '';
-
-                                                        if (secret.startsWith('otpauth://')) {
-                                                            try {
-                                                                const url = new URL(secret);
-                                                                const uriIssuer = url.searchParams.get('issuer');
-                                                                const uriAccount = url.pathname.split(':')[1] || url.pathname.substring(6);
-
-                                                                // Use URI data if we don't have better data from item
-                                                                if (!finalIssuer || finalIssuer === 'Unknown') {
-                                                                    finalIssuer = uriIssuer || uriAccount.split(':')[0] || 'Unknown';
-                                                                }
-                                                                if (!finalAccount || finalAccount === 'user') {
-                                                                    finalAccount = uriAccount || 'Unknown';
-                                                                }
-
-                                                                // Extract clean secret from URI
-                                                                cleanSecret = url.searchParams.get('secret') || secret;
-
-                                                                // Add algorithm, digits, period to notes if different from defaults
-                                                                const algorithm = url.searchParams.get('algorithm') || 'SHA1';
-                                                                const digits = url.searchParams.get('digits') || '6';
-                                                                const period = url.searchParams.get('period') || '30';
-
-                                                                const notesParts = [];
-                                                                if (algorithm !== 'SHA1') notesParts.push(`Algorithm: ${algorithm}`);
-                                                                if (digits !== '6') notesParts.push(`Digits: ${digits}`);
-                                                                if (period !== '30') notesParts.push(`Period: ${period}`);
-
-                                                                notes = notesParts.join(', ');
-                                                            } catch (error) {
-                                                                console.log(`Error parsing TOTP URI: ${error.message}`);
-                                                                cleanSecret = secret;
-                                                            }
-                                                        }
-
-                                                        totpEntries.push({
-                                                            issuer: finalIssuer,
-                                                            account: finalAccount,
-                                                            secret: cleanSecret,
-                                                            notes: notes || undefined
-                                                        });
-                                                    }
-                                                }
-                                            }
-                                        }
-                                    }
-                                } else {
-                                    console.log(`Item "${item.overview?.title || 'Unknown'}" has no sections`);
+                                const otpFields = findOTPFields(item);
+                                if (otpFields.length === 0) {
+                                    log.debug(`Item "${item.overview?.title || 'Unknown'}" has no one-time password fields`);
+                                    continue;
+                                }
+
+                                log.debug(`Item "${item.overview?.title || 'Unknown'}" has ${otpFields.length} one-time password field(s)`);
+                                for (const { value, section, field } of otpFields) {
+                                    log.debug(`Found TOTP in "${[section, field].filter(Boolean).join(' / ')}": ${OTP_URI_PATTERN.test(value) ? value : maskValue(value)}`);
+                                    totpEntries.push(buildTOTPEntry(value, {
+                                        // Extract issuer from item title
+                                        issuer: item.overview?.title || 'Unknown',
+                                        vault: vault.attrs?.name,
+                                        username: (item.details?.loginFields || [])
+                                            .find(loginField => loginField.designation === 'username')?.value,
+                                        subtitle: item.overview?.subtitle,
+                                        section,
+                                        field
+                                    }, options));
                                 }
                             }
                         } else {
-                            console.log(`Vault "${vault.attrs?.name || 'Unknown'}" has no items`);
+                            log.debug(`Vault "${vault.attrs?.name || 'Unknown'}" has no items`);
                         }
                     }
                 } else {
-                    console.log('Account has no vaults');
+                    log.debug('Account has no vaults');
                 }
             }
         }
@@ -144,57 +349,541 @@ function extractTOTPs(filePath) {
         return totpEntries;
 
     } catch (error) {
-        console.error(`Error processing file ${filePath}:`, error.message);
+        log.error(`Error processing file ${filePath}:`, error.message);
         throw error;
     }
 }
 
 /**
- * Main execution function
+ * Builds the otpauth URI for an extracted entry
+ *
+ * Entries that cannot round-trip keep their original value so nothing is
+ * silently lost; entries without a parsed otp are built from their secret.
+ *
+ * @param {Object} entry - TOTP entry from extractTOTPs
+ * @returns {string} - The otpauth URI (or original value)
+ */
+function entryToURI(entry) {
+    if (entry.roundTrip === false) {
+        return entry.uri;
+    }
+    return formatOtpauthUri(entry.otp || otpFromSecret(entry.secret, { issuer: entry.issuer, account: entry.account }));
+}
+
+/**
+ * Writes a text file, encrypted when an encryptor is given
+ * @param {string} filePath - File to write
+ * @param {string} text - The content
+ * @param {Object} [encryptor] - From createEncryptor (see lib/encryption.js)
  */
+function writeTextFile(filePath, text, encryptor = null) {
+    fs.writeFileSync(filePath, encryptor ? encryptor.encrypt(text) : text, 'utf8');
+}
+
 /**
  * Outputs TOTP entries to output.txt file with constructed TOTP URIs
  * @param {Object[]} totpEntries - Array of TOTP entries with issuer, account, and secret
+ * @param {string} [outputPath] - File to write (default: output.txt, or output.txt.enc when encrypting)
+ * @param {Object} [options] - Writer options
+ * @param {Object} [options.encryptor] - Encrypts the file (see lib/encryption.js)
  */
-function outputToTXT(totpEntries) {
+function outputToTXT(totpEntries, outputPath, { encryptor = null } = {}) {
+    outputPath = outputPath || (encryptor ? 'output.txt.enc' : 'output.txt');
     if (totpEntries.length === 0) {
-        console.log('No TOTP entries found in the export data.');
+        log.info('No TOTP entries found in the export data.');
         return;
     }
 
-    console.log(`Found ${totpEntries.length} TOTP entries. Writing to output.txt...`);
+    log.info(`Found ${totpEntries.length} TOTP entries. Writing to ${outputPath}...`);
 
-    // Construct TOTP URIs and write to output.txt
-    const totpURIs = totpEntries.map(entry => {
-        // URL encode the account for proper URI format
-        const encodedAccount = encodeURIComponent(entry.account);
-        const encodedIssuer = encodeURIComponent(entry.issuer);
+    const unsafe = totpEntries.filter(entry => entry.roundTrip === false);
+    if (unsafe.length > 0) {
+        log.warn(`Warning: ${unsafe.length} entries cannot be round-tripped and are written unchanged:`);
+        for (const entry of unsafe) {
+            log.warn(`  ${entry.issuer} (${entry.account}): ${entry.problems.join('; ')}`);
+        }
+    }
 
-        // Construct the TOTP URI
-        return `otpauth://totp/${encodedIssuer}:${encodedAccount}?secret=${entry.secret}&issuer=${encodedIssuer}`;
-    });
+    // Construct TOTP URIs and write to output.txt
+    const totpURIs = totpEntries.map(entryToURI);
 
     // Write to output.txt with each URI on a new line
-    fs.writeFileSync('output.txt', totpURIs.join('\n'), 'utf8');
-    console.log('Successfully wrote TOTP URIs to output.txt');
+    writeTextFile(outputPath, totpURIs.join('\n'), encryptor);
+    log.info(`Successfully wrote TOTP URIs to ${outputPath}`);
 
-    // Also log to console for verification
-    console.log('\nConstructed TOTP URIs:');
+    // With --verbose, list them for verification (secrets masked)
+    log.verbose('\nConstructed TOTP URIs:');
     totpURIs.forEach((uri, index) => {
-        console.log(`${index + 1}. ${uri}`);
+        log.verbose(`${index + 1}. ${uri}`);
+    });
+}
+
+/**
+ * Outputs TOTP entries as an authenticator app backup
+ * @param {Object[]} totpEntries - Array of TOTP entries from extractTOTPs
+ * @param {string} format - One of the keys of AUTHENTICATOR_FORMATS
+ * @param {string} [outputPath] - File to write (default: the format's usual file name, plus .enc when encrypting)
+ * @param {Object} [options] - Writer options (batchSize for google, encryptor to encrypt the file)
+ * @returns {{text: string, written: Object[], skipped: Object[]}} - What was written, before encryption
+ */
+function outputToFormat(totpEntries, format, outputPath, options = {}) {
+    const { encryptor = null, ...writerOptions } = options;
+    const filePath = outputPath || `${AUTHENTICATOR_FORMATS[format]?.fileName}${encryptor ? '.enc' : ''}`;
+    const { text, written, skipped } = formatEntries(totpEntries, format, writerOptions);
+
+    for (const { entry, reason } of skipped) {
+        log.warn(`Skipping ${entry.issuer} (${entry.account}): ${reason}`);
+    }
+    if (written.length === 0) {
+        log.warn(`No TOTP entries can be written as ${format}.`);
+        return { text: '', written, skipped };
+    }
+
+    writeTextFile(filePath, text, encryptor);
+    log.info(`Successfully wrote ${written.length} TOTP entries to ${filePath} (${format})`);
+    if (format === 'google') {
+        const codes = text.split('\n').length;
+        log.info(`Scan the ${codes} migration code(s) in order with Google Authenticator's "Import accounts"`);
+    }
+    return { text, written, skipped };
+}
+
+// Columns of the validation report; --verify adds the current codes
+const VALIDATION_REPORT_COLUMNS = [
+    { key: 'vault', label: 'Vault' },
+    { key: 'issuer', label: 'Issuer' },
+    { key: 'account', label: 'Account' },
+    { key: 'accountSource', label: 'Account from' },
+    { key: 'field', label: 'Field' },
+    { key: 'type', label: 'Type' },
+    { key: 'status', label: 'Status' },
+    { key: 'problems', label: 'Problems' }
+];
+const VERIFY_COLUMNS = [
+    ...VALIDATION_REPORT_COLUMNS.slice(0, 6),
+    { key: 'code', label: 'Code' },
+    { key: 'remaining', label: 'Changes in' },
+    ...VALIDATION_REPORT_COLUMNS.slice(6)
+];
+
+/**
+ * Builds validation report rows, optionally with each entry's current code
+ * @param {Object[]} totpEntries - Array of TOTP entries from extractTOTPs
+ * @param {boolean} [withCodes] - Generate the current code of every valid entry
+ * @returns {Object[]} - One row per entry
+ */
+function validationRows(totpEntries, withCodes = false) {
+    const now = Date.now() / 1000;
+    return totpEntries.map(entry => {
+        const row = {
+            vault: entry.vault,
+            issuer: entry.issuer,
+            account: entry.account,
+            accountSource: entry.accountSource,
+            field: [entry.section, entry.field].filter(Boolean).join(' / '),
+            type: entry.otp ? (entry.otp.encoder === 'steam' ? 'steam' : entry.otp.type) : '',
+            status: !entry.otp ? 'unparsed' : entry.valid ? 'valid' : 'invalid',
+            problems: [...(entry.problems || []), ...(entry.validationProblems || [])].join('; ')
+        };
+        if (withCodes && entry.valid) {
+            const { code, remaining } = currentCode(entry.otp, now);
+            row.code = code;
+            row.remaining = remaining === null ? `counter ${entry.otp.counter}` : `${remaining}s`;
+        }
+        return row;
     });
 }
 
-function main() {
+/**
+ * Escapes text for HTML
+ * @param {string} text - The text
+ * @returns {string} - The escaped text
+ */
+function escapeHTML(text) {
+    return String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+/**
+ * Renders QR codes to the terminal, SVG files or one printable HTML page
+ * @param {{text: string, title: string, subtitle: string}[]} codes - What to encode and how to caption it
+ * @param {string} mode - 'terminal', 'svg' or 'html'
+ * @param {Object} [options] - Rendering options
+ * @param {string} [options.output] - Directory for svg (default: qr-codes), file for html (default: totp-qr.html)
+ * @param {boolean} [options.invert] - Draw dark modules in the terminal, for light backgrounds
+ * @param {Object} [options.encryptor] - Encrypts the files, which get an .enc suffix (see lib/encryption.js)
+ */
+function outputQRCodes(codes, mode, { output, invert = false, encryptor = null } = {}) {
+    if (codes.length === 0) {
+        log.info('No QR codes to render.');
+        return;
+    }
+
+    const rendered = codes.map(code => ({ ...code, qr: encodeQR(code.text) }));
+
+    if (mode === 'terminal') {
+        for (const { title, subtitle, qr } of rendered) {
+            console.log(`\n${title}${subtitle ? ` (${subtitle})` : ''}`);
+            console.log(renderTerminal(qr, { invert }));
+        }
+        return;
+    }
+
+    if (mode === 'svg') {
+        const directory = output || 'qr-codes';
+        fs.mkdirSync(directory, { recursive: true });
+        rendered.forEach(({ title, subtitle, qr }, index) => {
+            const name = [title, subtitle].filter(Boolean).join('-').replace(/[^a-z0-9@._-]+/gi, '-').slice(0, 80);
+            const filePath = path.join(directory, `${String(index + 1).padStart(2, '0')}-${name}.svg${encryptor ? '.enc' : ''}`);
+            writeTextFile(filePath, renderSVG(qr), encryptor);
+        });
+        log.info(`Successfully wrote ${rendered.length} QR code(s) to ${directory}/`);
+        return;
+    }
+
+    const filePath = output || `totp-qr.html${encryptor ? '.enc' : ''}`;
+    const figures = rendered.map(({ title, subtitle, qr }) => `    <figure>
+      ${renderSVG(qr)}
+      <figcaption><strong>${escapeHTML(title)}</strong>${subtitle ? escapeHTML(subtitle) : ''}</figcaption>
+    </figure>`);
+    const page = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>TOTP QR codes</title>
+  <style>
+    body { font-family: system-ui, sans-serif; margin: 1cm; }
+    .codes { display: flex; flex-wrap: wrap; gap: 1cm; }
+    figure { margin: 0; width: 6cm; text-align: center; break-inside: avoid; page-break-inside: avoid; }
+    figure svg { width: 6cm; height: 6cm; }
+    figcaption { font-size: 10pt; overflow-wrap: anywhere; }
+    figcaption strong { display: block; }
+  </style>
+</head>
+<body>
+  <h1>TOTP QR codes</h1>
+  <p>Every code below contains a secret. Print it or scan it, then delete this file.</p>
+  <div class="codes">
+${figures.join('\n')}
+  </div>
+</body>
+</html>
+`;
+    writeTextFile(filePath, page, encryptor);
+    log.info(`Successfully wrote ${rendered.length} QR code(s) to ${filePath}`);
+}
+
+/**
+ * Lists the accounts carried by a file of otpauth-migration URIs
+ *
+ * The URIs are printed with their secrets masked; the full URIs are only
+ * written to a file, when one is given.
+ *
+ * @param {string} filePath - File with one otpauth-migration:// URI per line, possibly encrypted
+ * @param {function(): Promise<string>} passphrase - Source of the passphrase for an encrypted file
+ * @param {Object} [options] - Output options
+ * @param {string} [options.output] - File to write the otpauth URIs to, one per line
+ * @param {Object} [options.encryptor] - Encrypts that file (see lib/encryption.js)
+ */
+async function decodeMigrationFile(filePath, passphrase, { output = null, encryptor = null } = {}) {
+    let text = fs.readFileSync(filePath, 'utf8');
+    if (isEncrypted(text)) {
+        text = decryptText(text, await passphrase());
+    }
+    const uris = text.split(/\r?\n/).filter(line => line.trim());
+    const decoded = [];
+    for (const uri of uris) {
+        const payload = decodeMigrationUri(uri);
+        log.info(`Batch ${payload.batchIndex + 1} of ${payload.batchSize} (id ${payload.batchId}, version ${payload.version}): ${payload.otps.length} account(s)`);
+        for (const otp of payload.otps) {
+            const otpauthUri = formatOtpauthUri(otp);
+            decoded.push(otpauthUri);
+            log.info(`  ${otpauthUri}`);
+        }
+    }
+
+    if (output) {
+        writeTextFile(output, decoded.join('\n'), encryptor);
+        log.info(`Wrote ${decoded.length} otpauth URI(s) to ${output}`);
+    }
+}
+
+/**
+ * Show help information
+ */
+function showHelp() {
+    console.log(`
+TOTP Extractor
+
+Usage:
+  node totp-extractor.js [options] [input]
+
+Arguments:
+  input                     1Password export JSON, or a Proton Pass JSON export
+                            (default: export.data)
+
+Options:
+  --format <format>         Output format: txt (otpauth URIs, one per line), aegis,
+                            2fas, andotp, bitwarden, keepassxc or google
+                            (otpauth-migration URIs, one per QR code) (default: txt)
+  --batch-size <n>          Accounts per Google Authenticator migration code
+                            (default: ${DEFAULT_BATCH_SIZE})
+  --qr <mode>               Also render QR codes: terminal (Unicode blocks), svg
+                            (one file per code) or html (one printable page)
+  --qr-output <path>        Directory for svg (default: qr-codes) or file for html
+                            (default: totp-qr.html)
+  --qr-invert               Draw dark terminal modules, for light backgrounds
+  --input-format <format>   Input format: 1pux or proton (default: detected)
+  --fallback-account <name> Account name for items without a username, subtitle or
+                            otpauth label (default: ${DEFAULT_FALLBACK_ACCOUNT})
+  --verify                  Print the current code of every entry next to its
+                            validation status, to compare with the phone app
+                            (also with --quiet)
+  --report <file>           Write the validation report to a file, or - for stdout
+  --report-format <format>  Report format: table, csv or json (default: table)
+  --decode <file>           Print the accounts in a file of otpauth-migration URIs
+                            as otpauth URIs with masked secrets, e.g. to check
+                            --format google output; with --output, also write
+                            the full URIs to that file
+  --output <file>           File to write (default: output.txt, or the format's
+                            usual backup file name)
+  --encrypt                 Encrypt every file written (output, report and QR
+                            codes) with a passphrase and add .enc to default names;
+                            decrypt with decrypt.js. Implied by encrypted input,
+                            which is decrypted and encrypted again with the same
+                            passphrase
+  --passphrase-file <file>  Read the passphrase from the first line of a file
+                            (default: $${PASSPHRASE_ENV}, else ask on the terminal)
+  --quiet                   Only print errors
+  --verbose                 Also print what was read and the URIs written
+  --debug                   Also print every vault, item and field inspected
+                            (secrets, emails and tokens are masked in all messages)
+  --help                    Show this help message
+
+Examples:
+  node totp-extractor.js export.data
+  node totp-extractor.js --format aegis --output aegis.json export.data
+  node totp-extractor.js --format keepassxc export.data
+  node totp-extractor.js --format aegis Proton.json
+  node totp-extractor.js --format google --batch-size 5 export.data
+  node totp-extractor.js --decode google-migration.txt
+  node totp-extractor.js --decode google-migration.txt --output accounts.txt --encrypt
+  node totp-extractor.js --qr terminal export.data
+  node totp-extractor.js --verify --report invalid.csv --report-format csv export.data
+  node totp-extractor.js --format google --qr html --qr-output transfer.html export.data
+  node totp-extractor.js --encrypt --format aegis converted.json.enc
+`);
+}
+
+/**
+ * Parse command line arguments
+ * @param {string[]} args - Arguments after the script name
+ * @returns {Object} - Parsed options
+ */
+function parseArgs(args) {
+    const options = { input: null, format: 'txt', output: null, batchSize: DEFAULT_BATCH_SIZE, decode: null, qr: null, qrOutput: null, qrInvert: false, inputFormat: null, fallbackAccount: DEFAULT_FALLBACK_ACCOUNT, verify: false, report: null, reportFormat: 'table', encrypt: false, passphraseFile: null, logLevel: 'info', help: false };
+    const formats = ['txt', ...Object.keys(AUTHENTICATOR_FORMATS)];
+
+    const valueOf = (flag, index, { allowEmpty = false } = {}) => {
+        const value = args[index];
+        if (value === undefined || (value === '' && !allowEmpty) || (value.startsWith('--') && value !== '-')) {
+            throw new Error(`Option ${flag} requires a value`);
+        }
+        return value;
+    };
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        switch (arg) {
+            case '--help':
+            case '-h':
+                options.help = true;
+                break;
+
+            case '--format':
+                options.format = valueOf(arg, ++i);
+                if (!formats.includes(options.format)) {
+                    throw new Error(`Unknown format "${options.format}" (expected ${formats.join(', ')})`);
+                }
+                break;
+
+            case '--batch-size':
+                options.batchSize = Number(valueOf(arg, ++i));
+                if (!Number.isInteger(options.batchSize) || options.batchSize < 1) {
+                    throw new Error('--batch-size must be a positive integer');
+                }
+                break;
+
+            case '--qr':
+                options.qr = valueOf(arg, ++i);
+                if (!['terminal', 'svg', 'html'].includes(options.qr)) {
+                    throw new Error(`Unknown QR mode "${options.qr}" (expected terminal, svg or html)`);
+                }
+                break;
+
+            case '--qr-output':
+                options.qrOutput = valueOf(arg, ++i);
+                break;
+
+            case '--qr-invert':
+                options.qrInvert = true;
+                break;
+
+            case '--input-format':
+                options.inputFormat = valueOf(arg, ++i);
+                if (!['1pux', 'proton'].includes(options.inputFormat)) {
+                    throw new Error(`Unknown input format "${options.inputFormat}" (expected 1pux or proton)`);
+                }
+                break;
+
+            case '--fallback-account':
+                options.fallbackAccount = valueOf(arg, ++i, { allowEmpty: true });
+                break;
+
+            case '--verify':
+                options.verify = true;
+                break;
+
+            case '--quiet':
+            case '--verbose':
+            case '--debug':
+                options.logLevel = LOG_LEVEL_FLAGS[arg];
+                break;
+
+            case '--encrypt':
+                options.encrypt = true;
+                break;
+
+            case '--passphrase-file':
+                options.passphraseFile = valueOf(arg, ++i);
+                break;
+
+            case '--report':
+                options.report = valueOf(arg, ++i);
+                break;
+
+            case '--report-format':
+                options.reportFormat = valueOf(arg, ++i);
+                if (!REPORT_FORMATS.includes(options.reportFormat)) {
+                    throw new Error(`Unknown report format "${options.reportFormat}" (expected ${REPORT_FORMATS.join(', ')})`);
+                }
+                break;
+
+            case '--decode':
+                options.decode = valueOf(arg, ++i);
+                break;
+
+            case '--output':
+                options.output = valueOf(arg, ++i);
+                break;
+
+            default:
+                if (arg.startsWith('--')) {
+                    throw new Error(`Unknown option: ${arg}`);
+                }
+                if (options.input !== null) {
+                    throw new Error('Too many arguments');
+                }
+                options.input = arg;
+                break;
+        }
+    }
+
+    return options;
+}
+
+async function main() {
+    let options;
     try {
-        // Get file path from command line arguments or use default
-        const filePath = process.argv[2] || 'export.data';
-        console.log(`Starting TOTP extraction from: ${filePath}`);
-        const totpEntries = extractTOTPs(filePath);
-        outputToTXT(totpEntries);
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(error.message);
+        showHelp();
+        process.exit(1);
+    }
+
+    if (options.help) {
+        showHelp();
+        return;
+    }
+    log.setLevel(options.logLevel);
+
+    try {
+        const passphrase = passphraseSource({ passphraseFile: options.passphraseFile, confirm: options.encrypt });
+        // Decrypted secrets never go back to disk in plaintext: encrypted input implies --encrypt
+        const inputPath = options.decode || options.input || 'export.data';
+        const encrypt = options.encrypt || isEncryptedFile(inputPath);
+        if (encrypt && !options.encrypt) {
+            log.info('Input is encrypted: encrypting every file written with the same passphrase');
+        }
+
+        if (options.decode) {
+            await decodeMigrationFile(options.decode, passphrase, {
+                output: options.output,
+                encryptor: encrypt && options.output ? createEncryptor(await passphrase()) : null
+            });
+            return;
+        }
+
+        log.info(`Starting TOTP extraction from: ${inputPath}`);
+        const totpEntries = extractTOTPs(inputPath, {
+            inputFormat: options.inputFormat,
+            fallbackAccount: options.fallbackAccount,
+            passphrase: isEncryptedFile(inputPath) ? await passphrase() : null
+        });
+        const encryptor = encrypt ? createEncryptor(await passphrase()) : null;
+
+        const invalid = totpEntries.filter(entry => !entry.valid);
+        if (invalid.length > 0) {
+            log.warn(`Warning: ${invalid.length} of ${totpEntries.length} TOTP entries fail validation and will be rejected by authenticator apps:`);
+            for (const entry of invalid) {
+                const reasons = [...entry.problems, ...entry.validationProblems];
+                log.warn(`  ${entry.issuer} (${entry.account}): ${reasons.join('; ')}`);
+            }
+        }
+        if (options.verify) {
+            // Data the user asked for, not a log message: printed even with --quiet
+            process.stdout.write(`\n${formatReport(validationRows(totpEntries, true), VERIFY_COLUMNS, 'table')}\n\n`);
+        }
+        if (options.report) {
+            const report = formatReport(validationRows(totpEntries), VALIDATION_REPORT_COLUMNS, options.reportFormat);
+            if (options.report === '-') {
+                process.stdout.write(`${report}\n`);
+            } else {
+                writeTextFile(options.report, report, encryptor);
+                log.info(`Validation report written to ${options.report}`);
+            }
+        }
+        let written = null;
+        if (options.format === 'txt') {
+            outputToTXT(totpEntries, options.output, { encryptor });
+        } else {
+            written = outputToFormat(totpEntries, options.format, options.output, { batchSize: options.batchSize, encryptor });
+        }
+
+        if (options.qr) {
+            let codes;
+            if (options.format === 'google') {
+                // Google Authenticator imports the migration codes, not individual URIs
+                const uris = written.text ? written.text.split('\n') : [];
+                codes = uris.map((uri, index) => ({
+                    text: uri,
+                    title: `Google Authenticator import ${index + 1} of ${uris.length}`,
+                    subtitle: decodeMigrationUri(uri).otps.map(otp => otp.issuer || otp.label).join(', ')
+                }));
+            } else {
+                codes = totpEntries
+                    .filter(entry => entry.roundTrip !== false)
+                    .map(entry => ({ text: entryToURI(entry), title: entry.issuer, subtitle: entry.account }));
+                const skipped = totpEntries.length - codes.length;
+                if (skipped > 0) {
+                    log.warn(`Skipping QR codes for ${skipped} entries that cannot be round-tripped`);
+                }
+            }
+            outputQRCodes(codes, options.qr, { output: options.qrOutput, invert: options.qrInvert, encryptor });
+        }
 
     } catch (error) {
-        console.error('Extraction failed:', error.message);
+        log.error('Extraction failed:', error.message);
         process.exit(1);
     }
 }
@@ -206,5 +895,13 @@ if (require.main === module) {
 
 module.exports = {
     extractTOTPs,
-    outputToTXT
+    findOTPFields,
+    findProtonOTPFields,
+    extractProtonTOTPs,
+    buildTOTPEntry,
+    resolveAccount,
+    entryToURI,
+    outputToTXT,
+    outputToFormat,
+    outputQRCodes
 };
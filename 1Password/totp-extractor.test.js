@@ -0,0 +1,126 @@
+/**
+ * Tests for the totp-extractor.js command line and the files it writes from encrypted input
+ *
+ * Run with: node --test 1Password/
+ */
+
+const assert = require('node:assert/strict');
+const { spawnSync } = require('node:child_process');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const { PASSPHRASE_ENV, isEncryptedFile, createEncryptor, decryptText } = require('../lib/encryption');
+
+const SCRIPT = path.join(__dirname, 'totp-extractor.js');
+const PASSPHRASE = 'correct horse battery staple';
+const SECRET = 'JBSWY3DPEHPK3PXP';
+
+const EXPORT = {
+    accounts: [{
+        vaults: [{
+            attrs: { name: 'Personal' },
+            items: [{
+                overview: { title: 'GitHub' },
+                details: { sections: [{ fields: [{ title: 'one-time password', value: { totp: `otpauth://totp/GitHub:alice?secret=${SECRET}&issuer=GitHub` } }] }] }
+            }]
+        }]
+    }]
+};
+
+/**
+ * Runs totp-extractor.js with the test passphrase in the environment
+ * @param {string[]} args - Command line arguments
+ * @param {string} cwd - Directory to run in, where default output names land
+ * @returns {Object} - The spawnSync result
+ */
+function run(args, cwd) {
+    return spawnSync(process.execPath, [SCRIPT, ...args], {
+        cwd,
+        env: { ...process.env, [PASSPHRASE_ENV]: PASSPHRASE },
+        encoding: 'utf8',
+        timeout: 60000
+    });
+}
+
+/**
+ * Reads and decrypts a file written by the script
+ * @param {string} filePath - The file
+ * @returns {string} - The plaintext
+ */
+function decryptFile(filePath) {
+    assert.ok(isEncryptedFile(filePath), `${filePath} is not encrypted`);
+    return decryptText(fs.readFileSync(filePath, 'utf8'), PASSPHRASE);
+}
+
+describe('encrypted input', () => {
+    let dir;
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'totp-extractor-'));
+        fs.writeFileSync(path.join(dir, 'export.data'), createEncryptor(PASSPHRASE).encrypt(JSON.stringify(EXPORT)));
+    });
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('writes output.txt.enc instead of plaintext URIs', () => {
+        const result = run([], dir);
+        assert.equal(result.status, 0, result.stdout);
+        assert.ok(!fs.existsSync(path.join(dir, 'output.txt')));
+        assert.match(decryptFile(path.join(dir, 'output.txt.enc')), new RegExp(`secret=${SECRET}`));
+    });
+
+    it('encrypts backups, reports and QR codes', () => {
+        const result = run(['--format', 'aegis', '--output', 'aegis.json', '--report', 'report.csv', '--report-format', 'csv', '--qr', 'svg'], dir);
+        assert.equal(result.status, 0, result.stdout);
+
+        assert.match(decryptFile(path.join(dir, 'aegis.json')), new RegExp(SECRET));
+        assert.match(decryptFile(path.join(dir, 'report.csv')), /GitHub/);
+        const codes = fs.readdirSync(path.join(dir, 'qr-codes'));
+        assert.equal(codes.length, 1);
+        assert.match(codes[0], /\.svg\.enc$/);
+        assert.match(decryptFile(path.join(dir, 'qr-codes', codes[0])), /^<svg/);
+    });
+
+    it('encrypts the URIs decoded from an encrypted migration file', () => {
+        const migration = path.join(dir, 'migration.txt');
+        assert.equal(run(['--format', 'google', '--output', migration, 'export.data'], dir).status, 0);
+
+        const result = run(['--decode', migration, '--output', 'accounts.txt'], dir);
+        assert.equal(result.status, 0, result.stdout);
+        assert.match(decryptFile(path.join(dir, 'accounts.txt')), new RegExp(`secret=${SECRET}`));
+    });
+});
+
+describe('plaintext input', () => {
+    it('writes plaintext unless --encrypt is given', () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'totp-extractor-'));
+        fs.writeFileSync(path.join(dir, 'export.data'), JSON.stringify(EXPORT));
+
+        try {
+            const result = run([], dir);
+            assert.equal(result.status, 0, result.stdout);
+            assert.match(fs.readFileSync(path.join(dir, 'output.txt'), 'utf8'), new RegExp(`secret=${SECRET}`));
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
+
+describe('usage errors', () => {
+    for (const flag of ['--format', '--batch-size', '--qr', '--qr-output', '--input-format', '--fallback-account', '--report', '--report-format', '--passphrase-file', '--decode', '--output']) {
+        it(`${flag} without a value exits with status 1`, () => {
+            for (const args of [[flag], [flag, '--verify', 'export.data']]) {
+                const result = run(args, os.tmpdir());
+                assert.equal(result.status, 1);
+                assert.match(result.stderr, new RegExp(`^Option ${flag} requires a value`));
+            }
+        });
+    }
+
+    it('--fallback-account takes an empty name', () => {
+        const result = run(['--fallback-account', '', '--format', 'bogus'], os.tmpdir());
+        assert.equal(result.status, 1);
+        assert.match(result.stderr, /^Unknown format "bogus"/);
+    });
+});
@@ -13,11 +13,31 @@
  *   echo '{"data": "..."}' | node normalize-data.js
  *   node normalize-data.js input.json
  *   node normalize-data.js input.json > output.json
+ *   node normalize-data.js --verbose input.json
+ *   node normalize-data.js --encrypt converted.json.enc
+ *
+ * Options:
+ *   --quiet                   Only print errors
+ *   --verbose                 Also print how many items each vault keeps
+ *   --debug                   Also print every item that is dropped
+ *   --encrypt                 Write output.json.enc, encrypted with a passphrase
+ *                             (decrypt with ../1Password/decrypt.js); implied by
+ *                             encrypted input
+ *   --passphrase-file <file>  Read the passphrase from the first line of a file
+ *                             (default: $EXPORT_PASSPHRASE, else ask on the terminal)
+ *
+ * Input written with --encrypt by any of the scripts is decrypted first, and
+ * implies --encrypt: the output is encrypted again with the same passphrase.
  *
  * @param {string} [filePath] - Optional file path to read JSON from. If not provided, reads from stdin.
  */
 
 const fs = require('node:fs');
+const { LOG_LEVEL_FLAGS, createLogger } = require('../lib/logger');
+const { isEncrypted, createEncryptor, decryptText, passphraseSource } = require('../lib/encryption');
+
+// Messages are masked, so item names with emails or tokens stay out of logs
+const log = createLogger({ stream: process.stdout });
 
 /**
  * Normalizes a single item according to the specified rules
@@ -33,6 +53,7 @@ function normalizeItem(item) {
   // Only keep items with specified types
   const allowedTypes = ['login', 'note', 'identity'];
   if (!allowedTypes.includes(item.data.type)) {
+    log.debug(`Dropping ${item.data.type} item "${item.data.metadata?.name || item.itemId || 'Unknown'}"`);
     return null;
   }
 
@@ -67,6 +88,7 @@ function normalizeVault(vault) {
   const normalizedItems = vault.items
     .map(normalizeItem)
     .filter(item => item !== null);  // Remove filtered out items
+  log.verbose(`Vault "${vault.name || 'Unknown'}" keeps ${normalizedItems.length} of ${vault.items.length} items`);
 
   return {
     ...vault,
@@ -97,11 +119,23 @@ function normalizeData(data) {
   };
 }
 
+/**
+ * Decrypts text written with --encrypt, leaving anything else unchanged
+ * @param {string} text - The input text
+ * @param {Function} passphrase - Resolves the passphrase when it is needed
+ * @returns {Promise<{text: string, encrypted: boolean}>} - The plaintext, and whether it was encrypted
+ */
+async function decryptInput(text, passphrase) {
+  const encrypted = isEncrypted(text);
+  return { text: encrypted ? decryptText(text, await passphrase()) : text, encrypted };
+}
+
 /**
  * Reads JSON data from stdin
- * @returns {Promise<Object>} - The parsed JSON data
+ * @param {Function} passphrase - Resolves the passphrase for encrypted input
+ * @returns {Promise<{data: Object, encrypted: boolean}>} - The parsed JSON data, and whether it was encrypted
  */
-function readFromStdin() {
+function readFromStdin(passphrase) {
   return new Promise((resolve, reject) => {
     let data = '';
 
@@ -109,10 +143,18 @@ function readFromStdin() {
       data += chunk;
     });
 
-    process.stdin.on('end', () => {
+    process.stdin.on('end', async () => {
+      let input;
+      try {
+        input = await decryptInput(data, passphrase);
+      } catch (error) {
+        reject(error);
+        return;
+      }
+
       try {
-        const jsonData = JSON.parse(data);
-        resolve(jsonData);
+        const jsonData = JSON.parse(input.text);
+        resolve({ data: jsonData, encrypted: input.encrypted });
       } catch (error) {
         reject(new Error(`Invalid JSON from stdin: ${error.message}`));
       }
@@ -127,19 +169,28 @@ function readFromStdin() {
 /**
  * Reads JSON data from a file
  * @param {string} filePath - Path to the JSON file
- * @returns {Promise<Object>} - The parsed JSON data
+ * @param {Function} passphrase - Resolves the passphrase for encrypted input
+ * @returns {Promise<{data: Object, encrypted: boolean}>} - The parsed JSON data, and whether it was encrypted
  */
-function readFromFile(filePath) {
+function readFromFile(filePath, passphrase) {
   return new Promise((resolve, reject) => {
-    fs.readFile(filePath, 'utf8', (error, data) => {
+    fs.readFile(filePath, 'utf8', async (error, data) => {
       if (error) {
         reject(new Error(`Error reading file ${filePath}: ${error.message}`));
         return;
       }
 
+      let input;
+      try {
+        input = await decryptInput(data, passphrase);
+      } catch (error) {
+        reject(error);
+        return;
+      }
+
       try {
-        const jsonData = JSON.parse(data);
-        resolve(jsonData);
+        const jsonData = JSON.parse(input.text);
+        resolve({ data: jsonData, encrypted: input.encrypted });
       } catch (error) {
         reject(new Error(`Invalid JSON in file ${filePath}: ${error.message}`));
       }
@@ -152,28 +203,51 @@ function readFromFile(filePath) {
  */
 async function main() {
   try {
-    let jsonData;
+    // Check if file path is provided as command line argument, after any options
+    let filePath;
+    let encrypt = false;
+    let passphraseFile = null;
+    const args = process.argv.slice(2);
+    for (let i = 0; i < args.length; i++) {
+      const arg = args[i];
+      if (Object.hasOwn(LOG_LEVEL_FLAGS, arg)) {
+        log.setLevel(LOG_LEVEL_FLAGS[arg]);
+      } else if (arg === '--encrypt') {
+        encrypt = true;
+      } else if (arg === '--passphrase-file') {
+        passphraseFile = args[++i];
+        if (!passphraseFile) {
+          throw new Error('Option --passphrase-file requires a value');
+        }
+      } else if (arg.startsWith('--')) {
+        throw new Error(`Unknown option: ${arg}`);
+      } else {
+        filePath = filePath || arg;
+      }
+    }
 
-    // Check if file path is provided as command line argument
-    const filePath = process.argv[2];
+    const passphrase = passphraseSource({ passphraseFile, confirm: encrypt });
+    const input = filePath ? await readFromFile(filePath, passphrase) : await readFromStdin(passphrase);
 
-    if (filePath) {
-      jsonData = await readFromFile(filePath);
-    } else {
-      jsonData = await readFromStdin();
+    // Decrypted data never goes back to disk in plaintext: encrypted input implies --encrypt
+    if (input.encrypted && !encrypt) {
+      encrypt = true;
+      log.info('Input is encrypted: encrypting the output with the same passphrase');
     }
 
     // Normalize the data
-    const normalizedData = normalizeData(jsonData);
+    const normalizedData = normalizeData(input.data);
 
-    // Write normalized JSON to output.json file
-    fs.writeFileSync('output.json', JSON.stringify(normalizedData, null, 2));
+    // Write normalized JSON to output.json file, or output.json.enc when encrypting
+    const outputPath = encrypt ? 'output.json.enc' : 'output.json';
+    const outputData = JSON.stringify(normalizedData, null, 2);
+    fs.writeFileSync(outputPath, encrypt ? createEncryptor(await passphrase()).encrypt(outputData) : outputData);
 
     // Confirm file was written successfully
-    console.log('Normalized data successfully written to output.json');
+    log.info(`Normalized data successfully written to ${outputPath}`);
 
   } catch (error) {
-    console.error(`Error: ${error.message}`);
+    log.error(`Error: ${error.message}`);
     process.exit(1);
   }
 }
@@ -0,0 +1,77 @@
+/**
+ * Tests for the output normalize-data.js writes from encrypted input
+ *
+ * Run with: node --test Proton/
+ */
+
+const assert = require('node:assert/strict');
+const { spawnSync } = require('node:child_process');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { describe, it } = require('node:test');
+const { PASSPHRASE_ENV, isEncryptedFile, createEncryptor, decryptText } = require('../lib/encryption');
+
+const SCRIPT = path.join(__dirname, 'normalize-data.js');
+const PASSPHRASE = 'correct horse battery staple';
+
+const EXPORT = {
+    vaults: {
+        v1: {
+            name: 'Personal',
+            items: [
+                { itemId: 'i1', data: { type: 'login', metadata: { name: 'GitHub' }, extraFields: [{ type: 'text' }], content: { totpUri: 'otpauth://totp/x?secret=JBSWY3DPEHPK3PXP' } } },
+                { itemId: 'i2', data: { type: 'creditCard', metadata: { name: 'Visa' }, content: {} } }
+            ]
+        }
+    }
+};
+
+/**
+ * Runs normalize-data.js on a file in a fresh directory
+ * @param {string} content - Content of the input file
+ * @param {string[]} [args] - Options before the input file
+ * @returns {{result: Object, dir: string}} - The spawnSync result and the directory it ran in
+ */
+function run(content, args = []) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'normalize-data-'));
+    fs.writeFileSync(path.join(dir, 'input.json'), content);
+    const result = spawnSync(process.execPath, [SCRIPT, ...args, 'input.json'], {
+        cwd: dir,
+        env: { ...process.env, [PASSPHRASE_ENV]: PASSPHRASE },
+        encoding: 'utf8',
+        timeout: 60000
+    });
+    return { result, dir };
+}
+
+describe('normalize-data.js', () => {
+    it('encrypts the output of an encrypted input with the same passphrase', () => {
+        const { result, dir } = run(createEncryptor(PASSPHRASE).encrypt(JSON.stringify(EXPORT)));
+
+        try {
+            assert.equal(result.status, 0, result.stdout);
+            assert.ok(!fs.existsSync(path.join(dir, 'output.json')));
+            const outputPath = path.join(dir, 'output.json.enc');
+            assert.ok(isEncryptedFile(outputPath));
+
+            const normalized = JSON.parse(decryptText(fs.readFileSync(outputPath, 'utf8'), PASSPHRASE));
+            assert.deepEqual(normalized.vaults.v1.items.map(item => item.itemId), ['i1']);
+            assert.equal(normalized.vaults.v1.items[0].data.content.totpUri, '');
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    it('writes plaintext output.json for plaintext input', () => {
+        const { result, dir } = run(JSON.stringify(EXPORT));
+
+        try {
+            assert.equal(result.status, 0, result.stdout);
+            const normalized = JSON.parse(fs.readFileSync(path.join(dir, 'output.json'), 'utf8'));
+            assert.deepEqual(normalized.vaults.v1.items[0].data.extraFields, []);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
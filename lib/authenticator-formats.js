@@ -0,0 +1,547 @@
+/**
+ * Authenticator app backup writers and readers
+ *
+ * Turns the structured entries produced by totp-extractor into backups other
+ * authenticators can import: Aegis (plain JSON vault), 2FAS, andOTP, a
+ * Bitwarden JSON export with login.totp, a KeePassXC-compatible CSV, and
+ * Google Authenticator migration URIs (one per QR code).
+ * Entries a format cannot represent are skipped and returned with a reason
+ * rather than written half-converted. Each format also has a reader, so a
+ * written backup can be parsed back and checked against its entries.
+ */
+
+const crypto = require('node:crypto');
+const { parseOtpauthUri, formatOtpauthUri } = require('./otpauth');
+const { migrationUnsupportedReason, encodeMigrationUris, decodeMigrationUri } = require('./otpauth-migration');
+
+/**
+ * Normalizes a Base32 secret: uppercase, no spaces, dashes or padding
+ * @param {string} secret - The secret
+ * @returns {string} - The normalized secret
+ */
+function base32Secret(secret) {
+    return String(secret).replace(/[\s=-]+/g, '').toUpperCase();
+}
+
+/**
+ * Checks whether an entry can be written as structured data
+ * @param {Object} entry - TOTP entry from extractTOTPs
+ * @returns {string|null} - Why the entry cannot be written, or null if it can
+ */
+function unwritableReason(entry) {
+    if (!entry.otp) {
+        return entry.problems?.length ? entry.problems.join('; ') : 'no parsed OTP';
+    }
+    if (entry.roundTrip === false) {
+        return `cannot round-trip: ${entry.problems.join('; ')}`;
+    }
+    if (entry.validationProblems?.length) {
+        return `invalid: ${entry.validationProblems.join('; ')}`;
+    }
+    return null;
+}
+
+/**
+ * Returns the OTP kind an app-specific type field expects
+ * @param {Object} otp - Parsed OTP entry
+ * @returns {string} - 'steam', 'hotp' or 'totp'
+ */
+function otpKind(otp) {
+    return otp.encoder === 'steam' ? 'steam' : otp.type;
+}
+
+/**
+ * Writes an Aegis plain (unencrypted) vault
+ * @param {Object[]} entries - Writable entries
+ * @returns {string} - The vault JSON
+ */
+function writeAegis(entries) {
+    const groups = new Map();
+    for (const entry of entries) {
+        if (entry.vault && !groups.has(entry.vault)) {
+            groups.set(entry.vault, crypto.randomUUID());
+        }
+    }
+
+    const vault = {
+        version: 1,
+        header: { slots: null, params: null },
+        db: {
+            version: 3,
+            entries: entries.map(({ otp, issuer, account, vault: vaultName }) => ({
+                type: otpKind(otp),
+                uuid: crypto.randomUUID(),
+                name: account,
+                issuer,
+                note: '',
+                favorite: false,
+                icon: null,
+                groups: vaultName ? [groups.get(vaultName)] : [],
+                info: {
+                    secret: base32Secret(otp.secret),
+                    algo: otp.algorithm,
+                    digits: otp.digits,
+                    ...(otp.type === 'hotp' ? { counter: otp.counter } : { period: otp.period })
+                }
+            })),
+            groups: [...groups].map(([name, uuid]) => ({ uuid, name }))
+        }
+    };
+
+    return JSON.stringify(vault, null, 4);
+}
+
+/**
+ * Writes a 2FAS backup (.2fas)
+ * @param {Object[]} entries - Writable entries
+ * @returns {string} - The backup JSON
+ */
+function write2FAS(entries) {
+    const now = Date.now();
+    const backup = {
+        services: entries.map(({ otp, issuer, account }, index) => ({
+            name: issuer,
+            secret: base32Secret(otp.secret),
+            updatedAt: now,
+            otp: {
+                label: otp.label,
+                account,
+                issuer,
+                digits: otp.digits,
+                period: otp.period ?? 30,
+                algorithm: otp.algorithm,
+                counter: otp.counter ?? 0,
+                tokenType: otpKind(otp).toUpperCase(),
+                source: 'Link'
+            },
+            order: { position: index },
+            icon: {
+                selected: 'Label',
+                label: { text: issuer.slice(0, 2).toUpperCase(), backgroundColor: 'Default' }
+            }
+        })),
+        groups: [],
+        updatedAt: now,
+        schemaVersion: 4
+    };
+
+    return JSON.stringify(backup, null, 4);
+}
+
+/**
+ * Writes an andOTP plain JSON backup
+ * @param {Object[]} entries - Writable entries
+ * @returns {string} - The backup JSON
+ */
+function writeAndOTP(entries) {
+    const backup = entries.map(({ otp, issuer, account, vault }) => ({
+        secret: base32Secret(otp.secret),
+        issuer,
+        label: account,
+        digits: otp.digits,
+        type: otpKind(otp).toUpperCase(),
+        algorithm: otp.algorithm,
+        thumbnail: 'Default',
+        last_used: 0,
+        used_frequency: 0,
+        ...(otp.type === 'hotp' ? { counter: otp.counter } : { period: otp.period }),
+        tags: vault ? [vault] : []
+    }));
+
+    return JSON.stringify(backup, null, 4);
+}
+
+/**
+ * Returns the login.totp / TOTP column value for apps that take a URI
+ * @param {Object} otp - Parsed OTP entry
+ * @returns {string} - steam:// for Steam codes, otherwise an otpauth:// URI
+ */
+function totpFieldValue(otp) {
+    return otp.encoder === 'steam' ? `steam://${base32Secret(otp.secret)}` : formatOtpauthUri(otp);
+}
+
+/**
+ * Writes an unencrypted Bitwarden JSON export with one login per entry
+ * @param {Object[]} entries - Writable entries
+ * @returns {string} - The export JSON
+ */
+function writeBitwarden(entries) {
+    const folders = new Map();
+    for (const entry of entries) {
+        if (entry.vault && !folders.has(entry.vault)) {
+            folders.set(entry.vault, crypto.randomUUID());
+        }
+    }
+
+    const exported = {
+        encrypted: false,
+        folders: [...folders].map(([name, id]) => ({ id, name })),
+        items: entries.map(({ otp, issuer, account, vault }) => ({
+            id: crypto.randomUUID(),
+            organizationId: null,
+            folderId: vault ? folders.get(vault) : null,
+            type: 1,
+            reprompt: 0,
+            name: issuer,
+            notes: null,
+            favorite: false,
+            login: {
+                uris: [],
+                username: account,
+                password: null,
+                totp: totpFieldValue(otp)
+            },
+            collectionIds: null
+        }))
+    };
+
+    return JSON.stringify(exported, null, 2);
+}
+
+/**
+ * Writes a CSV in the column layout of KeePassXC's own CSV export
+ * @param {Object[]} entries - Writable entries
+ * @returns {string} - The CSV text
+ */
+function writeKeePassXC(entries) {
+    const escape = value => `"${String(value ?? '').replace(/"/g, '""')}"`;
+    const rows = [
+        ['Group', 'Title', 'Username', 'Password', 'URL', 'Notes', 'TOTP'],
+        ...entries.map(({ otp, issuer, account, vault }) =>
+            [vault ? `Root/${vault}` : 'Root', issuer, account, '', '', '', totpFieldValue(otp)])
+    ];
+
+    return rows.map(row => row.map(escape).join(',')).join('\n');
+}
+
+/**
+ * Writes Google Authenticator migration URIs, one per line, and checks they decode back to the entries
+ * @param {Object[]} entries - Writable entries
+ * @param {Object} [options] - Writer options
+ * @param {number} [options.batchSize] - Entries per QR code
+ * @returns {string} - The URIs
+ */
+function writeGoogleMigration(entries, { batchSize } = {}) {
+    const otps = entries.map(({ otp }) => otp);
+    const uris = encodeMigrationUris(otps, { batchSize });
+
+    const decoded = uris.flatMap(uri => decodeMigrationUri(uri).otps);
+    otps.forEach((original, index) => {
+        const otp = decoded[index] || {};
+        const changed = ['type', 'label', 'algorithm', 'digits', ...(original.type === 'hotp' ? ['counter'] : [])]
+            .filter(field => otp[field] !== original[field]);
+        if ((otp.issuer ?? null) !== (original.issuer || null)) {
+            changed.push('issuer');
+        }
+        if (otp.secret !== base32Secret(original.secret)) {
+            changed.push('secret');
+        }
+        if (changed.length > 0) {
+            throw new Error(`Migration payload for "${original.label}" does not decode back to the original (${changed.join(', ')} changed)`);
+        }
+    });
+
+    return uris.join('\n');
+}
+
+/**
+ * Builds an entry from the fields an app stores, in the shape extractTOTPs gives
+ * @param {Object} fields - What the backup holds
+ * @param {string} fields.kind - 'totp', 'hotp' or 'steam'
+ * @param {string} fields.secret - Base32 secret
+ * @param {string} [fields.algorithm] - SHA1 (default), SHA256 or SHA512
+ * @param {number} [fields.digits] - Code length
+ * @param {number} [fields.period] - TOTP period
+ * @param {number} [fields.counter] - HOTP counter
+ * @param {string} [fields.issuer] - Service name
+ * @param {string} [fields.account] - Account name
+ * @param {string} [fields.vault] - Group, folder or tag
+ * @returns {{issuer: string, account: string, vault: string|null, otp: Object}} - The entry
+ * @throws {Error} - If the kind is unknown
+ */
+function entryFromBackup({ kind, secret, algorithm, digits, period, counter, issuer = '', account = '', vault = null }) {
+    const type = String(kind).toLowerCase();
+    if (!['totp', 'hotp', 'steam'].includes(type)) {
+        throw new Error(`Unsupported OTP type "${kind}"`);
+    }
+
+    return {
+        issuer: issuer || '',
+        account: account || '',
+        vault: vault || null,
+        otp: {
+            type: type === 'hotp' ? 'hotp' : 'totp',
+            label: issuer ? `${issuer}:${account || ''}` : account || '',
+            issuer: issuer || null,
+            secret: base32Secret(secret),
+            algorithm: String(algorithm || 'SHA1').toUpperCase(),
+            digits: Number(digits) || (type === 'steam' ? 5 : 6),
+            period: type === 'hotp' ? null : Number(period) || 30,
+            counter: type === 'hotp' ? Number(counter) || 0 : null,
+            encoder: type === 'steam' ? 'steam' : null,
+            extra: []
+        }
+    };
+}
+
+/**
+ * Builds an entry from a login.totp / TOTP column value
+ * @param {string} value - An otpauth:// or steam:// URI
+ * @param {Object} names - Fallback issuer and account, and the vault
+ * @returns {Object} - The entry
+ */
+function entryFromUri(value, { issuer, account, vault }) {
+    const otp = parseOtpauthUri(value);
+    return {
+        issuer: otp.issuer || issuer || '',
+        account: account || '',
+        vault: vault || null,
+        otp: { ...otp, secret: base32Secret(otp.secret) }
+    };
+}
+
+/**
+ * Reads an Aegis plain vault
+ * @param {string} text - The vault JSON
+ * @returns {Object[]} - The entries
+ */
+function readAegis(text) {
+    const vault = JSON.parse(text);
+    if (!Array.isArray(vault?.db?.entries)) {
+        throw new Error('Not an Aegis plain vault (no db.entries; encrypted vaults are not supported)');
+    }
+    const groups = new Map((vault.db.groups || []).map(({ uuid, name }) => [uuid, name]));
+
+    return vault.db.entries.map(entry => entryFromBackup({
+        kind: entry.type,
+        secret: entry.info.secret,
+        algorithm: entry.info.algo,
+        digits: entry.info.digits,
+        period: entry.info.period,
+        counter: entry.info.counter,
+        issuer: entry.issuer,
+        account: entry.name,
+        vault: groups.get(entry.groups?.[0])
+    }));
+}
+
+/**
+ * Reads a 2FAS backup
+ * @param {string} text - The backup JSON
+ * @returns {Object[]} - The entries
+ */
+function read2FAS(text) {
+    const backup = JSON.parse(text);
+    if (!Array.isArray(backup?.services)) {
+        throw new Error('Not a 2FAS backup (no services; encrypted backups are not supported)');
+    }
+
+    return backup.services.map(service => entryFromBackup({
+        kind: service.otp?.tokenType || 'totp',
+        secret: service.secret,
+        algorithm: service.otp?.algorithm,
+        digits: service.otp?.digits,
+        period: service.otp?.period,
+        counter: service.otp?.counter,
+        issuer: service.otp?.issuer || service.name,
+        account: service.otp?.account
+    }));
+}
+
+/**
+ * Reads an andOTP plain JSON backup
+ * @param {string} text - The backup JSON
+ * @returns {Object[]} - The entries
+ */
+function readAndOTP(text) {
+    const backup = JSON.parse(text);
+    if (!Array.isArray(backup)) {
+        throw new Error('Not an andOTP plain backup (expected an array)');
+    }
+
+    return backup.map(entry => entryFromBackup({
+        kind: entry.type,
+        secret: entry.secret,
+        algorithm: entry.algorithm,
+        digits: entry.digits,
+        period: entry.period,
+        counter: entry.counter,
+        issuer: entry.issuer,
+        account: entry.label,
+        vault: entry.tags?.[0]
+    }));
+}
+
+/**
+ * Reads the logins with a TOTP from an unencrypted Bitwarden JSON export
+ * @param {string} text - The export JSON
+ * @returns {Object[]} - The entries
+ */
+function readBitwarden(text) {
+    const exported = JSON.parse(text);
+    if (exported?.encrypted || !Array.isArray(exported?.items)) {
+        throw new Error('Not an unencrypted Bitwarden JSON export');
+    }
+    const folders = new Map((exported.folders || []).map(({ id, name }) => [id, name]));
+
+    return exported.items
+        .filter(item => item.login?.totp)
+        .map(item => entryFromUri(item.login.totp, {
+            issuer: item.name,
+            account: item.login.username,
+            vault: folders.get(item.folderId)
+        }));
+}
+
+/**
+ * Splits RFC 4180 CSV text into rows
+ * @param {string} text - The CSV text
+ * @returns {string[][]} - The rows
+ */
+function parseCSV(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows;
+}
+
+/**
+ * Reads the entries with a TOTP from a KeePassXC CSV export
+ * @param {string} text - The CSV text
+ * @returns {Object[]} - The entries
+ */
+function readKeePassXC(text) {
+    const [header, ...rows] = parseCSV(text);
+    const column = name => header?.indexOf(name) ?? -1;
+    if (column('TOTP') === -1 || column('Title') === -1) {
+        throw new Error('Not a KeePassXC CSV export (no Title and TOTP columns)');
+    }
+
+    return rows
+        .filter(row => row[column('TOTP')])
+        .map(row => {
+            const group = row[column('Group')] || '';
+            return entryFromUri(row[column('TOTP')], {
+                issuer: row[column('Title')],
+                account: row[column('Username')],
+                vault: group.replace(/^Root\/?/, '')
+            });
+        });
+}
+
+/**
+ * Reads Google Authenticator migration URIs, one per line
+ * @param {string} text - The URIs
+ * @returns {Object[]} - The entries
+ */
+function readGoogleMigration(text) {
+    return text.split(/\r?\n/)
+        .filter(line => line.trim())
+        .flatMap(uri => decodeMigrationUri(uri).otps)
+        .map(otp => ({
+            issuer: otp.issuer || '',
+            account: otp.issuer && otp.label.startsWith(`${otp.issuer}:`) ? otp.label.slice(otp.issuer.length + 1) : otp.label,
+            vault: null,
+            otp
+        }));
+}
+
+// Supported formats: default file name, which OTP kinds they can hold, the writer and the reader
+const AUTHENTICATOR_FORMATS = {
+    aegis: { fileName: 'aegis-export.json', kinds: ['totp', 'hotp', 'steam'], write: writeAegis, read: readAegis },
+    '2fas': { fileName: 'export.2fas', kinds: ['totp', 'hotp', 'steam'], write: write2FAS, read: read2FAS },
+    andotp: { fileName: 'otp_accounts.json', kinds: ['totp', 'hotp', 'steam'], write: writeAndOTP, read: readAndOTP },
+    bitwarden: { fileName: 'bitwarden-export.json', kinds: ['totp', 'steam'], write: writeBitwarden, read: readBitwarden },
+    keepassxc: { fileName: 'keepassxc-export.csv', kinds: ['totp', 'steam'], write: writeKeePassXC, read: readKeePassXC },
+    google: {
+        fileName: 'google-migration.txt',
+        kinds: ['totp', 'hotp'],
+        unsupported: migrationUnsupportedReason,
+        write: writeGoogleMigration,
+        read: readGoogleMigration
+    }
+};
+
+/**
+ * Writes entries in an authenticator backup format
+ * @param {Object[]} entries - TOTP entries from extractTOTPs
+ * @param {string} format - One of the keys of AUTHENTICATOR_FORMATS
+ * @param {Object} [options] - Writer options (batchSize for google)
+ * @returns {{text: string, written: Object[], skipped: {entry: Object, reason: string}[]}} - The backup and what went into it
+ */
+function formatEntries(entries, format, options = {}) {
+    const spec = AUTHENTICATOR_FORMATS[format];
+    if (!spec) {
+        throw new Error(`Unknown format "${format}" (expected ${Object.keys(AUTHENTICATOR_FORMATS).join(', ')})`);
+    }
+
+    const written = [];
+    const skipped = [];
+    for (const entry of entries) {
+        const reason = unwritableReason(entry) ||
+            (spec.kinds.includes(otpKind(entry.otp)) ? null : `${format} does not support ${otpKind(entry.otp).toUpperCase()} codes`) ||
+            (spec.unsupported ? spec.unsupported(entry.otp) : null);
+        if (reason) {
+            skipped.push({ entry, reason });
+        } else {
+            written.push(entry);
+        }
+    }
+
+    return { text: spec.write(written, options), written, skipped };
+}
+
+/**
+ * Reads a backup in an authenticator format
+ * @param {string} text - The backup
+ * @param {string} format - One of the keys of AUTHENTICATOR_FORMATS
+ * @returns {Object[]} - Entries ({ issuer, account, vault, otp }), with otp in the shape parseOtpauthUri returns
+ * @throws {Error} - If the format is unknown or the backup malformed
+ */
+function parseBackup(text, format) {
+    const spec = AUTHENTICATOR_FORMATS[format];
+    if (!spec) {
+        throw new Error(`Unknown format "${format}" (expected ${Object.keys(AUTHENTICATOR_FORMATS).join(', ')})`);
+    }
+    return spec.read(String(text));
+}
+
+module.exports = {
+    AUTHENTICATOR_FORMATS,
+    formatEntries,
+    parseBackup
+};
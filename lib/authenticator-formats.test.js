@@ -0,0 +1,80 @@
+/**
+ * Round-trip tests for the authenticator backup writers and readers
+ *
+ * Run with: node --test lib/
+ */
+
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { describe, it } = require('node:test');
+const { AUTHENTICATOR_FORMATS, formatEntries, parseBackup } = require('./authenticator-formats');
+const { parseOtpauthUri } = require('./otpauth');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'backups');
+
+// The entries the sample backups in fixtures/backups were written from
+const ENTRIES = [
+    ['Example', 'alice@example.com', 'Personal', 'otpauth://totp/Example:alice%40example.com?secret=GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ&issuer=Example'],
+    ['Acme', 'bob', 'Work', 'otpauth://totp/Acme:bob?secret=GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQGEZA&issuer=Acme&algorithm=SHA256&digits=8&period=60'],
+    ['Counter', 'carol', 'Work', 'otpauth://hotp/Counter:carol?secret=GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ&issuer=Counter&algorithm=SHA512&counter=5'],
+    ['Steam', 'dave', null, 'steam://JBSWY3DPEHPK3PXP']
+].map(([issuer, account, vault, uri]) => ({ issuer, account, vault, otp: parseOtpauthUri(uri) }));
+
+/**
+ * Picks the fields an authenticator needs to generate the same codes
+ * @param {Object} entry - Entry with an otp
+ * @returns {Object} - The fields to compare
+ */
+function codeFields({ otp }) {
+    return {
+        type: otp.type,
+        encoder: otp.encoder || null,
+        secret: otp.secret,
+        algorithm: otp.algorithm,
+        digits: otp.digits,
+        period: otp.type === 'totp' ? otp.period : null,
+        counter: otp.type === 'hotp' ? otp.counter : null
+    };
+}
+
+for (const [format, spec] of Object.entries(AUTHENTICATOR_FORMATS)) {
+    describe(`${format} backups`, () => {
+        it('read back the secret, digits, period and algorithm they were written with', () => {
+            const { text, written } = formatEntries(ENTRIES, format);
+            assert.ok(written.length > 0);
+            assert.deepEqual(parseBackup(text, format).map(codeFields), written.map(codeFields));
+        });
+
+        it('keep issuers and accounts', () => {
+            const { text, written } = formatEntries(ENTRIES, format);
+            assert.deepEqual(
+                parseBackup(text, format).map(({ issuer, account }) => ({ issuer, account })),
+                written.map(({ issuer, account }) => ({ issuer, account }))
+            );
+        });
+
+        it('re-import the sample backup and export it again unchanged', () => {
+            const sample = fs.readFileSync(path.join(FIXTURES, spec.fileName), 'utf8');
+            const imported = parseBackup(sample, format);
+            const expected = ENTRIES.filter(entry => formatEntries([entry], format).written.length > 0);
+            assert.deepEqual(imported.map(codeFields), expected.map(codeFields));
+
+            const { text, skipped } = formatEntries(imported, format);
+            assert.deepEqual(skipped, []);
+            assert.deepEqual(parseBackup(text, format).map(codeFields), imported.map(codeFields));
+        });
+    });
+}
+
+describe('parseBackup', () => {
+    it('rejects unknown formats', () => {
+        assert.throws(() => parseBackup('{}', 'authy'), /Unknown format "authy"/);
+    });
+
+    it('rejects encrypted or foreign files', () => {
+        assert.throws(() => parseBackup('{"version":1,"header":{},"db":"base64"}', 'aegis'), /Not an Aegis plain vault/);
+        assert.throws(() => parseBackup('{"encrypted":true,"items":[]}', 'bitwarden'), /Not an unencrypted Bitwarden/);
+        assert.throws(() => parseBackup('Title,URL\nx,y', 'keepassxc'), /Not a KeePassXC CSV export/);
+    });
+});
@@ -0,0 +1,66 @@
+/**
+ * RFC 4648 Base32, the encoding of OTP secrets
+ *
+ * Decoding is lenient about what people type or paste: case, spaces, dashes
+ * and trailing "=" padding are ignored. Any other character is an error.
+ */
+
+const ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Encodes bytes as unpadded Base32
+ * @param {Uint8Array} bytes - The bytes to encode
+ * @returns {string} - The Base32 text
+ */
+function base32Encode(bytes) {
+    let output = '';
+    let buffer = 0;
+    let bits = 0;
+
+    for (const byte of bytes) {
+        buffer = ((buffer << 8) | byte) & 0xffff;
+        bits += 8;
+        while (bits >= 5) {
+            output += ALPHABET[(buffer >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += ALPHABET[(buffer << (5 - bits)) & 31];
+    }
+
+    return output;
+}
+
+/**
+ * Decodes Base32 text
+ * @param {string} text - The Base32 text
+ * @returns {Buffer} - The decoded bytes
+ * @throws {Error} - If the text contains characters outside the Base32 alphabet
+ */
+function base32Decode(text) {
+    const clean = String(text).replace(/[\s-]+/g, '').replace(/=+$/, '').toUpperCase();
+    const bytes = [];
+    let buffer = 0;
+    let bits = 0;
+
+    for (const char of clean) {
+        const value = ALPHABET.indexOf(char);
+        if (value === -1) {
+            throw new Error(`Invalid Base32 character "${char}"`);
+        }
+        buffer = ((buffer << 5) | value) & 0xffff;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((buffer >>> (bits - 8)) & 0xff);
+            bits -= 8;
+        }
+    }
+
+    return Buffer.from(bytes);
+}
+
+module.exports = {
+    base32Encode,
+    base32Decode
+};
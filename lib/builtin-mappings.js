@@ -0,0 +1,72 @@
+/**
+ * Built-in domain mappings for domain-converter
+ *
+ * The first layer of the mapping stack. Team and personal mapping packs are
+ * layered on top of these and may override any entry. Exact matches come from
+ * data/domain-catalog.json, where every domain is filed under a category.
+ */
+
+// Categorized catalog of known domains: { [category]: { [domain]: name } }
+const catalog = require('./data/domain-catalog.json');
+
+// Individual domain mappings for exact matches, and the category of each
+const exactMatches = {};
+const categories = {};
+for (const [category, domains] of Object.entries(catalog)) {
+    for (const [domain, name] of Object.entries(domains)) {
+        exactMatches[domain] = name;
+        categories[domain] = category;
+    }
+}
+
+// Fallback pattern-based rules for unknown domains, checked in order
+const patterns = [
+    // Internal/admin patterns
+    { pattern: /^internal\.(.*)$/, replacement: 'Internal', category: 'Internal' },
+    { pattern: /^admin\.(.*)$/, replacement: 'Admin', category: 'Internal' },
+    { pattern: /^cpanel\.(.*)$/, replacement: 'cPanel', category: 'Cloud' },
+    { pattern: /^webmail\.(.*)$/, replacement: 'Webmail', category: 'Email' },
+    { pattern: /^panel\.(.*)$/, replacement: 'Panel', category: 'Internal' },
+    { pattern: /^dashboard\.(.*)$/, replacement: 'Dashboard', category: 'Internal' },
+
+    // Auth/service subdomains
+    { pattern: /^auth\.(.*)$/, replacement: '$1', transform: 'capitalize' },
+    { pattern: /^accounts\.(.*)$/, replacement: '$1', transform: 'capitalize' },
+    { pattern: /^login\.(.*)$/, replacement: '$1', transform: 'capitalize' },
+    { pattern: /^signin\.(.*)$/, replacement: '$1', transform: 'capitalize' },
+    { pattern: /^app\.([a-zA-Z0-9-]+)\.com$/, replacement: '$1', transform: 'capitalize' },
+
+    // Service-specific patterns
+    { pattern: /^(.*\.)?hpanel\.hostinger\.com$/, replacement: 'Hostinger', category: 'Cloud' },
+    { pattern: /^(.*\.)?cpanel\.(.*)$/, replacement: 'cPanel', category: 'Cloud' },
+    { pattern: /^(.*\.)?plesk\.(.*)$/, replacement: 'Plesk', category: 'Cloud' },
+
+    // Common service patterns
+    { pattern: /^(.*\.)?github\.com$/, replacement: 'GitHub', category: 'Development' },
+    { pattern: /^(.*\.)?gitlab\.com$/, replacement: 'GitLab', category: 'Development' },
+    { pattern: /^(.*\.)?bitbucket\.org$/, replacement: 'Bitbucket', category: 'Development' },
+    { pattern: /^(.*\.)?stackoverflow\.com$/, replacement: 'Stack Overflow', category: 'Development' },
+    { pattern: /^(.*\.)?notion\.so$/, replacement: 'Notion', category: 'Productivity' },
+    { pattern: /^(.*\.)?figma\.com$/, replacement: 'Figma', category: 'Productivity' },
+    { pattern: /^(.*\.)?canva\.com$/, replacement: 'Canva', category: 'Productivity' },
+
+    // WWW subdomain removal
+    { pattern: /^www\.(.*)$/, replacement: '$1' },
+
+    // Development environment patterns
+    { pattern: /^(.*\.)?localhost$/, replacement: 'Localhost', category: 'Internal' },
+    { pattern: /^(.*\.)?local$/, replacement: 'Local', category: 'Internal' },
+    { pattern: /^(.*\.)?dev\.(.*)$/, replacement: 'Dev', category: 'Internal' },
+    { pattern: /^(.*\.)?staging\.(.*)$/, replacement: 'Staging', category: 'Internal' },
+    { pattern: /^(.*\.)?test\.(.*)$/, replacement: 'Test', category: 'Internal' }
+];
+
+// Leading labels that don't add meaning to a name
+const skipPrefixes = ['www', 'app', 'api', 'admin', 'cpanel', 'webmail', 'mail', 'email'];
+
+module.exports = {
+    exactMatches,
+    categories,
+    patterns,
+    skipPrefixes
+};
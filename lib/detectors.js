@@ -0,0 +1,259 @@
+/**
+ * Secret and personal data detectors for free text
+ *
+ * Each detector finds one kind of sensitive token anywhere inside a string:
+ * cloud and SaaS credentials by their documented formats (AWS, GCP, GitHub,
+ * Slack, Stripe), JWTs, PEM private keys, card numbers that pass the Luhn
+ * check, IBANs that pass the ISO 7064 mod 97 check, email addresses, phone
+ * numbers and high-entropy strings that look like generated keys. Checksums
+ * and context keep false positives down, so matches can be replaced inside
+ * notes and custom fields without mangling the text around them.
+ */
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Shortest token the high-entropy detector considers
+const MIN_HIGH_ENTROPY_LENGTH = 20;
+
+/**
+ * Checks a card number with the Luhn algorithm
+ * @param {string} text - The number, possibly with spaces or dashes
+ * @returns {boolean} - True for 13 to 19 digits with a valid check digit
+ */
+function isLuhnValid(text) {
+    const digits = text.replace(/[ -]/g, '');
+    if (!/^\d{13,19}$/.test(digits) || /^(\d)\1+$/.test(digits)) {
+        return false;
+    }
+
+    let sum = 0;
+    for (let index = 0; index < digits.length; index++) {
+        let digit = Number(digits[digits.length - 1 - index]);
+        if (index % 2 === 1) {
+            digit *= 2;
+            if (digit > 9) {
+                digit -= 9;
+            }
+        }
+        sum += digit;
+    }
+    return sum % 10 === 0;
+}
+
+/**
+ * Checks an IBAN with the ISO 7064 mod 97-10 checksum
+ * @param {string} text - The IBAN, possibly with spaces
+ * @returns {boolean} - True if the check digits are right
+ */
+function isIBANValid(text) {
+    const iban = text.replace(/ /g, '').toUpperCase();
+    if (!/^[A-Z]{2}\d{2}[A-Z0-9]{11,30}$/.test(iban)) {
+        return false;
+    }
+
+    let remainder = 0;
+    for (const char of iban.slice(4) + iban.slice(0, 4)) {
+        const value = parseInt(char, 36);
+        remainder = (value > 9 ? remainder * 100 + value : remainder * 10 + value) % 97;
+    }
+    return remainder === 1;
+}
+
+/**
+ * Shannon entropy of a string
+ * @param {string} text - The string
+ * @returns {number} - Bits per character
+ */
+function entropy(text) {
+    const counts = new Map();
+    for (const char of text) {
+        counts.set(char, (counts.get(char) || 0) + 1);
+    }
+    let bits = 0;
+    for (const count of counts.values()) {
+        const p = count / text.length;
+        bits -= p * Math.log2(p);
+    }
+    return bits;
+}
+
+/**
+ * Checks whether a token looks randomly generated rather than written
+ * @param {string} text - The token
+ * @returns {boolean} - True for mixed-case alphanumerics or long hex with high entropy
+ */
+function isHighEntropy(text) {
+    if (UUID_PATTERN.test(text)) {
+        return false;
+    }
+    if (/^[0-9a-f]{32,}$/i.test(text)) {
+        return /\d/.test(text) && /[a-f]/i.test(text) && entropy(text) >= 3;
+    }
+    return /[a-z]/.test(text) && /[A-Z]/.test(text) && /\d/.test(text) && entropy(text) >= 4;
+}
+
+/**
+ * Checks whether a token is base64 as a whole: only base64 characters, and a
+ * length that is a multiple of 4 (padded or not)
+ * @param {string} text - The token
+ * @returns {boolean} - True if it decodes as base64
+ */
+function isBase64(text) {
+    return /^[A-Za-z0-9+/]+={0,2}$/.test(text) && text.length % 4 === 0;
+}
+
+/**
+ * Splits a token at "/" so file paths are checked one segment at a time,
+ * unless the whole token is base64, where "/" is just another character
+ * @param {string} text - The token
+ * @returns {{offset: number, text: string}[]} - The parts to check, long enough to be keys
+ */
+function splitPath(text) {
+    if (!text.includes('/') || isBase64(text)) {
+        return [{ offset: 0, text }];
+    }
+
+    const parts = [];
+    let offset = 0;
+    for (const segment of text.split('/')) {
+        if (segment.length >= MIN_HIGH_ENTROPY_LENGTH) {
+            parts.push({ offset, text: segment });
+        }
+        offset += segment.length + 1;
+    }
+    return parts;
+}
+
+/**
+ * Checks whether a match looks like a phone number rather than another number
+ * @param {string} text - The match
+ * @returns {boolean} - True for 9 to 15 digits that are not an IPv4 address
+ */
+function isPhoneNumber(text) {
+    const digits = text.replace(/\D/g, '').length;
+    return digits >= 9 && digits <= 15 && !/^\d{1,3}(\.\d{1,3}){3}$/.test(text);
+}
+
+/**
+ * Checks that a JWT header decodes to a JSON object with an algorithm
+ * @param {string} text - The token
+ * @returns {boolean} - True if the header is valid
+ */
+function isJWT(text) {
+    try {
+        const header = JSON.parse(Buffer.from(text.split('.')[0], 'base64url').toString('utf8'));
+        return typeof header?.alg === 'string';
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * The detectors, in order of precedence where matches overlap
+ *
+ * pattern must have the g flag; group, if set, is the capture group holding
+ * the secret when the pattern also matches its context; split, if set, breaks
+ * a match into the parts to check on their own; validate, if set, rejects
+ * matches that only look like the real thing.
+ */
+const DETECTORS = [
+    { name: 'pem-private-key', pattern: /-----BEGIN ([A-Z0-9 ]*PRIVATE KEY(?: BLOCK)?)-----[\s\S]*?-----END \1-----/g },
+    { name: 'jwt', pattern: /\beyJ[A-Za-z0-9_-]{8,}\.eyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]*/g, validate: isJWT },
+    { name: 'aws-access-key', pattern: /\b(?:AKIA|ASIA|ABIA|ACCA)[0-9A-Z]{16}\b/g },
+    {
+        name: 'aws-secret-key',
+        pattern: /\baws_?secret_?(?:access_?)?key\b["']?\s*[:=]\s*["']?([A-Za-z0-9/+]{40})(?![A-Za-z0-9/+])/gi,
+        group: 1
+    },
+    { name: 'gcp-api-key', pattern: /\bAIza[0-9A-Za-z_-]{35}(?![0-9A-Za-z_-])/g },
+    { name: 'gcp-oauth-token', pattern: /\bya29\.[0-9A-Za-z_-]{20,}/g },
+    { name: 'github-token', pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36}|github_pat_[A-Za-z0-9_]{82})\b/g },
+    { name: 'slack-token', pattern: /\bxox[abposr]-[0-9A-Za-z-]{10,}/g },
+    { name: 'slack-webhook', pattern: /https:\/\/hooks\.slack\.com\/services\/[A-Za-z0-9_/]+/g },
+    { name: 'stripe-key', pattern: /\b(?:sk|rk)_(?:live|test)_[0-9A-Za-z]{16,}\b/g },
+    { name: 'card-number', pattern: /(?<![\d-])\d(?:[ -]?\d){12,18}(?![\d-])/g, validate: isLuhnValid },
+    { name: 'iban', pattern: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]){11,30}\b/g, validate: isIBANValid },
+    { name: 'email', pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g },
+    {
+        name: 'phone',
+        pattern: /(?<![\w+.-])(?:\+\d{1,3}[ .-]?)?(?:\(\d{1,4}\)[ .-]?)?\d{2,4}(?:[ .-]\d{2,4}){1,4}(?![\w.-]?\d)/g,
+        validate: isPhoneNumber
+    },
+    // Not inside URLs, host names or file names: no "." or ":" attached on either side,
+    // and paths are checked segment by segment
+    {
+        name: 'high-entropy',
+        pattern: new RegExp(`(?<![A-Za-z0-9+/_.:-])[A-Za-z0-9+/_-]{${MIN_HIGH_ENTROPY_LENGTH},}={0,2}(?![A-Za-z0-9+/=_-]|[.:][A-Za-z0-9])`, 'g'),
+        split: splitPath,
+        validate: isHighEntropy
+    }
+];
+
+const DETECTOR_NAMES = DETECTORS.map(detector => detector.name);
+
+/**
+ * Finds sensitive tokens in a string
+ * @param {string} text - The string to scan
+ * @param {string[]} [names] - Detectors to use (default: all)
+ * @returns {{detector: string, start: number, end: number, match: string}[]} - Matches in order, without overlaps
+ */
+function detectSecrets(text, names = DETECTOR_NAMES) {
+    if (typeof text !== 'string' || text === '') {
+        return [];
+    }
+
+    const found = [];
+    DETECTORS.forEach((detector, precedence) => {
+        if (!names.includes(detector.name)) {
+            return;
+        }
+        for (const match of text.matchAll(detector.pattern)) {
+            const secret = detector.group ? match[detector.group] : match[0];
+            const start = match.index + (detector.group ? match[0].indexOf(secret) : 0);
+            const parts = detector.split ? detector.split(secret) : [{ offset: 0, text: secret }];
+            for (const part of parts) {
+                if (detector.validate && !detector.validate(part.text)) {
+                    continue;
+                }
+                const partStart = start + part.offset;
+                found.push({ detector: detector.name, start: partStart, end: partStart + part.text.length, match: part.text, precedence });
+            }
+        }
+    });
+
+    // Earlier first; at the same place the longer match, then the detector listed first
+    found.sort((a, b) => a.start - b.start || b.end - a.end || a.precedence - b.precedence);
+
+    const matches = [];
+    for (const { precedence, ...match } of found) {
+        if (matches.length === 0 || match.start >= matches[matches.length - 1].end) {
+            matches.push(match);
+        }
+    }
+    return matches;
+}
+
+/**
+ * Replaces every match in a string
+ * @param {string} text - The scanned string
+ * @param {{start: number, end: number, match: string, detector: string}[]} matches - From detectSecrets
+ * @param {function(string, string): string} replace - Gets each match and its detector, returns the replacement
+ * @returns {string} - The string with the matches replaced
+ */
+function replaceSecrets(text, matches, replace) {
+    let result = '';
+    let last = 0;
+    for (const match of matches) {
+        result += text.slice(last, match.start) + replace(match.match, match.detector);
+        last = match.end;
+    }
+    return result + text.slice(last);
+}
+
+module.exports = {
+    DETECTOR_NAMES,
+    detectSecrets,
+    replaceSecrets,
+    isLuhnValid,
+    isIBANValid
+};
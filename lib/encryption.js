@@ -0,0 +1,263 @@
+/**
+ * Passphrase encryption of output files
+ *
+ * Every script's --encrypt option, the decrypt command and the downloads of
+ * de-duplicate.html share one container format, a small JSON document:
+ *
+ *   {
+ *     "encrypted": "scrypt-aes-256-gcm",
+ *     "version": 1,
+ *     "kdf": { "N": 131072, "r": 8, "p": 1, "salt": "<base64, 16 bytes>" },
+ *     "iv": "<base64, 12 bytes>",
+ *     "data": "<base64 ciphertext followed by the 16 byte GCM tag>"
+ *   }
+ *
+ * The key is scrypt(passphrase, salt, N, r, p) with a 32 byte output, where
+ * the passphrase is the UTF-8 of its NFC form. The plaintext is the UTF-8
+ * file content, encrypted with AES-256-GCM without additional data. The
+ * "encrypted" key always comes first, so files are recognised by their
+ * first bytes. A changed header only ever yields a wrong key or IV, which
+ * the GCM tag rejects like a wrong passphrase.
+ */
+
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+
+const ENCRYPTION_FORMAT = 'scrypt-aes-256-gcm';
+const ENCRYPTION_VERSION = 1;
+
+// Environment variable read for the passphrase when no passphrase file is given
+const PASSPHRASE_ENV = 'EXPORT_PASSPHRASE';
+
+const DEFAULT_SCRYPT_PARAMS = { N: 2 ** 17, r: 8, p: 1 };
+
+// Upper bound on the cost of a file's parameters, so a crafted header cannot exhaust memory
+const MAX_SCRYPT_MEMORY = 1024 * 1024 * 1024;
+
+const CONTAINER_PATTERN = new RegExp(`^\\s*\\{\\s*"encrypted"\\s*:\\s*"${ENCRYPTION_FORMAT}"`);
+
+/**
+ * Checks whether text is an encrypted container
+ * @param {string} text - File content
+ * @returns {boolean} - True if it starts like a container
+ */
+function isEncrypted(text) {
+    return CONTAINER_PATTERN.test(String(text).slice(0, 256));
+}
+
+/**
+ * Checks whether a file is an encrypted container without reading all of it
+ * @param {string} filePath - The file
+ * @returns {boolean} - True if it starts like a container; false if it cannot be read
+ */
+function isEncryptedFile(filePath) {
+    let fd;
+    try {
+        fd = fs.openSync(filePath, 'r');
+        const head = Buffer.alloc(256);
+        const length = fs.readSync(fd, head, 0, head.length, 0);
+        return isEncrypted(head.subarray(0, length).toString('utf8'));
+    } catch {
+        return false;
+    } finally {
+        if (fd !== undefined) {
+            fs.closeSync(fd);
+        }
+    }
+}
+
+/**
+ * Derives the AES key from a passphrase
+ * @param {string} passphrase - The passphrase
+ * @param {Buffer} salt - The salt
+ * @param {{N: number, r: number, p: number}} params - scrypt cost parameters
+ * @returns {Buffer} - The 32 byte key
+ */
+function deriveKey(passphrase, salt, { N, r, p }) {
+    return crypto.scryptSync(Buffer.from(passphrase.normalize('NFC'), 'utf8'), salt, 32, {
+        N,
+        r,
+        p,
+        maxmem: 2 * 128 * N * r * p
+    });
+}
+
+/**
+ * Creates an encryptor that derives its key once, for writing several files
+ * @param {string} passphrase - The passphrase
+ * @param {Object} [params] - scrypt cost parameters (default: N = 2^17, r = 8, p = 1)
+ * @returns {{encrypt: function(string|Buffer): string}} - Turns file content into a container
+ * @throws {Error} - If the passphrase is empty
+ */
+function createEncryptor(passphrase, params = DEFAULT_SCRYPT_PARAMS) {
+    if (!passphrase) {
+        throw new Error('The passphrase cannot be empty');
+    }
+
+    const salt = crypto.randomBytes(16);
+    const key = deriveKey(passphrase, salt, params);
+
+    return {
+        encrypt(plaintext) {
+            const iv = crypto.randomBytes(12);
+            const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+            const data = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final(), cipher.getAuthTag()]);
+            return `${JSON.stringify({
+                encrypted: ENCRYPTION_FORMAT,
+                version: ENCRYPTION_VERSION,
+                kdf: { N: params.N, r: params.r, p: params.p, salt: salt.toString('base64') },
+                iv: iv.toString('base64'),
+                data: data.toString('base64')
+            }, null, 2)}\n`;
+        }
+    };
+}
+
+/**
+ * Encrypts file content
+ * @param {string|Buffer} plaintext - The content
+ * @param {string} passphrase - The passphrase
+ * @returns {string} - The container
+ */
+function encryptText(plaintext, passphrase) {
+    return createEncryptor(passphrase).encrypt(plaintext);
+}
+
+/**
+ * Decrypts a container
+ * @param {string} text - The container
+ * @param {string} passphrase - The passphrase
+ * @returns {string} - The original file content
+ * @throws {Error} - If the text is not a container, or the passphrase is wrong or the file corrupted
+ */
+function decryptText(text, passphrase) {
+    let container;
+    try {
+        container = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Not an encrypted file: ${error.message}`);
+    }
+    if (container?.encrypted !== ENCRYPTION_FORMAT) {
+        throw new Error('Not an encrypted file');
+    }
+    if (container.version !== ENCRYPTION_VERSION) {
+        throw new Error(`Unsupported encryption version ${container.version}`);
+    }
+
+    const { N, r, p, salt } = container.kdf || {};
+    if (![N, r, p].every(Number.isInteger) || N < 2 || (N & (N - 1)) !== 0 || r < 1 || p < 1 ||
+        128 * N * r * p > MAX_SCRYPT_MEMORY) {
+        throw new Error('Unsupported scrypt parameters');
+    }
+
+    const data = Buffer.from(String(container.data), 'base64');
+    if (data.length < 16) {
+        throw new Error('Encrypted data is truncated');
+    }
+
+    const key = deriveKey(passphrase, Buffer.from(String(salt), 'base64'), { N, r, p });
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(String(container.iv), 'base64'));
+    decipher.setAuthTag(data.subarray(data.length - 16));
+    try {
+        return Buffer.concat([decipher.update(data.subarray(0, data.length - 16)), decipher.final()]).toString('utf8');
+    } catch {
+        throw new Error('Wrong passphrase, or the file is corrupted');
+    }
+}
+
+/**
+ * Reads a line from the terminal without echoing it
+ * @param {string} question - The prompt
+ * @returns {Promise<string>} - What was typed
+ */
+function promptHidden(question) {
+    return new Promise((resolve, reject) => {
+        const stdin = process.stdin;
+        let value = '';
+
+        const finish = () => {
+            stdin.removeListener('data', onData);
+            stdin.setRawMode(false);
+            stdin.pause();
+            process.stderr.write('\n');
+        };
+        const onData = chunk => {
+            for (const char of chunk) {
+                if (char === '\r' || char === '\n' || char === '\u0004') {
+                    finish();
+                    resolve(value);
+                    return;
+                }
+                if (char === '\u0003') {
+                    finish();
+                    reject(new Error('Cancelled'));
+                    return;
+                }
+                value = char === '\u007f' || char === '\b' ? value.slice(0, -1) : value + char;
+            }
+        };
+
+        process.stderr.write(question);
+        stdin.setEncoding('utf8');
+        stdin.setRawMode(true);
+        stdin.resume();
+        stdin.on('data', onData);
+    });
+}
+
+/**
+ * Creates a lazy, cached source for the passphrase
+ *
+ * The passphrase comes from the passphrase file, then the EXPORT_PASSPHRASE
+ * environment variable, then a prompt when stdin is a terminal. It is never
+ * taken from the command line, where it would end up in shell history.
+ *
+ * @param {Object} [options] - Source options
+ * @param {string} [options.passphraseFile] - File whose first line is the passphrase
+ * @param {boolean} [options.confirm] - Ask twice when prompting, for new files
+ * @returns {function(): Promise<string>} - Resolves the passphrase, asking at most once
+ */
+function passphraseSource({ passphraseFile = null, confirm = false } = {}) {
+    let pending = null;
+
+    const obtain = async () => {
+        if (passphraseFile) {
+            const passphrase = fs.readFileSync(passphraseFile, 'utf8').split(/\r?\n/)[0];
+            if (!passphrase) {
+                throw new Error(`Passphrase file ${passphraseFile} is empty`);
+            }
+            return passphrase;
+        }
+        if (process.env[PASSPHRASE_ENV]) {
+            return process.env[PASSPHRASE_ENV];
+        }
+        if (!process.stdin.isTTY) {
+            throw new Error(`A passphrase is needed; pass --passphrase-file or set ${PASSPHRASE_ENV}`);
+        }
+
+        const passphrase = await promptHidden('Passphrase: ');
+        if (!passphrase) {
+            throw new Error('The passphrase cannot be empty');
+        }
+        if (confirm && await promptHidden('Repeat passphrase: ') !== passphrase) {
+            throw new Error('The passphrases do not match');
+        }
+        return passphrase;
+    };
+
+    return () => {
+        pending = pending || obtain();
+        return pending;
+    };
+}
+
+module.exports = {
+    ENCRYPTION_FORMAT,
+    PASSPHRASE_ENV,
+    isEncrypted,
+    isEncryptedFile,
+    createEncryptor,
+    encryptText,
+    decryptText,
+    passphraseSource
+};
@@ -0,0 +1,46 @@
+/**
+ * Internationalized domain name helpers
+ *
+ * Converts hostnames between their Unicode form (`bücher.de`) and ASCII
+ * punycode form (`xn--bcher-kva.de`) one label at a time, so wildcards and
+ * other non-hostname text survive the round trip unchanged.
+ */
+
+const { domainToASCII, domainToUnicode } = require('node:url');
+
+/**
+ * Applies a conversion to each dot-separated label of a hostname
+ * @param {string} hostname - The hostname
+ * @param {Function} convert - Label conversion, returning '' on failure
+ * @param {Function} applies - Whether a label needs converting
+ * @returns {string} - The converted hostname; unconverted labels keep their case
+ */
+function mapLabels(hostname, convert, applies) {
+    return String(hostname)
+        .split('.')
+        .map(label => (applies(label) ? convert(label) || label : label))
+        .join('.');
+}
+
+/**
+ * Converts a hostname to its Unicode form
+ * @param {string} hostname - Hostname in either form
+ * @returns {string} - Hostname with punycode labels decoded
+ */
+function toUnicodeHostname(hostname) {
+    return mapLabels(hostname, domainToUnicode, label => /^xn--/i.test(label));
+}
+
+/**
+ * Converts a hostname to its ASCII (punycode) form
+ * @param {string} hostname - Hostname in either form
+ * @returns {string} - Hostname with non-ASCII labels encoded
+ */
+function toASCIIHostname(hostname) {
+    return mapLabels(hostname, domainToASCII, label => /[^\x00-\x7f]/.test(label));
+}
+
+module.exports = {
+    toUnicodeHostname,
+    toASCIIHostname
+};
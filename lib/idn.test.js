@@ -0,0 +1,35 @@
+/**
+ * Internationalized domain names in Unicode and punycode form
+ *
+ * Run with: node --test lib/
+ */
+
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+const { toUnicodeHostname, toASCIIHostname } = require('./idn');
+
+describe('toUnicodeHostname', () => {
+    it('decodes punycode labels only', () => {
+        assert.equal(toUnicodeHostname('xn--bcher-kva.de'), 'bücher.de');
+        assert.equal(toUnicodeHostname('WWW.xn--bcher-kva.de'), 'WWW.bücher.de');
+        assert.equal(toUnicodeHostname('*.xn--bcher-kva.de'), '*.bücher.de');
+    });
+
+    it('keeps labels that do not decode', () => {
+        assert.equal(toUnicodeHostname('xn--.example.com'), 'xn--.example.com');
+    });
+});
+
+describe('toASCIIHostname', () => {
+    it('encodes non-ASCII labels only', () => {
+        assert.equal(toASCIIHostname('bücher.de'), 'xn--bcher-kva.de');
+        assert.equal(toASCIIHostname('Shop.bücher.de'), 'Shop.xn--bcher-kva.de');
+        assert.equal(toASCIIHostname('github.com'), 'github.com');
+    });
+
+    it('round-trips with toUnicodeHostname', () => {
+        for (const host of ['xn--bcher-kva.de', 'xn--mnchen-3ya.xn--bcher-kva.de']) {
+            assert.equal(toASCIIHostname(toUnicodeHostname(host)), host);
+        }
+    });
+});
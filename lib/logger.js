@@ -0,0 +1,103 @@
+/**
+ * Leveled, secret-masking logger shared by the command-line scripts
+ *
+ * Levels are quiet (errors only), info (the default), verbose and debug.
+ * Every message is passed through maskSecrets before it is written, so
+ * otpauth secrets, Steam seeds, passwords and tokens in key=value form,
+ * Base32 seeds, long hex/base64 tokens and email addresses never reach the
+ * terminal or CI logs in full.
+ */
+
+const util = require('node:util');
+
+const LOG_LEVELS = ['quiet', 'info', 'verbose', 'debug'];
+
+// Command-line flags every script accepts for the log level
+const LOG_LEVEL_FLAGS = {
+    '--quiet': 'quiet',
+    '--verbose': 'verbose',
+    '--debug': 'debug'
+};
+
+const MASK = '****';
+
+// Patterns for things that look like secrets, with their replacements, applied in order
+const SECRET_PATTERNS = [
+    // Values of secret-like keys in query strings, JSON and key: value text; URIs are left to the
+    // patterns below and placeholders such as [REDACTED] are kept
+    [
+        /\b(secret|password|passwd|pwd|passcode|pin|token|api[_-]?key|access[_-]?token|refresh[_-]?token|private[_-]?key|client[_-]?secret|totp(?:uri)?)(["']?\s*[=:]\s*["']?)(?!\*{4}|\[|[a-z][a-z0-9+.-]*:\/\/)([^\s&"',;}]+)/gi,
+        (match, key, separator) => `${key}${separator}${MASK}`
+    ],
+    [/\bsteam:\/\/[^\s"'&]+/gi, `steam://${MASK}`],
+    // Email addresses keep their first character and domain, also when percent-encoded in otpauth labels
+    [/\b([a-zA-Z0-9._%+-])[a-zA-Z0-9._%+-]*@([a-zA-Z0-9.-]+\.[a-zA-Z]{2,})\b/g, '$1***@$2'],
+    [/\b([a-zA-Z0-9._+-])[a-zA-Z0-9._+-]*%40([a-zA-Z0-9.-]+\.[a-zA-Z]{2,})\b/g, '$1***%40$2'],
+    // Base32 seeds: 16 or more characters mixing letters and the digits 2-7
+    [/\b(?=[A-Z2-7]*[2-7])(?=[A-Z2-7]*[A-Z])[A-Z2-7]{16,}=*(?![A-Za-z0-9])/g, MASK],
+    // Long hex strings and mixed-case base64/base64url tokens
+    [/\b[a-fA-F0-9]{32,}\b/g, MASK],
+    [/(?<![A-Za-z0-9+_-])(?=[A-Za-z0-9+_-]*[0-9])(?=[A-Za-z0-9+_-]*[a-z])(?=[A-Za-z0-9+_-]*[A-Z])[A-Za-z0-9+_-]{32,}={0,2}/g, MASK]
+];
+
+/**
+ * Masks anything in a message that looks like a secret or an email address
+ * @param {string} text - The message
+ * @returns {string} - The masked message
+ */
+function maskSecrets(text) {
+    return SECRET_PATTERNS.reduce((masked, [pattern, replacement]) => masked.replace(pattern, replacement), String(text));
+}
+
+/**
+ * Masks a value known to be sensitive, whatever it looks like
+ * @param {any} value - The value
+ * @returns {string} - A placeholder
+ */
+function maskValue(value) {
+    return value === undefined || value === null || value === '' ? '' : MASK;
+}
+
+/**
+ * Creates a logger
+ * @param {Object} [options] - Logger options
+ * @param {string} [options.level] - One of LOG_LEVELS (default: info)
+ * @param {Object} [options.stream] - Where info, verbose and debug messages go (default: stderr); errors and warnings always go to stderr
+ * @returns {Object} - The logger ({ error, warn, info, verbose, debug, setLevel, level })
+ */
+function createLogger({ level = 'info', stream = process.stderr } = {}) {
+    let current = LOG_LEVELS.indexOf(level);
+    // A Console ignores write errors such as EPIPE when piped into head, as console.log does
+    const output = new console.Console({ stdout: stream, stderr: process.stderr });
+
+    const write = (method, minimum, args) => {
+        if (current >= minimum) {
+            output[method](maskSecrets(util.format(...args)));
+        }
+    };
+
+    return {
+        get level() {
+            return LOG_LEVELS[current];
+        },
+        setLevel(name) {
+            if (!LOG_LEVELS.includes(name)) {
+                throw new Error(`Unknown log level "${name}" (expected ${LOG_LEVELS.join(', ')})`);
+            }
+            current = LOG_LEVELS.indexOf(name);
+        },
+        error: (...args) => write('error', 0, args),
+        warn: (...args) => write('error', 1, args),
+        info: (...args) => write('log', 1, args),
+        verbose: (...args) => write('log', 2, args),
+        debug: (...args) => write('log', 3, args)
+    };
+}
+
+module.exports = {
+    LOG_LEVELS,
+    LOG_LEVEL_FLAGS,
+    maskSecrets,
+    maskValue,
+    createLogger
+};
@@ -0,0 +1,425 @@
+/**
+ * Mapping packs for domain-converter
+ *
+ * Loads user-supplied mapping files (JSON or YAML) and layers them on top of
+ * the built-in mappings in a fixed order: built-in → team → personal. Later
+ * layers override earlier ones.
+ *
+ * Pack format:
+ *   {
+ *     "name": "acme-team",
+ *     "exactMatches": {
+ *       "git.acme.internal": { "name": "Acme GitLab", "category": "Development" },
+ *       "zoom.us": null
+ *     },
+ *     "patterns": [
+ *       { "pattern": "^(.*\\.)?acme\\.internal$", "flags": "i", "replacement": "Acme", "category": "Internal" },
+ *       { "wildcard": "*.okta.com", "replacement": "Okta" },
+ *       { "pattern": "^sso\\.(.*)\\.com$", "replacement": "$1", "transform": "capitalize" }
+ *     ],
+ *     "skipPrefixes": ["sso", "!api"]
+ *   }
+ *
+ * Override semantics:
+ *   - exactMatches: a later layer replaces an earlier entry; `null` removes it.
+ *     Entries are a name, or { name, category } to also file the domain under
+ *     a category; a plain name keeps the category an earlier layer gave it.
+ *   - patterns: rules from later layers are tried first; a rule with the same
+ *     pattern as an earlier layer's rule replaces it.
+ *   - skipPrefixes: merged; a `!` prefix removes an entry from earlier layers.
+ *
+ * A leading `*.` in a wildcard matches the bare domain and any subdomain; any
+ * other `*` matches within a single label.
+ *
+ * Domains may be written in Unicode or punycode. Exact matches and wildcards
+ * are stored in Unicode form; regex patterns are tried against both forms.
+ *
+ * YAML packs are read with the built-in subset in yaml.js: the same shape in
+ * block or flow style. Quote wildcards such as "*.okta.com", since a leading
+ * * is an alias in YAML.
+ */
+
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const builtin = require('./builtin-mappings');
+const { toUnicodeHostname } = require('./idn');
+const { parseYAML } = require('./yaml');
+
+const PACK_KEYS = ['name', 'description', 'exactMatches', 'patterns', 'skipPrefixes'];
+const RULE_KEYS = ['pattern', 'flags', 'wildcard', 'replacement', 'transform', 'category'];
+const ENTRY_KEYS = ['name', 'category'];
+const TRANSFORMS = ['capitalize'];
+
+// File names looked up for the team (working directory) and personal (config directory) layers
+const DEFAULT_PACK_NAMES = ['domain-mappings.json', 'domain-mappings.yaml', 'domain-mappings.yml'];
+const PERSONAL_PACK_DIR = path.join(os.homedir(), '.config', 'oputils');
+
+/**
+ * Normalizes an exact-match key to the form used for lookups
+ *
+ * Keys may be written in Unicode or punycode; both become the lowercase
+ * Unicode form, so `bücher.de` and `xn--bcher-kva.de` are the same entry.
+ *
+ * @param {string} key - The domain key from a pack
+ * @returns {string} - Lowercased Unicode host without protocol or trailing slashes
+ */
+function normalizeDomainKey(key) {
+    return toUnicodeHostname(key.trim().replace(/^https?:\/\//i, '').replace(/\/+$/, '').replace(/\.+$/, '')).toLowerCase();
+}
+
+/**
+ * Converts a domain wildcard such as `*.example.com` into a regular expression
+ * @param {string} wildcard - The wildcard expression
+ * @returns {RegExp} - The equivalent anchored regular expression
+ */
+function wildcardToRegExp(wildcard) {
+    const escape = value => value.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '[^.]*');
+    const host = normalizeDomainKey(wildcard);
+
+    if (host.startsWith('*.')) {
+        return new RegExp(`^(.*\\.)?${escape(host.slice(2))}$`, 'i');
+    }
+    return new RegExp(`^${escape(host)}$`, 'i');
+}
+
+/**
+ * Returns a stable identity for a compiled rule, used to detect overrides and duplicates
+ * @param {RegExp} pattern - The compiled pattern
+ * @returns {string} - Pattern source and flags
+ */
+function ruleKey(pattern) {
+    return `/${pattern.source}/${pattern.flags}`;
+}
+
+/**
+ * Validates a raw mapping pack and compiles it into lookup structures
+ * @param {any} raw - The parsed pack contents
+ * @param {string} source - Where the pack came from, used in error messages
+ * @returns {Object} - Compiled pack with exactMatches, categories, patterns and skipPrefixes
+ */
+function compileMappingPack(raw, source) {
+    const errors = [];
+    const pack = {
+        name: source,
+        source,
+        exactMatches: {},
+        categories: {},
+        patterns: [],
+        skipPrefixes: { add: [], remove: [] }
+    };
+
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        throw new Error(`Invalid mapping pack ${source}: expected an object at the top level`);
+    }
+
+    for (const key of Object.keys(raw)) {
+        if (!PACK_KEYS.includes(key)) {
+            errors.push(`unknown key "${key}" (expected one of ${PACK_KEYS.join(', ')})`);
+        }
+    }
+
+    if (raw.name !== undefined) {
+        if (typeof raw.name !== 'string' || !raw.name) {
+            errors.push('"name" must be a non-empty string');
+        } else {
+            pack.name = raw.name;
+        }
+    }
+
+    // Exact matches: keys are normalized, so "GitHub.com" and "github.com/" collide
+    if (raw.exactMatches !== undefined) {
+        if (!raw.exactMatches || typeof raw.exactMatches !== 'object' || Array.isArray(raw.exactMatches)) {
+            errors.push('"exactMatches" must be an object of domain → name or { name, category }');
+        } else {
+            const seen = {};
+            for (const [key, value] of Object.entries(raw.exactMatches)) {
+                const domain = normalizeDomainKey(key);
+                if (!domain || /[\s/]/.test(domain)) {
+                    errors.push(`exactMatches: "${key}" is not a bare domain`);
+                    continue;
+                }
+
+                let name = value;
+                let category;
+                if (value && typeof value === 'object' && !Array.isArray(value)) {
+                    const unknown = Object.keys(value).filter(entryKey => !ENTRY_KEYS.includes(entryKey));
+                    if (unknown.length > 0) {
+                        errors.push(`exactMatches: "${key}" has unknown key(s) ${unknown.map(entryKey => `"${entryKey}"`).join(', ')}`);
+                        continue;
+                    }
+                    if (value.category !== undefined && (typeof value.category !== 'string' || !value.category)) {
+                        errors.push(`exactMatches: "${key}" category must be a non-empty string`);
+                        continue;
+                    }
+                    ({ name, category } = value);
+                }
+                if (name !== null && (typeof name !== 'string' || !name)) {
+                    errors.push(`exactMatches: "${key}" must map to a non-empty name, { name, category } or null`);
+                    continue;
+                }
+
+                if (domain in seen && (pack.exactMatches[domain] !== name || pack.categories[domain] !== category)) {
+                    errors.push(`exactMatches: "${key}" conflicts with "${seen[domain]}" (both normalize to "${domain}")`);
+                    continue;
+                }
+                seen[domain] = key;
+                pack.exactMatches[domain] = name;
+                if (category !== undefined) {
+                    pack.categories[domain] = category;
+                }
+            }
+        }
+    }
+
+    // Pattern and wildcard rules
+    if (raw.patterns !== undefined) {
+        if (!Array.isArray(raw.patterns)) {
+            errors.push('"patterns" must be an array of rules');
+        } else {
+            const seen = new Map();
+            raw.patterns.forEach((rule, index) => {
+                const label = `patterns[${index}]`;
+                if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+                    errors.push(`${label}: expected an object`);
+                    return;
+                }
+
+                const unknown = Object.keys(rule).filter(key => !RULE_KEYS.includes(key));
+                if (unknown.length > 0) {
+                    errors.push(`${label}: unknown key(s) ${unknown.map(key => `"${key}"`).join(', ')}`);
+                }
+                if ((rule.pattern === undefined) === (rule.wildcard === undefined)) {
+                    errors.push(`${label}: needs exactly one of "pattern" or "wildcard"`);
+                    return;
+                }
+                if (typeof rule.replacement !== 'string') {
+                    errors.push(`${label}: "replacement" must be a string`);
+                    return;
+                }
+                if (rule.transform !== undefined && !TRANSFORMS.includes(rule.transform)) {
+                    errors.push(`${label}: unknown transform "${rule.transform}" (expected ${TRANSFORMS.join(', ')})`);
+                    return;
+                }
+                if (rule.category !== undefined && (typeof rule.category !== 'string' || !rule.category)) {
+                    errors.push(`${label}: "category" must be a non-empty string`);
+                    return;
+                }
+
+                let pattern;
+                if (rule.wildcard !== undefined) {
+                    if (typeof rule.wildcard !== 'string' || !rule.wildcard.trim()) {
+                        errors.push(`${label}: "wildcard" must be a non-empty string`);
+                        return;
+                    }
+                    if (rule.flags !== undefined) {
+                        errors.push(`${label}: "flags" only applies to "pattern" rules`);
+                        return;
+                    }
+                    pattern = wildcardToRegExp(rule.wildcard);
+                } else {
+                    if (typeof rule.pattern !== 'string' || !rule.pattern) {
+                        errors.push(`${label}: "pattern" must be a non-empty string`);
+                        return;
+                    }
+                    try {
+                        pattern = new RegExp(rule.pattern, rule.flags || '');
+                    } catch (error) {
+                        errors.push(`${label}: invalid regular expression /${rule.pattern}/${rule.flags || ''}: ${error.message}`);
+                        return;
+                    }
+                    if (pattern.global || pattern.sticky) {
+                        errors.push(`${label}: flags "g" and "y" are not supported`);
+                        return;
+                    }
+                }
+
+                const key = ruleKey(pattern);
+                if (seen.has(key)) {
+                    const previous = seen.get(key);
+                    if (previous.replacement !== rule.replacement || previous.transform !== rule.transform) {
+                        errors.push(`${label}: conflicts with patterns[${previous.index}] (same pattern ${key}, different replacement)`);
+                    }
+                    return;
+                }
+                seen.set(key, { index, replacement: rule.replacement, transform: rule.transform });
+
+                pack.patterns.push({
+                    pattern,
+                    replacement: rule.replacement,
+                    transform: rule.transform,
+                    category: rule.category,
+                    source: `${pack.name} ${label}`
+                });
+            });
+        }
+    }
+
+    // Skip prefixes, with "!" marking removals
+    if (raw.skipPrefixes !== undefined) {
+        if (!Array.isArray(raw.skipPrefixes) || raw.skipPrefixes.some(prefix => typeof prefix !== 'string' || !prefix.replace(/^!/, ''))) {
+            errors.push('"skipPrefixes" must be an array of non-empty strings');
+        } else {
+            for (const entry of raw.skipPrefixes) {
+                const removal = entry.startsWith('!');
+                const prefix = entry.replace(/^!/, '').toLowerCase();
+                (removal ? pack.skipPrefixes.remove : pack.skipPrefixes.add).push(prefix);
+            }
+            const conflicts = pack.skipPrefixes.add.filter(prefix => pack.skipPrefixes.remove.includes(prefix));
+            for (const prefix of new Set(conflicts)) {
+                errors.push(`skipPrefixes: "${prefix}" is both added and removed`);
+            }
+        }
+    }
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid mapping pack ${source}:\n  - ${errors.join('\n  - ')}`);
+    }
+
+    return pack;
+}
+
+/**
+ * Reads, parses and validates a mapping pack file
+ * @param {string} filePath - Path to a .json, .yaml or .yml pack
+ * @returns {Object} - The compiled pack
+ */
+function loadMappingPack(filePath) {
+    let text;
+    try {
+        text = fs.readFileSync(filePath, 'utf8');
+    } catch (error) {
+        throw new Error(`Error reading mapping pack ${filePath}: ${error.message}`);
+    }
+
+    let raw;
+    try {
+        raw = /\.ya?ml$/i.test(filePath) ? parseYAML(text) : JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Invalid mapping pack ${filePath}: ${error.message}`);
+    }
+
+    return compileMappingPack(raw, filePath);
+}
+
+/**
+ * Converts the built-in tables into the compiled pack shape
+ * @returns {Object} - The built-in pack
+ */
+function builtinPack() {
+    return {
+        name: 'built-in',
+        source: 'built-in',
+        exactMatches: Object.fromEntries(Object.entries(builtin.exactMatches)
+            .map(([domain, name]) => [normalizeDomainKey(domain), name])),
+        categories: Object.fromEntries(Object.entries(builtin.categories)
+            .map(([domain, category]) => [normalizeDomainKey(domain), category])),
+        patterns: builtin.patterns.map((rule, index) => ({ ...rule, source: `built-in patterns[${index}]` })),
+        skipPrefixes: { add: [...builtin.skipPrefixes], remove: [] }
+    };
+}
+
+/**
+ * Layers compiled packs in order; later packs override earlier ones
+ * @param {Object[]} packs - Compiled packs, lowest precedence first
+ * @returns {{exactMatches: Object, exactSources: Object, categories: Object, patterns: Object[], skipPrefixes: string[], layers: string[]}} - Merged mappings
+ */
+function mergeMappingPacks(packs) {
+    const exactMatches = {};
+    const exactSources = {};
+    const categories = {};
+    let patterns = [];
+    let skipPrefixes = [];
+
+    for (const pack of packs) {
+        for (const [domain, name] of Object.entries(pack.exactMatches)) {
+            if (name === null) {
+                delete exactMatches[domain];
+                delete exactSources[domain];
+                delete categories[domain];
+            } else {
+                exactMatches[domain] = name;
+                exactSources[domain] = pack.source;
+            }
+        }
+        Object.assign(categories, pack.categories);
+
+        const overridden = new Set(pack.patterns.map(rule => ruleKey(rule.pattern)));
+        patterns = [...pack.patterns, ...patterns.filter(rule => !overridden.has(ruleKey(rule.pattern)))];
+
+        skipPrefixes = skipPrefixes.filter(prefix => !pack.skipPrefixes.remove.includes(prefix));
+        for (const prefix of pack.skipPrefixes.add) {
+            if (!skipPrefixes.includes(prefix)) {
+                skipPrefixes.push(prefix);
+            }
+        }
+    }
+
+    return {
+        exactMatches,
+        exactSources,
+        categories,
+        patterns,
+        skipPrefixes,
+        layers: packs.map(pack => pack.source)
+    };
+}
+
+/**
+ * Finds the first default pack file present in a directory
+ * @param {string} directory - Directory to search
+ * @returns {string|null} - Path to the pack, or null if none exists
+ */
+function findPackIn(directory) {
+    for (const name of DEFAULT_PACK_NAMES) {
+        const candidate = path.join(directory, name);
+        if (fs.existsSync(candidate)) {
+            return candidate;
+        }
+    }
+    return null;
+}
+
+/**
+ * Loads the full mapping stack: built-in → team → personal
+ *
+ * Team and personal packs are taken from the given paths, then from the
+ * OPUTILS_TEAM_MAPPINGS / OPUTILS_MAPPINGS environment variables, then from
+ * domain-mappings.{json,yaml,yml} in the working directory (team) and in
+ * ~/.config/oputils (personal). Explicitly named files must exist.
+ *
+ * @param {Object} [options] - Pack locations
+ * @param {string|false} [options.team] - Team pack path, or false to skip the layer
+ * @param {string|false} [options.personal] - Personal pack path, or false to skip the layer
+ * @returns {Object} - Merged mappings
+ */
+function loadMappings(options = {}) {
+    const packs = [builtinPack()];
+    const layers = [
+        { option: options.team, env: process.env.OPUTILS_TEAM_MAPPINGS, directory: process.cwd() },
+        { option: options.personal, env: process.env.OPUTILS_MAPPINGS, directory: PERSONAL_PACK_DIR }
+    ];
+
+    for (const { option, env, directory } of layers) {
+        if (option === false) {
+            continue;
+        }
+        const filePath = option || env || findPackIn(directory);
+        if (filePath) {
+            packs.push(loadMappingPack(filePath));
+        }
+    }
+
+    return mergeMappingPacks(packs);
+}
+
+// Built-in mappings on their own, for callers that don't load packs
+const BUILTIN_MAPPINGS = mergeMappingPacks([builtinPack()]);
+
+module.exports = {
+    BUILTIN_MAPPINGS,
+    compileMappingPack,
+    loadMappingPack,
+    mergeMappingPacks,
+    loadMappings
+};
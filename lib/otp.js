@@ -0,0 +1,135 @@
+/**
+ * HOTP (RFC 4226) and TOTP (RFC 6238) code generation and secret validation
+ *
+ * Works on the parsed entries from lib/otpauth.js: SHA1, SHA256 or SHA512,
+ * any digit count up to 10, any period, and Steam Guard's five character
+ * codes for entries with the steam encoder.
+ */
+
+const crypto = require('node:crypto');
+const { base32Decode } = require('./base32');
+
+const STEAM_ALPHABET = '23456789BCDFGHJKMNPQRTVWXY';
+
+/**
+ * Computes the dynamically truncated HMAC of a counter (RFC 4226 section 5.3)
+ * @param {Buffer} key - The decoded secret
+ * @param {number|bigint} counter - The moving factor
+ * @param {string} algorithm - SHA1, SHA256 or SHA512
+ * @returns {number} - The 31-bit truncated value
+ */
+function truncatedHMAC(key, counter, algorithm) {
+    const message = Buffer.alloc(8);
+    message.writeBigUInt64BE(BigInt(counter));
+    const hmac = crypto.createHmac(algorithm.toLowerCase(), key).update(message).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    return hmac.readUInt32BE(offset) & 0x7fffffff;
+}
+
+/**
+ * Generates an HOTP code
+ * @param {Buffer} key - The decoded secret
+ * @param {number|bigint} counter - The counter
+ * @param {Object} [options] - Code options
+ * @param {string} [options.algorithm] - SHA1 (default), SHA256 or SHA512
+ * @param {number} [options.digits] - Code length (default: 6)
+ * @param {string} [options.encoder] - 'steam' for Steam Guard codes
+ * @returns {string} - The code
+ */
+function generateHOTP(key, counter, { algorithm = 'SHA1', digits = 6, encoder = null } = {}) {
+    let value = truncatedHMAC(key, counter, algorithm);
+
+    if (encoder === 'steam') {
+        let code = '';
+        for (let i = 0; i < digits; i++) {
+            code += STEAM_ALPHABET[value % STEAM_ALPHABET.length];
+            value = Math.floor(value / STEAM_ALPHABET.length);
+        }
+        return code;
+    }
+
+    return String(value % 10 ** digits).padStart(digits, '0');
+}
+
+/**
+ * Generates a TOTP code
+ * @param {Buffer} key - The decoded secret
+ * @param {Object} [options] - Code options, as for generateHOTP, plus:
+ * @param {number} [options.period] - Time step in seconds (default: 30)
+ * @param {number} [options.time] - Unix time in seconds (default: now)
+ * @returns {string} - The code
+ */
+function generateTOTP(key, { period = 30, time = Date.now() / 1000, ...options } = {}) {
+    return generateHOTP(key, Math.floor(time / period), options);
+}
+
+/**
+ * Lists what is wrong with a Base32 secret
+ * @param {string} secret - The secret as stored
+ * @returns {string[]} - Problems found; empty when the secret is usable
+ */
+function validateSecret(secret) {
+    const compact = String(secret ?? '').replace(/[\s-]+/g, '');
+    if (!compact) {
+        return ['secret is empty'];
+    }
+
+    const invalid = [...new Set(compact.replace(/=+$/, '').toUpperCase().replace(/[A-Z2-7]/g, ''))];
+    if (invalid.length > 0) {
+        return [`secret has characters outside Base32: ${invalid.map(char => JSON.stringify(char)).join(', ')}`];
+    }
+
+    // 1, 3 and 6 trailing characters cannot be produced by encoding whole bytes
+    const length = compact.replace(/=+$/, '').length;
+    if ([1, 3, 6].includes(length % 8)) {
+        return [`secret has an impossible Base32 length (${length} characters)`];
+    }
+
+    return [];
+}
+
+/**
+ * Lists what is wrong with a parsed OTP entry: its secret and its parameters
+ * @param {Object} otp - Parsed OTP entry
+ * @returns {string[]} - Problems found; empty when codes can be generated
+ */
+function validateOtp(otp) {
+    const problems = validateSecret(otp.secret);
+    if (!Number.isInteger(otp.digits) || otp.digits < 1 || otp.digits > 10) {
+        problems.push(`digits must be between 1 and 10, not ${otp.digits}`);
+    }
+    if (otp.type === 'totp' && !(otp.period > 0)) {
+        problems.push(`period must be positive, not ${otp.period}`);
+    }
+    if (otp.type === 'hotp' && !(Number.isInteger(otp.counter) && otp.counter >= 0)) {
+        problems.push(`counter must be a non-negative integer, not ${otp.counter}`);
+    }
+    return problems;
+}
+
+/**
+ * Generates the current code of a parsed OTP entry
+ * @param {Object} otp - Parsed OTP entry (must pass validateOtp)
+ * @param {number} [time] - Unix time in seconds (default: now)
+ * @returns {{code: string, remaining: number|null}} - The code and, for TOTP, seconds until it changes
+ */
+function currentCode(otp, time = Date.now() / 1000) {
+    const key = base32Decode(otp.secret);
+    const options = { algorithm: otp.algorithm, digits: otp.digits, encoder: otp.encoder };
+
+    if (otp.type === 'hotp') {
+        return { code: generateHOTP(key, otp.counter, options), remaining: null };
+    }
+    return {
+        code: generateTOTP(key, { ...options, period: otp.period, time }),
+        remaining: Math.ceil(otp.period - (time % otp.period))
+    };
+}
+
+module.exports = {
+    generateHOTP,
+    generateTOTP,
+    validateSecret,
+    validateOtp,
+    currentCode
+};
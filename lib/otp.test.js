@@ -0,0 +1,71 @@
+/**
+ * HOTP and TOTP against the RFC 4226 and RFC 6238 test vectors
+ *
+ * Run with: node --test lib/
+ */
+
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+const { generateHOTP, generateTOTP, validateSecret, currentCode } = require('./otp');
+const { base32Encode } = require('./base32');
+
+// RFC 4226 appendix D: secret "12345678901234567890", counters 0 to 9
+const HOTP_SECRET = Buffer.from('12345678901234567890', 'ascii');
+const HOTP_CODES = ['755224', '287082', '359152', '969429', '338314', '254676', '287922', '162583', '399871', '520489'];
+
+// RFC 6238 appendix B: 8 digit codes, 30 second period, one seed per algorithm
+const TOTP_SECRETS = {
+    SHA1: Buffer.from('12345678901234567890', 'ascii'),
+    SHA256: Buffer.from('12345678901234567890123456789012', 'ascii'),
+    SHA512: Buffer.from('1234567890123456789012345678901234567890123456789012345678901234', 'ascii')
+};
+const TOTP_VECTORS = [
+    [59, { SHA1: '94287082', SHA256: '46119246', SHA512: '90693936' }],
+    [1111111109, { SHA1: '07081804', SHA256: '68084774', SHA512: '25091201' }],
+    [1111111111, { SHA1: '14050471', SHA256: '67062674', SHA512: '99943326' }],
+    [1234567890, { SHA1: '89005924', SHA256: '91819424', SHA512: '93441116' }],
+    [2000000000, { SHA1: '69279037', SHA256: '90698825', SHA512: '38618901' }],
+    [20000000000, { SHA1: '65353130', SHA256: '77737706', SHA512: '47863826' }]
+];
+
+describe('generateHOTP', () => {
+    HOTP_CODES.forEach((code, counter) => {
+        it(`gives the RFC 4226 code for counter ${counter}`, () => {
+            assert.equal(generateHOTP(HOTP_SECRET, counter), code);
+        });
+    });
+});
+
+describe('generateTOTP', () => {
+    for (const [time, codes] of TOTP_VECTORS) {
+        for (const [algorithm, code] of Object.entries(codes)) {
+            it(`gives the RFC 6238 ${algorithm} code at ${time}`, () => {
+                assert.equal(generateTOTP(TOTP_SECRETS[algorithm], { algorithm, digits: 8, time }), code);
+            });
+        }
+    }
+});
+
+describe('currentCode', () => {
+    it('decodes the Base32 secret of a parsed entry', () => {
+        const otp = { type: 'totp', secret: base32Encode(TOTP_SECRETS.SHA256), algorithm: 'SHA256', digits: 8, period: 30 };
+        assert.deepEqual(currentCode(otp, 1111111111), { code: '67062674', remaining: 29 });
+    });
+
+    it('uses the counter of HOTP entries', () => {
+        const otp = { type: 'hotp', secret: base32Encode(HOTP_SECRET), algorithm: 'SHA1', digits: 6, counter: 9 };
+        assert.deepEqual(currentCode(otp), { code: '520489', remaining: null });
+    });
+});
+
+describe('validateSecret', () => {
+    it('accepts Base32 with spaces, lowercase and padding', () => {
+        assert.deepEqual(validateSecret('gezd gnbv gy3t qojq===='), []);
+    });
+
+    it('rejects characters outside Base32 and impossible lengths', () => {
+        assert.match(validateSecret('GEZDGNB1')[0], /outside Base32/);
+        assert.match(validateSecret('GEZ')[0], /impossible Base32 length/);
+        assert.deepEqual(validateSecret(''), ['secret is empty']);
+    });
+});
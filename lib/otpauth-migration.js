@@ -0,0 +1,290 @@
+/**
+ * Google Authenticator migration payloads
+ *
+ * Encodes and decodes the `otpauth-migration://offline?data=...` URIs that
+ * Google Authenticator's "Transfer accounts" QR codes carry. The data is a
+ * base64 protobuf MigrationPayload:
+ *
+ *   message MigrationPayload {
+ *     repeated OtpParameters otp_parameters = 1;
+ *     int32 version = 2;
+ *     int32 batch_size = 3;    // number of QR codes in the transfer
+ *     int32 batch_index = 4;   // 0-based position of this one
+ *     int32 batch_id = 5;      // shared by every code of one transfer
+ *   }
+ *   message OtpParameters {
+ *     bytes secret = 1; string name = 2; string issuer = 3;
+ *     Algorithm algorithm = 4;   // 1 SHA1, 2 SHA256, 3 SHA512, 4 MD5
+ *     DigitCount digits = 5;     // 1 six, 2 eight
+ *     OtpType type = 6;          // 1 HOTP, 2 TOTP
+ *     int64 counter = 7;
+ *   }
+ *
+ * Only the protobuf wire features this schema uses are implemented.
+ */
+
+const crypto = require('node:crypto');
+const { base32Encode, base32Decode } = require('./base32');
+
+const MIGRATION_VERSION = 1;
+const DEFAULT_BATCH_SIZE = 10;
+
+const ALGORITHMS = { SHA1: 1, SHA256: 2, SHA512: 3, MD5: 4 };
+const DIGITS = { 6: 1, 8: 2 };
+const TYPES = { hotp: 1, totp: 2 };
+
+const WIRE_VARINT = 0;
+const WIRE_64BIT = 1;
+const WIRE_BYTES = 2;
+const WIRE_32BIT = 5;
+
+/**
+ * Looks up the key of an enum value
+ * @param {Object} values - Enum map of name to number
+ * @param {number} number - The encoded value
+ * @returns {string|undefined} - The name
+ */
+function enumName(values, number) {
+    return Object.keys(values).find(name => values[name] === number);
+}
+
+/**
+ * Encodes an unsigned varint
+ * @param {number|bigint} value - The value
+ * @returns {number[]} - The encoded bytes
+ */
+function encodeVarint(value) {
+    let remaining = BigInt(value);
+    const bytes = [];
+    do {
+        let byte = Number(remaining & 0x7fn);
+        remaining >>= 7n;
+        if (remaining > 0n) {
+            byte |= 0x80;
+        }
+        bytes.push(byte);
+    } while (remaining > 0n);
+    return bytes;
+}
+
+/**
+ * Encodes protobuf fields, leaving out unset and zero values as proto3 does
+ * @param {Array<[number, number|bigint|string|Uint8Array|null]>} fields - Field numbers and values
+ * @returns {Buffer} - The encoded message
+ */
+function encodeMessage(fields) {
+    const bytes = [];
+    for (const [field, value] of fields) {
+        if (value === null || value === undefined || value === 0 || value === 0n || value === '') {
+            continue;
+        }
+
+        if (typeof value === 'number' || typeof value === 'bigint') {
+            bytes.push(...encodeVarint((field << 3) | WIRE_VARINT), ...encodeVarint(value));
+        } else {
+            const data = typeof value === 'string' ? Buffer.from(value, 'utf8') : value;
+            bytes.push(...encodeVarint((field << 3) | WIRE_BYTES), ...encodeVarint(data.length), ...data);
+        }
+    }
+    return Buffer.from(bytes);
+}
+
+/**
+ * Decodes protobuf fields
+ * @param {Buffer} buffer - The encoded message
+ * @returns {{field: number, value: bigint|Buffer}[]} - Fields in wire order; fixed-width fields are skipped
+ */
+function decodeMessage(buffer) {
+    const fields = [];
+    let offset = 0;
+
+    const readVarint = () => {
+        let result = 0n;
+        let shift = 0n;
+        for (;;) {
+            if (offset >= buffer.length) {
+                throw new Error('Truncated protobuf varint');
+            }
+            const byte = buffer[offset++];
+            result |= BigInt(byte & 0x7f) << shift;
+            if ((byte & 0x80) === 0) {
+                return result;
+            }
+            shift += 7n;
+        }
+    };
+
+    while (offset < buffer.length) {
+        const key = Number(readVarint());
+        const field = key >>> 3;
+        const wireType = key & 7;
+
+        switch (wireType) {
+            case WIRE_VARINT:
+                fields.push({ field, value: readVarint() });
+                break;
+
+            case WIRE_BYTES: {
+                const length = Number(readVarint());
+                if (offset + length > buffer.length) {
+                    throw new Error('Truncated protobuf field');
+                }
+                fields.push({ field, value: buffer.subarray(offset, offset + length) });
+                offset += length;
+                break;
+            }
+
+            case WIRE_64BIT:
+                offset += 8;
+                break;
+
+            case WIRE_32BIT:
+                offset += 4;
+                break;
+
+            default:
+                throw new Error(`Unsupported protobuf wire type ${wireType}`);
+        }
+    }
+
+    return fields;
+}
+
+/**
+ * Explains why an OTP cannot be carried in a migration payload
+ * @param {Object} otp - Parsed OTP entry
+ * @returns {string|null} - The reason, or null if it can
+ */
+function migrationUnsupportedReason(otp) {
+    if (otp.encoder) {
+        return `Google Authenticator does not support ${otp.encoder} codes`;
+    }
+    if (!Object.hasOwn(DIGITS, otp.digits)) {
+        return `Google Authenticator only supports 6 or 8 digits, not ${otp.digits}`;
+    }
+    if (otp.type === 'totp' && otp.period !== 30) {
+        return `Google Authenticator only supports a 30 second period, not ${otp.period}`;
+    }
+    try {
+        if (base32Decode(otp.secret).length === 0) {
+            return 'secret is empty';
+        }
+    } catch (error) {
+        return `secret is not Base32: ${error.message}`;
+    }
+    return null;
+}
+
+/**
+ * Encodes OTP entries as one or more otpauth-migration:// URIs
+ * @param {Object[]} otps - Parsed OTP entries (see lib/otpauth.js)
+ * @param {Object} [options] - Encoding options
+ * @param {number} [options.batchSize] - Entries per URI (default: 10)
+ * @param {number} [options.batchId] - Transfer id (default: random)
+ * @returns {string[]} - One URI per QR code
+ * @throws {Error} - If an entry cannot be carried in a migration payload
+ */
+function encodeMigrationUris(otps, { batchSize = DEFAULT_BATCH_SIZE, batchId = crypto.randomInt(1, 2 ** 31) } = {}) {
+    for (const otp of otps) {
+        const reason = migrationUnsupportedReason(otp);
+        if (reason) {
+            throw new Error(`Cannot encode "${otp.label}": ${reason}`);
+        }
+    }
+
+    const batches = [];
+    for (let i = 0; i < otps.length; i += batchSize) {
+        batches.push(otps.slice(i, i + batchSize));
+    }
+
+    return batches.map((batch, index) => {
+        const payload = encodeMessage([
+            ...batch.map(otp => [1, encodeMessage([
+                [1, base32Decode(otp.secret)],
+                [2, otp.label],
+                [3, otp.issuer || ''],
+                [4, ALGORITHMS[otp.algorithm]],
+                [5, DIGITS[otp.digits]],
+                [6, TYPES[otp.type]],
+                [7, otp.type === 'hotp' ? BigInt(otp.counter) : 0]
+            ])]),
+            [2, MIGRATION_VERSION],
+            [3, batches.length],
+            [4, index],
+            [5, batchId]
+        ]);
+        return `otpauth-migration://offline?data=${encodeURIComponent(payload.toString('base64'))}`;
+    });
+}
+
+/**
+ * Decodes an otpauth-migration:// URI
+ * @param {string} uri - The URI
+ * @returns {{version: number, batchSize: number, batchIndex: number, batchId: number, otps: Object[]}} - The payload, with entries in the shape parseOtpauthUri returns
+ * @throws {Error} - If the URI or payload is malformed
+ */
+function decodeMigrationUri(uri) {
+    const match = /^otpauth-migration:\/\/offline\?(?:.*&)?data=([^&#]+)/i.exec(String(uri).trim());
+    if (!match) {
+        throw new Error('Not an otpauth-migration://offline URI');
+    }
+
+    const payload = {
+        version: 0,
+        batchSize: 0,
+        batchIndex: 0,
+        batchId: 0,
+        otps: []
+    };
+
+    const data = Buffer.from(decodeURIComponent(match[1]), 'base64');
+    for (const { field, value } of decodeMessage(data)) {
+        switch (field) {
+            case 1: {
+                const otp = {
+                    type: 'totp',
+                    label: '',
+                    issuer: null,
+                    secret: '',
+                    algorithm: 'SHA1',
+                    digits: 6,
+                    period: 30,
+                    counter: null,
+                    encoder: null,
+                    extra: []
+                };
+                let counter = 0;
+                for (const param of decodeMessage(value)) {
+                    switch (param.field) {
+                        case 1: otp.secret = base32Encode(param.value); break;
+                        case 2: otp.label = param.value.toString('utf8'); break;
+                        case 3: otp.issuer = param.value.toString('utf8') || null; break;
+                        case 4: otp.algorithm = enumName(ALGORITHMS, Number(param.value)) || 'SHA1'; break;
+                        case 5: otp.digits = Number(enumName(DIGITS, Number(param.value)) || 6); break;
+                        case 6: otp.type = enumName(TYPES, Number(param.value)) || 'totp'; break;
+                        case 7: counter = Number(param.value); break;
+                    }
+                }
+                if (otp.type === 'hotp') {
+                    otp.period = null;
+                    otp.counter = counter;
+                }
+                payload.otps.push(otp);
+                break;
+            }
+            case 2: payload.version = Number(value); break;
+            case 3: payload.batchSize = Number(value); break;
+            case 4: payload.batchIndex = Number(value); break;
+            case 5: payload.batchId = Number(value); break;
+        }
+    }
+
+    return payload;
+}
+
+module.exports = {
+    DEFAULT_BATCH_SIZE,
+    migrationUnsupportedReason,
+    encodeMigrationUris,
+    decodeMigrationUri
+};
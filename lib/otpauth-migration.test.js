@@ -0,0 +1,83 @@
+/**
+ * Google Authenticator migration payloads against a hand-encoded protobuf
+ *
+ * Run with: node --test lib/
+ */
+
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+const { migrationUnsupportedReason, encodeMigrationUris, decodeMigrationUri } = require('./otpauth-migration');
+const { parseOtpauthUri } = require('./otpauth');
+
+const TOTP = parseOtpauthUri('otpauth://totp/test?secret=JBSWY3DPEHPK3PXP&issuer=Example');
+
+// MigrationPayload { otp_parameters: [TOTP], version: 1, batch_size: 1, batch_index: 0, batch_id: 300 }
+const TOTP_PAYLOAD = Buffer.from([
+    '0a21',                                 // otp_parameters, 33 bytes
+    '0a0a48656c6c6f21deadbeef',             //   secret: JBSWY3DPEHPK3PXP
+    '120474657374',                         //   name: "test"
+    '1a074578616d706c65',                   //   issuer: "Example"
+    '2001', '2801', '3002',                 //   algorithm SHA1, six digits, type TOTP
+    '1001', '1801', '28ac02'                // version 1, batch_size 1, batch_id 300
+].join(''), 'hex');
+
+describe('encodeMigrationUris', () => {
+    it('encodes the protobuf wire format', () => {
+        assert.deepEqual(encodeMigrationUris([TOTP], { batchId: 300 }), [
+            `otpauth-migration://offline?data=${encodeURIComponent(TOTP_PAYLOAD.toString('base64'))}`
+        ]);
+    });
+
+    it('splits entries into batches that share a batch id', () => {
+        const otps = Array.from({ length: 5 }, (_, index) => ({ ...TOTP, label: `account ${index}` }));
+        const payloads = encodeMigrationUris(otps, { batchSize: 2, batchId: 7 }).map(decodeMigrationUri);
+        assert.deepEqual(payloads.map(payload => [payload.batchIndex, payload.batchSize, payload.batchId, payload.otps.length]), [
+            [0, 3, 7, 2],
+            [1, 3, 7, 2],
+            [2, 3, 7, 1]
+        ]);
+        assert.deepEqual(payloads.flatMap(payload => payload.otps.map(otp => otp.label)), otps.map(otp => otp.label));
+    });
+
+    it('refuses entries Google Authenticator cannot hold', () => {
+        assert.throws(() => encodeMigrationUris([{ ...TOTP, period: 60 }]), /Cannot encode "test": .*30 second period, not 60/);
+    });
+});
+
+describe('decodeMigrationUri', () => {
+    it('decodes the protobuf wire format', () => {
+        assert.deepEqual(decodeMigrationUri(`otpauth-migration://offline?data=${encodeURIComponent(TOTP_PAYLOAD.toString('base64'))}`), {
+            version: 1,
+            batchSize: 1,
+            batchIndex: 0,
+            batchId: 300,
+            otps: [TOTP]
+        });
+    });
+
+    it('round-trips TOTP and HOTP entries with every algorithm and digit count', () => {
+        const otps = [
+            TOTP,
+            parseOtpauthUri('otpauth://totp/Work:me%40example.com?secret=GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ&issuer=Work&algorithm=SHA256&digits=8'),
+            parseOtpauthUri('otpauth://totp/x?secret=JBSWY3DPEHPK3PXP&algorithm=SHA512'),
+            parseOtpauthUri('otpauth://hotp/Counter?secret=JBSWY3DPEHPK3PXP&counter=4294967296')
+        ];
+        const [uri] = encodeMigrationUris(otps);
+        assert.deepEqual(decodeMigrationUri(uri).otps, otps);
+    });
+
+    it('rejects other URIs and truncated payloads', () => {
+        assert.throws(() => decodeMigrationUri('otpauth://totp/x?secret=A'), /Not an otpauth-migration:\/\/offline URI/);
+        const truncated = TOTP_PAYLOAD.subarray(0, 20).toString('base64');
+        assert.throws(() => decodeMigrationUri(`otpauth-migration://offline?data=${encodeURIComponent(truncated)}`), /Truncated protobuf field/);
+    });
+});
+
+describe('migrationUnsupportedReason', () => {
+    it('explains what a migration payload cannot carry', () => {
+        assert.equal(migrationUnsupportedReason(TOTP), null);
+        assert.match(migrationUnsupportedReason(parseOtpauthUri('steam://JBSWY3DPEHPK3PXP')), /steam codes/);
+        assert.match(migrationUnsupportedReason({ ...TOTP, digits: 7 }), /6 or 8 digits, not 7/);
+        assert.match(migrationUnsupportedReason({ ...TOTP, secret: 'not base32!' }), /secret is not Base32/);
+    });
+});
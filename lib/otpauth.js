@@ -0,0 +1,262 @@
+/**
+ * otpauth:// URI parsing and serialization
+ *
+ * Reads the Key Uri Format used by authenticator apps
+ * (`otpauth://TYPE/LABEL?secret=...&issuer=...`) plus the `steam://SECRET`
+ * shorthand, keeping every parameter so a parsed entry can be written back
+ * out without losing its type, algorithm, digits, period, counter, issuer or
+ * label. Unknown parameters (image, color, ...) are carried along in order.
+ */
+
+const OTP_TYPES = ['totp', 'hotp'];
+const OTP_ALGORITHMS = ['SHA1', 'SHA256', 'SHA512'];
+
+// Fields compared when checking that an entry survives a round trip
+const OTP_FIELDS = ['type', 'label', 'issuer', 'secret', 'algorithm', 'digits', 'period', 'counter', 'encoder'];
+
+/**
+ * Percent-decodes a URI component without treating "+" as a space
+ * @param {string} text - The encoded text
+ * @returns {string} - The decoded text
+ */
+function decodeComponent(text) {
+    try {
+        return decodeURIComponent(text);
+    } catch {
+        throw new Error(`Malformed percent-encoding in "${text}"`);
+    }
+}
+
+/**
+ * Parses a non-negative integer parameter
+ * @param {string} name - Parameter name, for the error message
+ * @param {string} value - Parameter value
+ * @param {number} [min] - Smallest allowed value
+ * @returns {number} - The parsed value
+ */
+function parseInteger(name, value, min = 0) {
+    if (!/^\d+$/.test(value) || Number(value) < min || !Number.isSafeInteger(Number(value))) {
+        throw new Error(`Invalid ${name} "${value}"`);
+    }
+    return Number(value);
+}
+
+/**
+ * Splits an otpauth label into its issuer prefix and account name
+ * @param {string} label - The decoded label, e.g. "GitHub:me@example.com"
+ * @returns {{issuer: string|null, account: string}} - The label parts
+ */
+function splitLabel(label) {
+    const index = label.indexOf(':');
+    if (index === -1) {
+        return { issuer: null, account: label.trim() };
+    }
+    return { issuer: label.slice(0, index).trim(), account: label.slice(index + 1).trim() };
+}
+
+/**
+ * Parses an otpauth:// or steam:// URI
+ * @param {string} uri - The URI
+ * @returns {Object} - The OTP entry ({ type, label, issuer, secret, algorithm, digits, period, counter, encoder, extra })
+ * @throws {Error} - If the URI is malformed, uses an unsupported type or algorithm, or repeats a parameter
+ */
+function parseOtpauthUri(uri) {
+    const text = String(uri).trim();
+
+    const steam = /^steam:\/\/([^?#]+)$/i.exec(text);
+    if (steam) {
+        return {
+            type: 'totp',
+            label: '',
+            issuer: 'Steam',
+            secret: decodeComponent(steam[1]),
+            algorithm: 'SHA1',
+            digits: 5,
+            period: 30,
+            counter: null,
+            encoder: 'steam',
+            extra: []
+        };
+    }
+
+    const match = /^otpauth:\/\/([^/?#]*)\/?([^?#]*)(?:\?([^#]*))?(#.*)?$/i.exec(text);
+    if (!match) {
+        throw new Error('Not an otpauth:// URI');
+    }
+
+    const type = match[1].toLowerCase();
+    if (!OTP_TYPES.includes(type)) {
+        throw new Error(`Unsupported OTP type "${match[1]}"`);
+    }
+    if (match[4]) {
+        throw new Error('otpauth URI has a fragment');
+    }
+
+    const entry = {
+        type,
+        label: decodeComponent(match[2]),
+        issuer: null,
+        secret: null,
+        algorithm: 'SHA1',
+        digits: null,
+        period: type === 'totp' ? 30 : null,
+        counter: type === 'hotp' ? 0 : null,
+        encoder: null,
+        extra: []
+    };
+
+    const seen = new Set();
+    for (const pair of (match[3] || '').split('&').filter(Boolean)) {
+        const separator = pair.indexOf('=');
+        const name = decodeComponent(separator === -1 ? pair : pair.slice(0, separator));
+        const value = separator === -1 ? '' : decodeComponent(pair.slice(separator + 1));
+
+        const key = name.toLowerCase();
+        if (seen.has(key)) {
+            throw new Error(`Duplicate "${name}" parameter`);
+        }
+        seen.add(key);
+
+        switch (key) {
+            case 'secret':
+                entry.secret = value;
+                break;
+
+            case 'issuer':
+                entry.issuer = value;
+                break;
+
+            case 'algorithm':
+                entry.algorithm = value.toUpperCase().replace('-', '');
+                if (!OTP_ALGORITHMS.includes(entry.algorithm)) {
+                    throw new Error(`Unsupported algorithm "${value}"`);
+                }
+                break;
+
+            case 'digits':
+                entry.digits = parseInteger('digits', value, 1);
+                break;
+
+            case 'period':
+                entry.period = parseInteger('period', value, 1);
+                break;
+
+            case 'counter':
+                entry.counter = parseInteger('counter', value);
+                break;
+
+            case 'encoder':
+                entry.encoder = value.toLowerCase();
+                break;
+
+            default:
+                entry.extra.push([name, value]);
+                break;
+        }
+    }
+
+    if (!entry.secret) {
+        throw new Error('otpauth URI has no secret');
+    }
+    if (entry.digits === null) {
+        entry.digits = entry.encoder === 'steam' ? 5 : 6;
+    }
+
+    return entry;
+}
+
+/**
+ * Builds a TOTP entry from a bare secret, as stored by items without an otpauth URI
+ *
+ * Base32 secrets are case-insensitive and often shown in groups, so spaces
+ * are removed and letters uppercased.
+ *
+ * @param {string} secret - The secret
+ * @param {Object} [names] - Names for the label
+ * @param {string} [names.issuer] - Service name
+ * @param {string} [names.account] - Account name
+ * @returns {Object} - The OTP entry
+ */
+function otpFromSecret(secret, { issuer = null, account = '' } = {}) {
+    const compact = String(secret).replace(/[\s-]+/g, '');
+    return {
+        type: 'totp',
+        label: issuer ? `${issuer}:${account}` : account,
+        issuer,
+        secret: /^[a-z2-7]+=*$/i.test(compact) ? compact.toUpperCase() : String(secret).trim(),
+        algorithm: 'SHA1',
+        digits: 6,
+        period: 30,
+        counter: null,
+        encoder: null,
+        extra: []
+    };
+}
+
+/**
+ * Serializes an OTP entry as an otpauth:// URI, leaving out parameters at their defaults
+ * @param {Object} entry - The OTP entry, as returned by parseOtpauthUri
+ * @returns {string} - The URI
+ */
+function formatOtpauthUri(entry) {
+    const encode = text => encodeURIComponent(text);
+    const label = encode(entry.label || '').replace(/%3A/gi, ':');
+
+    const params = [['secret', entry.secret]];
+    if (entry.issuer !== null && entry.issuer !== undefined) {
+        params.push(['issuer', entry.issuer]);
+    }
+    if (entry.algorithm && entry.algorithm !== 'SHA1') {
+        params.push(['algorithm', entry.algorithm]);
+    }
+    if (entry.digits !== (entry.encoder === 'steam' ? 5 : 6)) {
+        params.push(['digits', entry.digits]);
+    }
+    if (entry.period !== null && entry.period !== undefined && !(entry.type === 'totp' && entry.period === 30)) {
+        params.push(['period', entry.period]);
+    }
+    if (entry.type === 'hotp' || (entry.counter !== null && entry.counter !== undefined)) {
+        params.push(['counter', entry.counter ?? 0]);
+    }
+    if (entry.encoder) {
+        params.push(['encoder', entry.encoder]);
+    }
+    params.push(...(entry.extra || []));
+
+    const query = params.map(([name, value]) => `${encode(name)}=${encode(String(value))}`).join('&');
+    return `otpauth://${entry.type}/${label}?${query}`;
+}
+
+/**
+ * Lists the ways an entry would change if serialized and parsed again
+ * @param {Object} entry - The OTP entry
+ * @returns {string[]} - Problems found; empty when the entry round-trips exactly
+ */
+function roundTripProblems(entry) {
+    let reparsed;
+    try {
+        reparsed = parseOtpauthUri(formatOtpauthUri(entry));
+    } catch (error) {
+        return [error.message];
+    }
+
+    const problems = OTP_FIELDS
+        .filter(field => (entry[field] ?? null) !== (reparsed[field] ?? null))
+        .map(field => `${field} would change from ${JSON.stringify(entry[field] ?? null)} to ${JSON.stringify(reparsed[field])}`);
+
+    if (JSON.stringify(entry.extra || []) !== JSON.stringify(reparsed.extra)) {
+        problems.push('extra parameters would change');
+    }
+
+    return problems;
+}
+
+module.exports = {
+    OTP_TYPES,
+    OTP_ALGORITHMS,
+    splitLabel,
+    parseOtpauthUri,
+    otpFromSecret,
+    formatOtpauthUri,
+    roundTripProblems
+};
@@ -0,0 +1,99 @@
+/**
+ * otpauth:// URIs: parsing, serializing and the round trip between them
+ *
+ * Run with: node --test lib/
+ */
+
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+const { splitLabel, parseOtpauthUri, otpFromSecret, formatOtpauthUri, roundTripProblems } = require('./otpauth');
+
+describe('parseOtpauthUri', () => {
+    it('reads every parameter and fills in defaults', () => {
+        assert.deepEqual(parseOtpauthUri('otpauth://totp/ACME%20Co:john@example.com?secret=HXDMVJECJJWSRB3HWIZR4IFUGFTMXBOZ&issuer=ACME%20Co&algorithm=sha-256&digits=8&period=60&image=https%3A%2F%2Fexample.com%2Flogo.png'), {
+            type: 'totp',
+            label: 'ACME Co:john@example.com',
+            issuer: 'ACME Co',
+            secret: 'HXDMVJECJJWSRB3HWIZR4IFUGFTMXBOZ',
+            algorithm: 'SHA256',
+            digits: 8,
+            period: 60,
+            counter: null,
+            encoder: null,
+            extra: [['image', 'https://example.com/logo.png']]
+        });
+
+        const hotp = parseOtpauthUri('OTPAUTH://HOTP/Example?secret=JBSWY3DPEHPK3PXP');
+        assert.equal(hotp.type, 'hotp');
+        assert.equal(hotp.counter, 0);
+        assert.equal(hotp.period, null);
+        assert.equal(hotp.digits, 6);
+    });
+
+    it('reads steam:// and the steam encoder as 5 digit codes', () => {
+        assert.equal(parseOtpauthUri('steam://JBSWY3DPEHPK3PXP').digits, 5);
+        assert.equal(parseOtpauthUri('steam://JBSWY3DPEHPK3PXP').encoder, 'steam');
+        assert.equal(parseOtpauthUri('otpauth://totp/Steam:me?secret=JBSWY3DPEHPK3PXP&encoder=steam').digits, 5);
+    });
+
+    it('keeps "+" in values', () => {
+        assert.equal(parseOtpauthUri('otpauth://totp/a+b?secret=ABC&issuer=A+B').issuer, 'A+B');
+    });
+
+    it('rejects malformed URIs', () => {
+        const cases = [
+            ['https://example.com', /Not an otpauth:\/\/ URI/],
+            ['otpauth://motp/x?secret=A', /Unsupported OTP type "motp"/],
+            ['otpauth://totp/x?secret=A#frag', /has a fragment/],
+            ['otpauth://totp/x?issuer=A', /has no secret/],
+            ['otpauth://totp/x?secret=A&Secret=B', /Duplicate "Secret" parameter/],
+            ['otpauth://totp/x?secret=A&algorithm=MD5', /Unsupported algorithm "MD5"/],
+            ['otpauth://totp/x?secret=A&digits=0', /Invalid digits "0"/],
+            ['otpauth://totp/x?secret=A&period=-30', /Invalid period "-30"/],
+            ['otpauth://totp/%E0%A4%A?secret=A', /Malformed percent-encoding/]
+        ];
+        for (const [uri, message] of cases) {
+            assert.throws(() => parseOtpauthUri(uri), message, uri);
+        }
+    });
+});
+
+describe('formatOtpauthUri', () => {
+    it('leaves out parameters at their defaults', () => {
+        assert.equal(formatOtpauthUri(otpFromSecret('jbsw y3dp ehpk 3pxp', { issuer: 'GitHub', account: 'me@example.com' })),
+            'otpauth://totp/GitHub:me%40example.com?secret=JBSWY3DPEHPK3PXP&issuer=GitHub');
+    });
+
+    it('writes the counter of HOTP entries, even at 0', () => {
+        assert.equal(formatOtpauthUri(parseOtpauthUri('otpauth://hotp/x?secret=A')), 'otpauth://hotp/x?secret=A&counter=0');
+    });
+});
+
+describe('round trip', () => {
+    it('gives back the same URI and entry for every parameter', () => {
+        for (const uri of [
+            'otpauth://totp/ACME%20Co:john%40example.com?secret=HXDMVJECJJWSRB3HWIZR4IFUGFTMXBOZ&issuer=ACME%20Co&algorithm=SHA512&digits=8&period=60&image=https%3A%2F%2Fexample.com%2Flogo.png',
+            'otpauth://hotp/Example?secret=JBSWY3DPEHPK3PXP&counter=42',
+            'otpauth://totp/Steam:me?secret=JBSWY3DPEHPK3PXP&issuer=Steam&encoder=steam',
+            'otpauth://totp/?secret=JBSWY3DPEHPK3PXP'
+        ]) {
+            const entry = parseOtpauthUri(uri);
+            assert.equal(formatOtpauthUri(entry), uri);
+            assert.deepEqual(parseOtpauthUri(formatOtpauthUri(entry)), entry);
+            assert.deepEqual(roundTripProblems(entry), [], uri);
+        }
+    });
+
+    it('lists what would change for entries a URI cannot hold', () => {
+        const entry = { ...parseOtpauthUri('otpauth://totp/x?secret=A'), period: null };
+        assert.deepEqual(roundTripProblems(entry), ['period would change from null to 30']);
+        assert.deepEqual(roundTripProblems({ ...entry, period: 30, type: 'motp' }), ['Unsupported OTP type "motp"']);
+    });
+});
+
+describe('splitLabel', () => {
+    it('splits the issuer prefix from the account', () => {
+        assert.deepEqual(splitLabel('GitHub: me@example.com'), { issuer: 'GitHub', account: 'me@example.com' });
+        assert.deepEqual(splitLabel('me@example.com'), { issuer: null, account: 'me@example.com' });
+    });
+});
@@ -0,0 +1,111 @@
+/**
+ * Deterministic pseudonyms for sensitive values
+ *
+ * Every value is replaced by a fake of the same kind and shape, derived
+ * from an HMAC-SHA256 of the value under a secret key: emails stay emails
+ * (with one fake domain per real domain), UUIDs stay valid version 4 UUIDs,
+ * integers keep their number of digits and other strings keep their length
+ * and the class of every character (lowercase, uppercase, digit, symbol).
+ * The same value always gives the same fake under the same key, so
+ * duplicates and reuse still show; without the key, fakes cannot be linked
+ * back to guessed values.
+ */
+
+const crypto = require('node:crypto');
+
+const LOWER = 'abcdefghijklmnopqrstuvwxyz';
+const UPPER = LOWER.toUpperCase();
+const DIGITS = '0123456789';
+const SYMBOLS = '!#$%&*+-=?^_~';
+
+const EMAIL_PATTERN = /^([^\s@]+)@([^\s@]+)\.([^\s@.]+)$/;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Creates a pseudonymizer
+ * @param {string|Buffer} key - Secret HMAC key; the same key gives the same fakes across runs
+ * @returns {function(any): any} - Maps a string or integer to its fake; other values are returned unchanged
+ * @throws {Error} - If the key is empty
+ */
+function createPseudonymizer(key) {
+    if (!key || key.length === 0) {
+        throw new Error('The pseudonymization key cannot be empty');
+    }
+
+    const cache = new Map();
+
+    // HMAC-SHA256 in counter mode, for as many bytes as the fake needs
+    const bytesFor = (kind, value, length) => {
+        const chunks = [];
+        for (let counter = 0; chunks.length * 32 < length; counter++) {
+            chunks.push(crypto.createHmac('sha256', key).update(`${kind}\0${counter}\0${value}`).digest());
+        }
+        return Buffer.concat(chunks).subarray(0, length);
+    };
+
+    // Replaces each letter and digit within its class; symbols too unless keepSymbols is set
+    const reshape = (kind, text, { keepSymbols = false } = {}) => {
+        const chars = [...text];
+        const random = bytesFor(kind, text, chars.length);
+        return chars.map((char, index) => {
+            let alphabet = null;
+            if (LOWER.includes(char)) {
+                alphabet = LOWER;
+            } else if (UPPER.includes(char)) {
+                alphabet = UPPER;
+            } else if (DIGITS.includes(char)) {
+                alphabet = DIGITS;
+            } else if (!keepSymbols && /[!-/:-@[-`{-~]/.test(char)) {
+                alphabet = SYMBOLS;
+            }
+            return alphabet ? alphabet[random[index] % alphabet.length] : char;
+        }).join('');
+    };
+
+    const fakeEmail = (local, domain, tld) =>
+        `${reshape('email-local', local, { keepSymbols: true })}@${reshape('email-domain', domain.toLowerCase(), { keepSymbols: true })}.${tld}`;
+
+    const fakeUUID = uuid => {
+        const bytes = bytesFor('uuid', uuid.toLowerCase(), 16);
+        bytes[6] = (bytes[6] & 0x0f) | 0x40;
+        bytes[8] = (bytes[8] & 0x3f) | 0x80;
+        const hex = bytes.toString('hex');
+        const fake = `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+        return uuid === uuid.toUpperCase() && /[A-F]/.test(uuid) ? fake.toUpperCase() : fake;
+    };
+
+    const fakeInteger = number => {
+        const digits = reshape('integer', String(Math.abs(number)));
+        // Keep the digit count by never starting with a zero
+        const fake = digits.length > 1 && digits[0] === '0' ? `${1 + (digits.charCodeAt(1) % 9)}${digits.slice(1)}` : digits;
+        return Math.sign(number) * Number(fake);
+    };
+
+    return value => {
+        const cacheKey = `${typeof value}\0${value}`;
+        if (cache.has(cacheKey)) {
+            return cache.get(cacheKey);
+        }
+
+        let fake = value;
+        if (typeof value === 'string') {
+            const email = EMAIL_PATTERN.exec(value);
+            if (email) {
+                fake = fakeEmail(email[1], email[2], email[3]);
+            } else if (UUID_PATTERN.test(value)) {
+                fake = fakeUUID(value);
+            } else {
+                fake = reshape('string', value);
+            }
+        } else if (Number.isSafeInteger(value)) {
+            fake = fakeInteger(value);
+        }
+
+        cache.set(cacheKey, fake);
+        return fake;
+    };
+}
+
+module.exports = {
+    createPseudonymizer
+};
@@ -0,0 +1,76 @@
+/**
+ * Pseudonyms: the same fake for the same value and key, in the shape of the original
+ *
+ * Run with: node --test lib/
+ */
+
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+const { createPseudonymizer } = require('./pseudonymize');
+
+const KEY = 'test key';
+
+describe('createPseudonymizer', () => {
+    it('gives the same fake for the same value and key, across pseudonymizers', () => {
+        const first = createPseudonymizer(KEY);
+        const second = createPseudonymizer(Buffer.from(KEY));
+        for (const value of ['hunter2', 'alice@example.com', '3f2504e0-4f89-41d3-9a0c-0305e82c3301', 123456]) {
+            assert.equal(first(value), first(value));
+            assert.equal(first(value), second(value));
+            assert.notEqual(first(value), value);
+        }
+    });
+
+    it('gives other fakes under another key', () => {
+        assert.notEqual(createPseudonymizer(KEY)('hunter2'), createPseudonymizer('other key')('hunter2'));
+    });
+
+    it('gives different values different fakes', () => {
+        const pseudonymize = createPseudonymizer(KEY);
+        assert.notEqual(pseudonymize('hunter2'), pseudonymize('hunter3'));
+    });
+
+    it('keeps the length and character classes of strings', () => {
+        const fake = createPseudonymizer(KEY)('Passw0rd-2024!');
+        assert.equal(fake.length, 14);
+        assert.match(fake, /^[A-Z][a-z]{4}\d[a-z]{2}[!#$%&*+\-=?^_~]\d{4}[!#$%&*+\-=?^_~]$/);
+    });
+
+    it('keeps emails as emails, with one fake domain per real domain', () => {
+        const pseudonymize = createPseudonymizer(KEY);
+        const alice = pseudonymize('alice@example.com');
+        const bob = pseudonymize('bob@Example.com');
+        assert.match(alice, /^[a-z]{5}@[a-z]{7}\.com$/);
+        assert.equal(alice.split('@')[1], bob.split('@')[1]);
+        assert.match(pseudonymize('first.last+tag@mail.example.org'), /^[a-z]{5}\.[a-z]{4}\+[a-z]{3}@[a-z]{4}\.[a-z]{7}\.org$/);
+    });
+
+    it('keeps UUIDs valid version 4 UUIDs in the same case', () => {
+        const pseudonymize = createPseudonymizer(KEY);
+        const version4 = /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/;
+        assert.match(pseudonymize('3f2504e0-4f89-11d3-9a0c-0305e82c3301'), version4);
+        assert.match(pseudonymize('3F2504E0-4F89-11D3-9A0C-0305E82C3301'), new RegExp(version4.source.replace(/a-f/g, 'A-F').replace('[89ab]', '[89AB]')));
+    });
+
+    it('keeps the digit count and sign of integers', () => {
+        const pseudonymize = createPseudonymizer(KEY);
+        for (const number of [7, 1234, -98765, 100000000]) {
+            const fake = pseudonymize(number);
+            assert.ok(Number.isSafeInteger(fake));
+            assert.equal(String(Math.abs(fake)).length, String(Math.abs(number)).length);
+            assert.equal(Math.sign(fake), Math.sign(number));
+        }
+    });
+
+    it('returns other values unchanged', () => {
+        const pseudonymize = createPseudonymizer(KEY);
+        for (const value of [true, null, 1.5, undefined]) {
+            assert.equal(pseudonymize(value), value);
+        }
+    });
+
+    it('rejects an empty key', () => {
+        assert.throws(() => createPseudonymizer(''), /cannot be empty/);
+        assert.throws(() => createPseudonymizer(Buffer.alloc(0)), /cannot be empty/);
+    });
+});
@@ -0,0 +1,159 @@
+/**
+ * Public Suffix List lookups
+ *
+ * Resolves the public suffix (eTLD) and registrable domain (eTLD+1) of a
+ * hostname using the offline copy of the Public Suffix List bundled in
+ * data/public_suffix_list.dat. Both the ICANN and private sections are used,
+ * so hosts such as `something.github.io` resolve to their own registrable
+ * domain rather than `github.io`.
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { toUnicodeHostname } = require('./idn');
+
+const LIST_PATH = path.join(__dirname, 'data', 'public_suffix_list.dat');
+
+let cachedRules = null;
+
+/**
+ * Parses Public Suffix List text into lookup sets
+ * @param {string} text - Contents of a public_suffix_list.dat file
+ * @returns {{exact: Set<string>, wildcard: Set<string>, exception: Set<string>}} - Parsed rules
+ */
+function parseRules(text) {
+    const rules = {
+        exact: new Set(),
+        wildcard: new Set(),
+        exception: new Set()
+    };
+
+    for (const line of text.split(/\r?\n/)) {
+        // Only the first whitespace-delimited token of a line is significant
+        const rule = line.trim().split(/\s/)[0].toLowerCase();
+        if (!rule || rule.startsWith('//')) {
+            continue;
+        }
+
+        if (rule.startsWith('!')) {
+            rules.exception.add(rule.slice(1));
+        } else if (rule.startsWith('*.')) {
+            rules.wildcard.add(rule.slice(2));
+        } else {
+            rules.exact.add(rule);
+        }
+    }
+
+    return rules;
+}
+
+/**
+ * Loads the bundled list once and caches the parsed rules
+ * @returns {{exact: Set<string>, wildcard: Set<string>, exception: Set<string>}} - Parsed rules
+ */
+function loadRules() {
+    if (!cachedRules) {
+        cachedRules = parseRules(fs.readFileSync(LIST_PATH, 'utf8'));
+    }
+    return cachedRules;
+}
+
+/**
+ * Normalizes a hostname for lookup: lowercase Unicode form, no port, no trailing dot
+ *
+ * The list itself is written in Unicode, so punycode hosts are decoded first.
+ *
+ * @param {string} hostname - The hostname to normalize
+ * @returns {string} - The normalized hostname
+ */
+function normalizeHostname(hostname) {
+    return toUnicodeHostname(String(hostname)
+        .trim()
+        .replace(/:\d+$/, '')
+        .replace(/\.+$/, ''))
+        .toLowerCase();
+}
+
+/**
+ * Checks whether a hostname is an IP address literal
+ * @param {string} hostname - The normalized hostname
+ * @returns {boolean} - True for IPv4 or bracketed/bare IPv6 addresses
+ */
+function isIPAddress(hostname) {
+    return /^\d{1,3}(\.\d{1,3}){3}$/.test(hostname) || hostname.includes(':') || hostname.startsWith('[');
+}
+
+/**
+ * Finds the public suffix of a hostname and whether a listed rule produced it
+ * @param {string} hostname - The hostname to look up
+ * @returns {{suffix: string, listed: boolean}|null} - The suffix, or null for IPs and empty input
+ */
+function findSuffix(hostname) {
+    const host = normalizeHostname(hostname || '');
+    if (!host || isIPAddress(host)) {
+        return null;
+    }
+
+    const { exact, wildcard, exception } = loadRules();
+    const labels = host.split('.');
+
+    // Walk from the longest candidate to the shortest so the first hit is the longest matching rule
+    for (let i = 0; i < labels.length; i++) {
+        const candidate = labels.slice(i).join('.');
+
+        // Exception rules win over everything and drop their leftmost label
+        if (exception.has(candidate)) {
+            return { suffix: labels.slice(i + 1).join('.'), listed: true };
+        }
+
+        if (exact.has(candidate) || (i + 1 < labels.length && wildcard.has(labels.slice(i + 1).join('.')))) {
+            return { suffix: candidate, listed: true };
+        }
+    }
+
+    // Implicit "*" rule: the last label is the suffix
+    return { suffix: labels[labels.length - 1], listed: false };
+}
+
+/**
+ * Returns the public suffix (eTLD) of a hostname
+ * @param {string} hostname - The hostname to look up
+ * @returns {string|null} - The public suffix, or null for IPs and empty input
+ */
+function getPublicSuffix(hostname) {
+    const result = findSuffix(hostname);
+    return result ? result.suffix : null;
+}
+
+/**
+ * Checks whether a hostname ends in a suffix that is on the list, i.e. a real TLD
+ * @param {string} hostname - The hostname to check
+ * @returns {boolean} - False for unknown endings such as "node.js" or single labels
+ */
+function hasListedSuffix(hostname) {
+    const result = findSuffix(hostname);
+    return Boolean(result && result.listed);
+}
+
+/**
+ * Returns the registrable domain (eTLD+1) of a hostname
+ * @param {string} hostname - The hostname to look up
+ * @returns {string|null} - The registrable domain in Unicode form, or null if the host is itself a public suffix
+ */
+function getRegistrableDomain(hostname) {
+    const host = normalizeHostname(hostname || '');
+    const suffix = getPublicSuffix(host);
+    if (!suffix || host === suffix) {
+        return null;
+    }
+
+    const labels = host.slice(0, -(suffix.length + 1)).split('.');
+    return `${labels[labels.length - 1]}.${suffix}`;
+}
+
+module.exports = {
+    parseRules,
+    getPublicSuffix,
+    getRegistrableDomain,
+    hasListedSuffix
+};
@@ -0,0 +1,61 @@
+/**
+ * Public Suffix List lookups against the bundled list
+ *
+ * Run with: node --test lib/
+ */
+
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+const { parseRules, getPublicSuffix, getRegistrableDomain, hasListedSuffix } = require('./public-suffix');
+
+describe('getRegistrableDomain', () => {
+    it('takes one label past multi-label ICANN suffixes', () => {
+        assert.equal(getPublicSuffix('bank.co.uk'), 'co.uk');
+        assert.equal(getRegistrableDomain('bank.co.uk'), 'bank.co.uk');
+        assert.equal(getRegistrableDomain('online.bank.co.uk'), 'bank.co.uk');
+    });
+
+    it('treats private suffixes like github.io as suffixes', () => {
+        assert.equal(getPublicSuffix('x.github.io'), 'github.io');
+        assert.equal(getRegistrableDomain('x.github.io'), 'x.github.io');
+        assert.equal(getRegistrableDomain('docs.x.github.io'), 'x.github.io');
+    });
+
+    it('ignores www, case, ports and trailing dots', () => {
+        assert.equal(getRegistrableDomain('www.bank.co.uk'), 'bank.co.uk');
+        assert.equal(getRegistrableDomain('WWW.Bank.CO.UK.'), 'bank.co.uk');
+        assert.equal(getRegistrableDomain('bank.co.uk:8443'), 'bank.co.uk');
+    });
+
+    it('answers in Unicode for punycode hosts', () => {
+        assert.equal(getRegistrableDomain('www.xn--bcher-kva.de'), 'bücher.de');
+    });
+
+    it('has none for suffixes, IP addresses and empty input', () => {
+        for (const host of ['co.uk', 'github.io', '192.168.1.1', '[::1]', '']) {
+            assert.equal(getRegistrableDomain(host), null, host);
+        }
+    });
+});
+
+describe('hasListedSuffix', () => {
+    it('tells real TLDs from file names and single labels', () => {
+        assert.ok(hasListedSuffix('bank.co.uk'));
+        assert.ok(!hasListedSuffix('node.notatld'));
+        assert.ok(!hasListedSuffix('localhost'));
+    });
+});
+
+describe('parseRules', () => {
+    it('reads exact, wildcard and exception rules and skips comments', () => {
+        const rules = parseRules('// comment\nuk\nCO.UK trailing text\n*.ck\n!www.ck\n\n');
+        assert.deepEqual([...rules.exact], ['uk', 'co.uk']);
+        assert.deepEqual([...rules.wildcard], ['ck']);
+        assert.deepEqual([...rules.exception], ['www.ck']);
+    });
+
+    it('applies wildcard and exception rules from the list', () => {
+        assert.equal(getPublicSuffix('shop.example.ck'), 'example.ck');
+        assert.equal(getRegistrableDomain('www.ck'), 'www.ck');
+    });
+});
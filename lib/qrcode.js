@@ -0,0 +1,514 @@
+/**
+ * QR code encoder and renderers
+ *
+ * A self-contained QR Model 2 encoder (ISO/IEC 18004) for byte-mode text,
+ * versions 1-40, so TOTP secrets never have to leave the machine to become
+ * scannable. Codes can be rendered for the terminal with Unicode half
+ * blocks, or as SVG markup.
+ */
+
+// Error correction levels: index into the tables below, and the format bits they encode as
+const ERROR_CORRECTION = {
+    L: { index: 0, formatBits: 1 },
+    M: { index: 1, formatBits: 0 },
+    Q: { index: 2, formatBits: 3 },
+    H: { index: 3, formatBits: 2 }
+};
+
+// Error correction codewords per block, by level then version (index 0 unused)
+const ECC_CODEWORDS_PER_BLOCK = [
+    [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+    [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+];
+
+// Error correction blocks, by level then version (index 0 unused)
+const NUM_ERROR_CORRECTION_BLOCKS = [
+    [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+    [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+    [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+    [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+];
+
+const MASKS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    x => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+    (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+    (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0
+];
+
+/**
+ * Number of modules available for data and error correction in a version
+ * @param {number} version - QR version (1-40)
+ * @returns {number} - The module count
+ */
+function rawDataModules(version) {
+    let result = (16 * version + 128) * version + 64;
+    if (version >= 2) {
+        const alignments = Math.floor(version / 7) + 2;
+        result -= (25 * alignments - 10) * alignments - 55;
+        if (version >= 7) {
+            result -= 36;
+        }
+    }
+    return result;
+}
+
+/**
+ * Number of data codewords a version and level can hold
+ * @param {number} version - QR version
+ * @param {number} level - Error correction level index
+ * @returns {number} - The codeword count
+ */
+function dataCodewords(version, level) {
+    return Math.floor(rawDataModules(version) / 8) -
+        ECC_CODEWORDS_PER_BLOCK[level][version] * NUM_ERROR_CORRECTION_BLOCKS[level][version];
+}
+
+/**
+ * Multiplies two elements of GF(2^8) modulo x^8 + x^4 + x^3 + x^2 + 1
+ * @param {number} x - First factor
+ * @param {number} y - Second factor
+ * @returns {number} - The product
+ */
+function gfMultiply(x, y) {
+    let product = 0;
+    for (let i = 7; i >= 0; i--) {
+        product = (product << 1) ^ ((product >>> 7) * 0x11d);
+        product ^= ((y >>> i) & 1) * x;
+    }
+    return product;
+}
+
+/**
+ * Builds the Reed-Solomon generator polynomial of a degree, highest coefficient first and implicit
+ * @param {number} degree - Number of error correction codewords
+ * @returns {number[]} - The coefficients
+ */
+function reedSolomonDivisor(degree) {
+    const result = new Array(degree).fill(0);
+    result[degree - 1] = 1;
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+        for (let j = 0; j < result.length; j++) {
+            result[j] = gfMultiply(result[j], root);
+            if (j + 1 < result.length) {
+                result[j] ^= result[j + 1];
+            }
+        }
+        root = gfMultiply(root, 0x02);
+    }
+    return result;
+}
+
+/**
+ * Computes the Reed-Solomon error correction codewords of a block
+ * @param {number[]} data - Data codewords
+ * @param {number[]} divisor - Generator polynomial from reedSolomonDivisor
+ * @returns {number[]} - The error correction codewords
+ */
+function reedSolomonRemainder(data, divisor) {
+    const result = divisor.map(() => 0);
+    for (const byte of data) {
+        const factor = byte ^ result.shift();
+        result.push(0);
+        divisor.forEach((coefficient, i) => {
+            result[i] ^= gfMultiply(coefficient, factor);
+        });
+    }
+    return result;
+}
+
+/**
+ * Encodes text as the padded byte-mode data codewords of a version
+ * @param {Buffer} bytes - The UTF-8 text
+ * @param {number} version - QR version
+ * @param {number} level - Error correction level index
+ * @returns {number[]} - The data codewords
+ */
+function encodeData(bytes, version, level) {
+    const bits = [];
+    const append = (value, length) => {
+        for (let i = length - 1; i >= 0; i--) {
+            bits.push((value >>> i) & 1);
+        }
+    };
+
+    append(0b0100, 4);
+    append(bytes.length, version <= 9 ? 8 : 16);
+    for (const byte of bytes) {
+        append(byte, 8);
+    }
+
+    const capacity = dataCodewords(version, level) * 8;
+    append(0, Math.min(4, capacity - bits.length));
+    append(0, (8 - (bits.length % 8)) % 8);
+
+    const codewords = [];
+    for (let i = 0; i < bits.length; i += 8) {
+        codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+    }
+    for (let pad = 0xec; codewords.length < capacity / 8; pad ^= 0xec ^ 0x11) {
+        codewords.push(pad);
+    }
+    return codewords;
+}
+
+/**
+ * Splits data into blocks, appends error correction and interleaves the result
+ * @param {number[]} data - Data codewords
+ * @param {number} version - QR version
+ * @param {number} level - Error correction level index
+ * @returns {number[]} - The final codeword sequence
+ */
+function addErrorCorrection(data, version, level) {
+    const numBlocks = NUM_ERROR_CORRECTION_BLOCKS[level][version];
+    const eccLength = ECC_CODEWORDS_PER_BLOCK[level][version];
+    const rawCodewords = Math.floor(rawDataModules(version) / 8);
+    const numShortBlocks = numBlocks - (rawCodewords % numBlocks);
+    const shortBlockLength = Math.floor(rawCodewords / numBlocks);
+    const divisor = reedSolomonDivisor(eccLength);
+
+    const blocks = [];
+    for (let i = 0, offset = 0; i < numBlocks; i++) {
+        const block = data.slice(offset, offset + shortBlockLength - eccLength + (i < numShortBlocks ? 0 : 1));
+        offset += block.length;
+        const ecc = reedSolomonRemainder(block, divisor);
+        if (i < numShortBlocks) {
+            block.push(0);
+        }
+        blocks.push(block.concat(ecc));
+    }
+
+    const result = [];
+    for (let i = 0; i < blocks[0].length; i++) {
+        blocks.forEach((block, j) => {
+            // Short blocks carry a placeholder where the long blocks have one more data codeword
+            if (i !== shortBlockLength - eccLength || j >= numShortBlocks) {
+                result.push(block[i]);
+            }
+        });
+    }
+    return result;
+}
+
+/**
+ * Positions of the alignment pattern centres of a version
+ * @param {number} version - QR version
+ * @returns {number[]} - Row/column coordinates
+ */
+function alignmentPositions(version) {
+    if (version === 1) {
+        return [];
+    }
+    const count = Math.floor(version / 7) + 2;
+    const step = Math.floor((version * 8 + count * 3 + 5) / (count * 4 - 4)) * 2;
+    const result = [6];
+    for (let position = version * 4 + 10; result.length < count; position -= step) {
+        result.splice(1, 0, position);
+    }
+    return result;
+}
+
+/**
+ * Builds the module grid of a QR code from its final codewords
+ * @param {number[]} codewords - Interleaved data and error correction codewords
+ * @param {number} version - QR version
+ * @param {string} levelName - Error correction level (L, M, Q or H)
+ * @returns {boolean[][]} - Rows of modules, true for dark
+ */
+function buildMatrix(codewords, version, levelName) {
+    const size = version * 4 + 17;
+    const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+    const reserved = Array.from({ length: size }, () => new Array(size).fill(false));
+    const setFunction = (x, y, dark) => {
+        modules[y][x] = dark;
+        reserved[y][x] = true;
+    };
+
+    // Timing patterns
+    for (let i = 0; i < size; i++) {
+        setFunction(6, i, i % 2 === 0);
+        setFunction(i, 6, i % 2 === 0);
+    }
+
+    // Finder patterns with their separators
+    for (const [cx, cy] of [[3, 3], [size - 4, 3], [3, size - 4]]) {
+        for (let dy = -4; dy <= 4; dy++) {
+            for (let dx = -4; dx <= 4; dx++) {
+                const x = cx + dx;
+                const y = cy + dy;
+                if (x >= 0 && x < size && y >= 0 && y < size) {
+                    const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                    setFunction(x, y, distance !== 2 && distance !== 4);
+                }
+            }
+        }
+    }
+
+    // Alignment patterns, except where they would overlap the finders
+    const positions = alignmentPositions(version);
+    positions.forEach((cy, i) => {
+        positions.forEach((cx, j) => {
+            const last = positions.length - 1;
+            if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) {
+                return;
+            }
+            for (let dy = -2; dy <= 2; dy++) {
+                for (let dx = -2; dx <= 2; dx++) {
+                    setFunction(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                }
+            }
+        });
+    });
+
+    const drawFormatBits = mask => {
+        const data = (ERROR_CORRECTION[levelName].formatBits << 3) | mask;
+        let remainder = data;
+        for (let i = 0; i < 10; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+        }
+        const bits = ((data << 10) | remainder) ^ 0x5412;
+        const bit = i => ((bits >>> i) & 1) === 1;
+
+        for (let i = 0; i <= 5; i++) {
+            setFunction(8, i, bit(i));
+        }
+        setFunction(8, 7, bit(6));
+        setFunction(8, 8, bit(7));
+        setFunction(7, 8, bit(8));
+        for (let i = 9; i < 15; i++) {
+            setFunction(14 - i, 8, bit(i));
+        }
+        for (let i = 0; i < 8; i++) {
+            setFunction(size - 1 - i, 8, bit(i));
+        }
+        for (let i = 8; i < 15; i++) {
+            setFunction(8, size - 15 + i, bit(i));
+        }
+        setFunction(8, size - 8, true);
+    };
+    drawFormatBits(0);
+
+    // Version information
+    if (version >= 7) {
+        let remainder = version;
+        for (let i = 0; i < 12; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+        }
+        const bits = (version << 12) | remainder;
+        for (let i = 0; i < 18; i++) {
+            const dark = ((bits >>> i) & 1) === 1;
+            const a = size - 11 + (i % 3);
+            const b = Math.floor(i / 3);
+            setFunction(a, b, dark);
+            setFunction(b, a, dark);
+        }
+    }
+
+    // Codewords, in the zigzag column pairs from the bottom right
+    let bitIndex = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+        if (right === 6) {
+            right = 5;
+        }
+        for (let vertical = 0; vertical < size; vertical++) {
+            for (let j = 0; j < 2; j++) {
+                const x = right - j;
+                const upward = ((right + 1) & 2) === 0;
+                const y = upward ? size - 1 - vertical : vertical;
+                if (!reserved[y][x] && bitIndex < codewords.length * 8) {
+                    modules[y][x] = ((codewords[bitIndex >>> 3] >>> (7 - (bitIndex & 7))) & 1) === 1;
+                    bitIndex++;
+                }
+            }
+        }
+    }
+
+    // Try every mask and keep the one with the lowest penalty
+    const applyMask = mask => {
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                if (!reserved[y][x] && MASKS[mask](x, y)) {
+                    modules[y][x] = !modules[y][x];
+                }
+            }
+        }
+    };
+
+    let bestMask = 0;
+    let bestPenalty = Infinity;
+    for (let mask = 0; mask < MASKS.length; mask++) {
+        applyMask(mask);
+        drawFormatBits(mask);
+        const score = penalty(modules);
+        if (score < bestPenalty) {
+            bestMask = mask;
+            bestPenalty = score;
+        }
+        applyMask(mask);
+    }
+    applyMask(bestMask);
+    drawFormatBits(bestMask);
+
+    return modules;
+}
+
+/**
+ * Scores a module grid by the four penalty rules used to pick a mask
+ * @param {boolean[][]} modules - The module grid
+ * @returns {number} - The penalty
+ */
+function penalty(modules) {
+    const size = modules.length;
+    let score = 0;
+    const finderLike = [
+        [true, false, true, true, true, false, true, false, false, false, false],
+        [false, false, false, false, true, false, true, true, true, false, true]
+    ];
+
+    const scoreLine = line => {
+        let runLength = 1;
+        for (let i = 1; i <= line.length; i++) {
+            if (i < line.length && line[i] === line[i - 1]) {
+                runLength++;
+            } else {
+                if (runLength >= 5) {
+                    score += 3 + (runLength - 5);
+                }
+                runLength = 1;
+            }
+        }
+        for (let i = 0; i + 11 <= line.length; i++) {
+            if (finderLike.some(pattern => pattern.every((dark, k) => line[i + k] === dark))) {
+                score += 40;
+            }
+        }
+    };
+
+    for (let i = 0; i < size; i++) {
+        scoreLine(modules[i]);
+        scoreLine(modules.map(row => row[i]));
+    }
+
+    let dark = 0;
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            if (modules[y][x]) {
+                dark++;
+            }
+            if (x < size - 1 && y < size - 1) {
+                const color = modules[y][x];
+                if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) {
+                    score += 3;
+                }
+            }
+        }
+    }
+
+    const total = size * size;
+    score += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+
+    return score;
+}
+
+/**
+ * Encodes text as a QR code in the smallest version that fits
+ * @param {string} text - The text to encode
+ * @param {Object} [options] - Encoding options
+ * @param {string} [options.errorCorrection] - Level L, M (default), Q or H
+ * @returns {{version: number, size: number, modules: boolean[][]}} - The code; modules are rows, true for dark
+ * @throws {Error} - If the text is too long for a version 40 code
+ */
+function encodeQR(text, { errorCorrection = 'M' } = {}) {
+    const level = ERROR_CORRECTION[errorCorrection];
+    if (!level) {
+        throw new Error(`Unknown error correction level "${errorCorrection}" (expected L, M, Q or H)`);
+    }
+
+    const bytes = Buffer.from(String(text), 'utf8');
+    for (let version = 1; version <= 40; version++) {
+        const headerBits = 4 + (version <= 9 ? 8 : 16);
+        if (headerBits + bytes.length * 8 <= dataCodewords(version, level.index) * 8) {
+            const data = encodeData(bytes, version, level.index);
+            const codewords = addErrorCorrection(data, version, level.index);
+            const modules = buildMatrix(codewords, version, errorCorrection);
+            return { version, size: modules.length, modules };
+        }
+    }
+
+    throw new Error(`Text of ${bytes.length} bytes is too long for a QR code`);
+}
+
+/**
+ * Checks whether a module is dark, treating the quiet zone around the code as light
+ * @param {{size: number, modules: boolean[][]}} qr - The code
+ * @param {number} x - Column
+ * @param {number} y - Row
+ * @returns {boolean} - True for dark
+ */
+function isDark(qr, x, y) {
+    return x >= 0 && y >= 0 && x < qr.size && y < qr.size && qr.modules[y][x];
+}
+
+/**
+ * Renders a QR code for the terminal, two module rows per text line
+ *
+ * By default dark modules are left blank and light ones drawn, which scans
+ * correctly on the usual light-on-dark terminal; pass invert for terminals
+ * with a light background.
+ *
+ * @param {{size: number, modules: boolean[][]}} qr - The code
+ * @param {Object} [options] - Rendering options
+ * @param {number} [options.quietZone] - Light border in modules (default: 2)
+ * @param {boolean} [options.invert] - Draw dark modules instead of light ones
+ * @returns {string} - The rendered lines
+ */
+function renderTerminal(qr, { quietZone = 2, invert = false } = {}) {
+    const drawn = (x, y) => isDark(qr, x, y) === invert;
+    const lines = [];
+    for (let y = -quietZone; y < qr.size + quietZone; y += 2) {
+        let line = '';
+        for (let x = -quietZone; x < qr.size + quietZone; x++) {
+            const top = drawn(x, y);
+            const bottom = y + 1 < qr.size + quietZone && drawn(x, y + 1);
+            line += top && bottom ? '█' : top ? '▀' : bottom ? '▄' : ' ';
+        }
+        lines.push(line);
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Renders a QR code as a standalone SVG document
+ * @param {{size: number, modules: boolean[][]}} qr - The code
+ * @param {Object} [options] - Rendering options
+ * @param {number} [options.quietZone] - Light border in modules (default: 4)
+ * @param {number} [options.scale] - Pixels per module for the width and height attributes (default: 8)
+ * @returns {string} - The SVG markup
+ */
+function renderSVG(qr, { quietZone = 4, scale = 8 } = {}) {
+    const extent = qr.size + quietZone * 2;
+    const path = [];
+    for (let y = 0; y < qr.size; y++) {
+        for (let x = 0; x < qr.size; x++) {
+            if (qr.modules[y][x]) {
+                path.push(`M${x + quietZone},${y + quietZone}h1v1h-1z`);
+            }
+        }
+    }
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${extent} ${extent}" width="${extent * scale}" height="${extent * scale}" shape-rendering="crispEdges">` +
+        `<rect width="100%" height="100%" fill="#fff"/><path d="${path.join('')}" fill="#000"/></svg>`;
+}
+
+module.exports = {
+    encodeQR,
+    renderTerminal,
+    renderSVG
+};
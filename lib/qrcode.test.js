@@ -0,0 +1,211 @@
+/**
+ * QR codes against a known matrix, and read back with a reader written from the standard
+ *
+ * Run with: node --test lib/
+ */
+
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+const { encodeQR, renderTerminal, renderSVG } = require('./qrcode');
+
+// "otpauth://totp" as a version 1 code at level M, mask 2 ("#" dark)
+const KNOWN_TEXT = 'otpauth://totp';
+const KNOWN_MATRIX = [
+    '#######..#.##.#######',
+    '#.....#..##.#.#.....#',
+    '#.###.#.#.#...#.###.#',
+    '#.###.#.#####.#.###.#',
+    '#.###.#.##..#.#.###.#',
+    '#.....#.#.#.#.#.....#',
+    '#######.#.#.#.#######',
+    '........##..#........',
+    '#.#####.....#.#####..',
+    '#.###....#.#..#.#####',
+    '..#.####...##.##..##.',
+    '.####...#...#..#.####',
+    '###..###.####.####.##',
+    '........##.#.####.#.#',
+    '#######..######...##.',
+    '#.....#.#..#...#.##.#',
+    '#.###.#.##.#..#....##',
+    '#.###.#.#....##.#.#..',
+    '#.###.#.#..####..##..',
+    '#.....#..##.##...##..',
+    '#######.#..####..#.#.'
+];
+
+// The mask patterns of ISO/IEC 18004 table 10, by row i and column j
+const MASKS = [
+    (i, j) => (i + j) % 2 === 0,
+    i => i % 2 === 0,
+    (i, j) => j % 3 === 0,
+    (i, j) => (i + j) % 3 === 0,
+    (i, j) => (Math.floor(i / 2) + Math.floor(j / 3)) % 2 === 0,
+    (i, j) => ((i * j) % 2) + ((i * j) % 3) === 0,
+    (i, j) => (((i * j) % 2) + ((i * j) % 3)) % 2 === 0,
+    (i, j) => (((i * j) % 3) + ((i + j) % 2)) % 2 === 0
+];
+
+// Level for the 2 format bits, and alignment pattern centres for versions 1 to 3
+const LEVELS = ['M', 'L', 'H', 'Q'];
+const ALIGNMENT = { 1: [], 2: [6, 18], 3: [6, 22] };
+
+/**
+ * Reads a single-block code (version 1 to 3) back into its level, mask and text
+ * @param {{version: number, size: number, modules: boolean[][]}} qr - The code
+ * @returns {{level: string, mask: number, text: string}} - What the code holds
+ */
+function readQR(qr) {
+    const { size, modules } = qr;
+    const dark = (x, y) => (modules[y][x] ? 1 : 0);
+
+    // Format information: both copies must agree and be a valid BCH(15,5) codeword
+    let format = 0;
+    let copy = 0;
+    const firstCopy = [[8, 0], [8, 1], [8, 2], [8, 3], [8, 4], [8, 5], [8, 7], [8, 8], [7, 8], [5, 8], [4, 8], [3, 8], [2, 8], [1, 8], [0, 8]];
+    firstCopy.forEach(([x, y], bit) => {
+        format |= dark(x, y) << bit;
+    });
+    for (let bit = 0; bit < 15; bit++) {
+        copy |= (bit < 8 ? dark(size - 1 - bit, 8) : dark(8, size - 15 + bit)) << bit;
+    }
+    assert.equal(copy, format, 'the two format information copies differ');
+    format ^= 0x5412;
+    let remainder = format;
+    for (let bit = 14; bit >= 10; bit--) {
+        if (remainder & (1 << bit)) {
+            remainder ^= 0x537 << (bit - 10);
+        }
+    }
+    assert.equal(remainder, 0, 'format information fails its BCH check');
+    const level = LEVELS[format >>> 13];
+    const mask = (format >>> 10) & 7;
+
+    // Function patterns, which hold no data
+    const isFunction = (x, y) => {
+        if (x === 6 || y === 6 || (x <= 8 && y <= 8) || (x >= size - 8 && y <= 8) || (x <= 8 && y >= size - 8)) {
+            return true;
+        }
+        const centres = ALIGNMENT[qr.version];
+        return centres.some((cy, i) => centres.some((cx, j) => {
+            const corner = (i === 0 && j === 0) || (i === 0 && j === centres.length - 1) || (i === centres.length - 1 && j === 0);
+            return !corner && Math.abs(x - cx) <= 2 && Math.abs(y - cy) <= 2;
+        }));
+    };
+
+    // Codewords, unmasked, in the zigzag from the bottom right corner
+    // (column pairs alternate between upward and downward, skipping the vertical timing pattern)
+    const bits = [];
+    let upward = true;
+    for (let right = size - 1; right >= 1; right -= 2, upward = !upward) {
+        if (right === 6) {
+            right = 5;
+        }
+        for (let vertical = 0; vertical < size; vertical++) {
+            const y = upward ? size - 1 - vertical : vertical;
+            for (const x of [right, right - 1]) {
+                if (!isFunction(x, y)) {
+                    bits.push(dark(x, y) ^ (MASKS[mask](y, x) ? 1 : 0));
+                }
+            }
+        }
+    }
+    const codewords = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) {
+        codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+    }
+
+    // Reed-Solomon: the whole block must vanish at the generator roots 1, α, α², ...
+    const exp = [];
+    let value = 1;
+    for (let i = 0; i < 255; i++) {
+        exp.push(value);
+        value = (value << 1) ^ (value & 0x80 ? 0x11d : 0);
+    }
+    const log = [];
+    exp.forEach((power, i) => {
+        log[power] = i;
+    });
+    const multiply = (a, b) => (a === 0 || b === 0 ? 0 : exp[(log[a] + log[b]) % 255]);
+    const eccCount = { 1: { L: 7, M: 10, Q: 13, H: 17 }, 2: { L: 10, M: 16, Q: 22, H: 28 }, 3: { L: 15, M: 26 } }[qr.version][level];
+    for (let root = 0; root < eccCount; root++) {
+        const syndrome = codewords.reduce((sum, codeword) => multiply(sum, exp[root]) ^ codeword, 0);
+        assert.equal(syndrome, 0, `Reed-Solomon syndrome ${root} is not zero`);
+    }
+
+    // Byte mode segment: mode 0100, 8 bit count, the bytes
+    const dataBits = codewords.slice(0, codewords.length - eccCount).flatMap(byte => [7, 6, 5, 4, 3, 2, 1, 0].map(shift => (byte >>> shift) & 1));
+    const readBits = (start, count) => dataBits.slice(start, start + count).reduce((number, bit) => (number << 1) | bit, 0);
+    assert.equal(readBits(0, 4), 0b0100, 'not a byte mode segment');
+    const length = readBits(4, 8);
+    const bytes = Array.from({ length }, (_, i) => readBits(12 + i * 8, 8));
+    return { level, mask, text: Buffer.from(bytes).toString('utf8') };
+}
+
+/**
+ * Draws a code as rows of "#" and "."
+ * @param {{modules: boolean[][]}} qr - The code
+ * @returns {string[]} - The rows
+ */
+function rows(qr) {
+    return qr.modules.map(row => row.map(module => (module ? '#' : '.')).join(''));
+}
+
+describe('encodeQR', () => {
+    it('draws the known matrix', () => {
+        const qr = encodeQR(KNOWN_TEXT);
+        assert.equal(qr.version, 1);
+        assert.equal(qr.size, 21);
+        assert.deepEqual(rows(qr), KNOWN_MATRIX);
+    });
+
+    it('draws codes a reader written from the standard can read back', () => {
+        assert.deepEqual(readQR(encodeQR(KNOWN_TEXT)), { level: 'M', mask: 2, text: KNOWN_TEXT });
+
+        for (const [text, errorCorrection, version] of [
+            ['JBSWY3DPEHPK3PXP', 'L', 1],
+            ['otpauth://totp/Example:alice?secret=JBSWY3DPEHPK3PXP', 'L', 3],
+            ['otpauth://totp/bücher.de?secret=JBSWY3DP', 'M', 3],
+            ['steam://JBSWY3DPEHPK', 'Q', 2],
+            ['ya29', 'H', 1]
+        ]) {
+            const qr = encodeQR(text, { errorCorrection });
+            assert.equal(qr.version, version, text);
+            const read = readQR(qr);
+            assert.equal(read.level, errorCorrection, text);
+            assert.equal(read.text, text);
+        }
+    });
+
+    it('picks the smallest version that fits', () => {
+        assert.equal(encodeQR('x'.repeat(14)).version, 1);
+        assert.equal(encodeQR('x'.repeat(15)).version, 2);
+        assert.equal(encodeQR('x'.repeat(2331)).version, 40);
+        assert.equal(encodeQR('x'.repeat(2331)).size, 177);
+    });
+
+    it('rejects unknown levels and text too long for version 40', () => {
+        assert.throws(() => encodeQR('x', { errorCorrection: 'X' }), /Unknown error correction level "X"/);
+        assert.throws(() => encodeQR('x'.repeat(2332)), /Text of 2332 bytes is too long/);
+    });
+});
+
+describe('renderers', () => {
+    it('draw two rows per line in the terminal, inverted by default', () => {
+        const lines = renderTerminal(encodeQR(KNOWN_TEXT), { quietZone: 0 }).split('\n');
+        assert.equal(lines.length, 11);
+        assert.equal(lines[0], KNOWN_MATRIX[0].split('').map((top, x) => {
+            const bottom = KNOWN_MATRIX[1][x];
+            return top === '.' && bottom === '.' ? '█' : top === '.' ? '▀' : bottom === '.' ? '▄' : ' ';
+        }).join(''));
+        assert.equal(renderTerminal(encodeQR(KNOWN_TEXT), { invert: true }).split('\n')[0], ' '.repeat(25));
+    });
+
+    it('draw one square per dark module in SVG', () => {
+        const svg = renderSVG(encodeQR(KNOWN_TEXT), { scale: 4 });
+        assert.match(svg, /viewBox="0 0 29 29" width="116" height="116"/);
+        const darkCount = KNOWN_MATRIX.join('').split('').filter(module => module === '#').length;
+        assert.equal(svg.match(/h1v1h-1z/g).length, darkCount);
+        assert.match(svg, /d="M4,4h1v1h-1z/);
+    });
+});
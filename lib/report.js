@@ -0,0 +1,84 @@
+/**
+ * Report formatting
+ *
+ * Renders a list of flat row objects as an aligned text table, CSV or JSON,
+ * for the preview and audit reports the command-line scripts produce.
+ */
+
+const REPORT_FORMATS = ['table', 'csv', 'json'];
+
+/**
+ * Converts a cell value to display text
+ * @param {any} value - The cell value
+ * @returns {string} - The text to show
+ */
+function cellText(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    return String(value);
+}
+
+/**
+ * Renders rows as a column-aligned text table
+ * @param {Object[]} rows - The rows to render
+ * @param {{key: string, label: string}[]} columns - Columns in display order
+ * @returns {string} - The table text
+ */
+function formatTable(rows, columns) {
+    const cells = rows.map(row => columns.map(({ key }) => cellText(row[key]).replace(/\s+/g, ' ')));
+    const widths = columns.map(({ label }, index) =>
+        Math.max(label.length, ...cells.map(row => row[index].length)));
+
+    const line = values => values.map((value, index) => value.padEnd(widths[index])).join('  ').trimEnd();
+
+    return [
+        line(columns.map(({ label }) => label)),
+        line(widths.map(width => '-'.repeat(width))),
+        ...cells.map(line)
+    ].join('\n');
+}
+
+/**
+ * Renders rows as RFC 4180 CSV
+ * @param {Object[]} rows - The rows to render
+ * @param {{key: string, label: string}[]} columns - Columns in display order
+ * @returns {string} - The CSV text
+ */
+function formatCSV(rows, columns) {
+    const escape = value => {
+        const text = cellText(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    return [
+        columns.map(({ key }) => escape(key)).join(','),
+        ...rows.map(row => columns.map(({ key }) => escape(row[key])).join(','))
+    ].join('\r\n');
+}
+
+/**
+ * Renders rows in the requested report format
+ * @param {Object[]} rows - The rows to render
+ * @param {{key: string, label: string}[]} columns - Columns in display order
+ * @param {string} format - One of REPORT_FORMATS
+ * @returns {string} - The report text
+ */
+function formatReport(rows, columns, format) {
+    switch (format) {
+        case 'table':
+            return formatTable(rows, columns);
+        case 'csv':
+            return formatCSV(rows, columns);
+        case 'json':
+            return JSON.stringify(rows.map(row =>
+                Object.fromEntries(columns.map(({ key }) => [key, row[key] ?? null]))), null, 2);
+        default:
+            throw new Error(`Unknown report format "${format}" (expected ${REPORT_FORMATS.join(', ')})`);
+    }
+}
+
+module.exports = {
+    REPORT_FORMATS,
+    formatReport
+};
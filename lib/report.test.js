@@ -0,0 +1,57 @@
+/**
+ * Report formatting as a text table, CSV and JSON
+ *
+ * Run with: node --test lib/
+ */
+
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+const { REPORT_FORMATS, formatReport } = require('./report');
+
+const COLUMNS = [
+    { key: 'oldTitle', label: 'Old title' },
+    { key: 'newTitle', label: 'New' },
+    { key: 'rule', label: 'Rule' }
+];
+
+const ROWS = [
+    { oldTitle: 'github.com', newTitle: 'GitHub', rule: 'exact github.com', extra: 'left out' },
+    { oldTitle: 'Say "hi",\nthen go', newTitle: null }
+];
+
+describe('formatReport', () => {
+    it('aligns table columns, with whitespace in cells collapsed', () => {
+        assert.equal(formatReport(ROWS, COLUMNS, 'table'), [
+            'Old title          New     Rule',
+            '-----------------  ------  ----------------',
+            'github.com         GitHub  exact github.com',
+            'Say "hi", then go'
+        ].join('\n'));
+    });
+
+    it('writes CSV with keys as the header, quoting as RFC 4180 asks', () => {
+        assert.equal(formatReport(ROWS, COLUMNS, 'csv'), [
+            'oldTitle,newTitle,rule',
+            'github.com,GitHub,exact github.com',
+            '"Say ""hi"",\nthen go",,'
+        ].join('\r\n'));
+    });
+
+    it('writes JSON with every column, null when missing', () => {
+        assert.deepEqual(JSON.parse(formatReport(ROWS, COLUMNS, 'json')), [
+            { oldTitle: 'github.com', newTitle: 'GitHub', rule: 'exact github.com' },
+            { oldTitle: 'Say "hi",\nthen go', newTitle: null, rule: null }
+        ]);
+    });
+
+    it('renders no rows as just the header', () => {
+        assert.equal(formatReport([], COLUMNS, 'csv'), 'oldTitle,newTitle,rule');
+        assert.equal(formatReport([], COLUMNS, 'json'), '[]');
+        assert.equal(formatReport([], COLUMNS, 'table').split('\n').length, 2);
+    });
+
+    it('rejects unknown formats', () => {
+        assert.deepEqual(REPORT_FORMATS, ['table', 'csv', 'json']);
+        assert.throws(() => formatReport(ROWS, COLUMNS, 'xml'), /Unknown report format "xml" \(expected table, csv, json\)/);
+    });
+});
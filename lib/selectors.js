@@ -0,0 +1,223 @@
+/**
+ * JSONPath-style selectors for matching paths in JSON documents
+ *
+ * Supported syntax, a subset of JSONPath:
+ *
+ *   $                  the root (optional at the start)
+ *   .name  ['name']    a property
+ *   [0]                an array index
+ *   .*  [*]            any property or index
+ *   ..name  ..*  ..[0] any depth, then the step that follows
+ *   [?(@.a.b)]         any child whose a.b exists
+ *   [?(@.a == 'x')]    any child whose a equals a string, number, boolean or null (also !=)
+ *
+ * A selector matches a concrete path (property names and indices from the
+ * root) in full, e.g. "$..loginFields[?(@.designation == 'password')].value".
+ */
+
+const NAME_PATTERN = /^[A-Za-z_$][\w$-]*/;
+const FILTER_PATTERN = /^\?\(\s*@((?:\.[A-Za-z_$][\w$-]*)+)\s*(?:(==|!=)\s*(.+?))?\s*\)$/;
+
+/**
+ * Parses a filter literal
+ * @param {string} text - A quoted string or a JSON number, boolean or null
+ * @returns {any} - The value
+ */
+function parseLiteral(text) {
+    if (/^'.*'$/.test(text)) {
+        return text.slice(1, -1).replace(/\\'/g, '\'');
+    }
+    try {
+        const value = JSON.parse(text);
+        if (value === null || ['string', 'number', 'boolean'].includes(typeof value)) {
+            return value;
+        }
+    } catch {
+        // Reported below
+    }
+    throw new Error(`Invalid filter value ${text}`);
+}
+
+/**
+ * Compiles a selector
+ * @param {string} text - The selector
+ * @returns {{text: string, steps: Object[]}} - The compiled selector
+ * @throws {Error} - If the selector is malformed
+ */
+function compileSelector(text) {
+    if (typeof text !== 'string' || !text.trim()) {
+        throw new Error('Selector must be a non-empty string');
+    }
+
+    const steps = [];
+    let rest = text.trim().replace(/^\$/, '');
+    const fail = reason => {
+        throw new Error(`Invalid selector "${text}" at "${rest}": ${reason}`);
+    };
+
+    while (rest) {
+        if (rest.startsWith('..')) {
+            steps.push({ type: 'descendant' });
+            rest = rest.slice(2);
+            if (!rest || rest.startsWith('.')) {
+                fail('expected a step after ..');
+            }
+            if (rest.startsWith('[')) {
+                continue;
+            }
+        } else if (rest.startsWith('.')) {
+            rest = rest.slice(1);
+        } else if (!rest.startsWith('[') && steps.length > 0) {
+            fail('expected ".", ".." or "["');
+        }
+
+        if (rest.startsWith('*')) {
+            steps.push({ type: 'wildcard' });
+            rest = rest.slice(1);
+            continue;
+        }
+
+        if (!rest.startsWith('[')) {
+            const name = NAME_PATTERN.exec(rest);
+            if (!name) {
+                fail('expected a property name');
+            }
+            steps.push({ type: 'name', name: name[0] });
+            rest = rest.slice(name[0].length);
+            continue;
+        }
+
+        // Bracket steps: quoted names, indices, wildcards and filters
+        const quoted = /^\[\s*(['"])((?:\\.|(?!\1).)*)\1\s*\]/.exec(rest);
+        if (quoted) {
+            steps.push({ type: 'name', name: quoted[2].replace(/\\(.)/g, '$1') });
+            rest = rest.slice(quoted[0].length);
+            continue;
+        }
+
+        const end = rest.indexOf(']');
+        if (end === -1) {
+            fail('missing "]"');
+        }
+        const inner = rest.slice(1, end).trim();
+
+        if (inner === '*') {
+            steps.push({ type: 'wildcard' });
+        } else if (/^\d+$/.test(inner)) {
+            steps.push({ type: 'index', index: Number(inner) });
+        } else {
+            const filter = FILTER_PATTERN.exec(inner);
+            if (!filter) {
+                fail(`unsupported step [${inner}]`);
+            }
+            steps.push({
+                type: 'filter',
+                property: filter[1].slice(1).split('.'),
+                operator: filter[2] || null,
+                value: filter[2] ? parseLiteral(filter[3]) : undefined
+            });
+        }
+        rest = rest.slice(end + 1);
+    }
+
+    if (steps.length === 0) {
+        throw new Error(`Selector "${text}" selects nothing but the root`);
+    }
+
+    return { text, steps };
+}
+
+/**
+ * Tests a filter step against a node
+ * @param {Object} step - The filter step
+ * @param {any} node - The candidate child
+ * @returns {boolean} - True if it passes
+ */
+function passesFilter(step, node) {
+    let value = node;
+    for (const name of step.property) {
+        if (value === null || typeof value !== 'object' || !Object.hasOwn(value, name)) {
+            return step.operator === '!=';
+        }
+        value = value[name];
+    }
+
+    if (step.operator === '==') {
+        return value === step.value;
+    }
+    if (step.operator === '!=') {
+        return value !== step.value;
+    }
+    return true;
+}
+
+/**
+ * Checks whether a selector matches a path
+ * @param {{steps: Object[]}} selector - From compileSelector
+ * @param {Array<string|number>} path - Property names and indices from the root
+ * @param {any[]} nodes - The root and the value at each step of the path, for filters
+ * @returns {boolean} - True if the selector matches the whole path
+ */
+function matchSelector(selector, path, nodes) {
+    const match = (stepIndex, pathIndex) => {
+        if (stepIndex === selector.steps.length) {
+            return pathIndex === path.length;
+        }
+
+        const step = selector.steps[stepIndex];
+        if (step.type === 'descendant') {
+            for (let skip = pathIndex; skip <= path.length; skip++) {
+                if (match(stepIndex + 1, skip)) {
+                    return true;
+                }
+            }
+            return false;
+        }
+
+        if (pathIndex === path.length) {
+            return false;
+        }
+
+        const segment = path[pathIndex];
+        switch (step.type) {
+            case 'name':
+                if (segment !== step.name) {
+                    return false;
+                }
+                break;
+            case 'index':
+                if (segment !== step.index) {
+                    return false;
+                }
+                break;
+            case 'filter':
+                if (!passesFilter(step, nodes[pathIndex + 1])) {
+                    return false;
+                }
+                break;
+        }
+        return match(stepIndex + 1, pathIndex + 1);
+    };
+
+    return match(0, 0);
+}
+
+/**
+ * Formats a path for messages and reports, e.g. accounts[0].vaults[1].name
+ * @param {Array<string|number>} path - Property names and indices from the root
+ * @returns {string} - The formatted path
+ */
+function formatPath(path) {
+    return path.reduce((text, segment) => {
+        if (typeof segment === 'number') {
+            return `${text}[${segment}]`;
+        }
+        return text ? `${text}.${segment}` : segment;
+    }, '');
+}
+
+module.exports = {
+    compileSelector,
+    matchSelector,
+    formatPath
+};
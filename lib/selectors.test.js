@@ -0,0 +1,120 @@
+/**
+ * JSONPath-style selectors: parsing, filters and descendant matching
+ *
+ * Run with: node --test lib/
+ */
+
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+const { compileSelector, matchSelector, formatPath } = require('./selectors');
+
+const DATA = {
+    items: [
+        {
+            title: 'GitHub',
+            loginFields: [
+                { designation: 'username', value: 'alice' },
+                { designation: 'password', value: 'hunter2' }
+            ],
+            sections: [{ fields: [{ value: { concealed: 'secret' } }] }]
+        },
+        { title: 'Card', cvv: null, 'odd key': 1 }
+    ]
+};
+
+/**
+ * Matches a selector against a path in DATA
+ * @param {string} selector - The selector
+ * @param {Array<string|number>} path - Property names and indices from the root
+ * @returns {boolean} - True if the selector matches the path
+ */
+function matches(selector, path) {
+    const nodes = [DATA];
+    for (const segment of path) {
+        nodes.push(nodes[nodes.length - 1][segment]);
+    }
+    return matchSelector(compileSelector(selector), path, nodes);
+}
+
+describe('compileSelector', () => {
+    it('parses names, quoted names, indices and wildcards', () => {
+        assert.deepEqual(compileSelector('$.items[0].title').steps, [
+            { type: 'name', name: 'items' },
+            { type: 'index', index: 0 },
+            { type: 'name', name: 'title' }
+        ]);
+        assert.deepEqual(compileSelector(`items[*]['odd key'].*`).steps, [
+            { type: 'name', name: 'items' },
+            { type: 'wildcard' },
+            { type: 'name', name: 'odd key' },
+            { type: 'wildcard' }
+        ]);
+        assert.deepEqual(compileSelector('..password').steps, [{ type: 'descendant' }, { type: 'name', name: 'password' }]);
+    });
+
+    it('parses filters with string, number, boolean and null values', () => {
+        const filter = selector => compileSelector(selector).steps[1];
+        assert.deepEqual(filter(`items[?(@.a.b == 'it\\'s')]`), { type: 'filter', property: ['a', 'b'], operator: '==', value: 'it\'s' });
+        assert.deepEqual(filter('items[?(@.n != 3)]'), { type: 'filter', property: ['n'], operator: '!=', value: 3 });
+        assert.deepEqual(filter('items[?(@.on==true)]').value, true);
+        assert.deepEqual(filter('items[?(@.x == null)]').value, null);
+        assert.deepEqual(filter('items[?(@.x)]'), { type: 'filter', property: ['x'], operator: null, value: undefined });
+    });
+
+    it('rejects malformed selectors', () => {
+        const cases = [
+            ['', /non-empty string/],
+            ['$', /selects nothing but the root/],
+            ['items..', /expected a step after \.\./],
+            ['items...title', /expected a step after \.\./],
+            ['items[0', /missing "\]"/],
+            ['items[-1]', /unsupported step \[-1\]/],
+            ['items[?(@.a == {})]', /Invalid filter value {}/],
+            ['items.0', /expected a property name/],
+            ['items title', /expected "\.", "\.\." or "\["/]
+        ];
+        for (const [selector, message] of cases) {
+            assert.throws(() => compileSelector(selector), message, selector);
+        }
+    });
+});
+
+describe('matchSelector', () => {
+    it('matches whole paths only', () => {
+        assert.ok(matches('items[0].title', ['items', 0, 'title']));
+        assert.ok(!matches('items[0]', ['items', 0, 'title']));
+        assert.ok(!matches('items[1].title', ['items', 0, 'title']));
+        assert.ok(matches('items[*].*', ['items', 1, 'cvv']));
+    });
+
+    it('filters children by a property value', () => {
+        const selector = `items[*].loginFields[?(@.designation == 'password')].value`;
+        assert.ok(matches(selector, ['items', 0, 'loginFields', 1, 'value']));
+        assert.ok(!matches(selector, ['items', 0, 'loginFields', 0, 'value']));
+        assert.ok(matches(`items[?(@.title != 'GitHub')].title`, ['items', 1, 'title']));
+        assert.ok(!matches(`items[?(@.title != 'GitHub')].title`, ['items', 0, 'title']));
+    });
+
+    it('filters children by whether a property exists', () => {
+        assert.ok(matches('items[?(@.cvv)].title', ['items', 1, 'title']));
+        assert.ok(!matches('items[?(@.cvv)].title', ['items', 0, 'title']));
+        assert.ok(matches('items[?(@.cvv != 1)].title', ['items', 0, 'title']));
+    });
+
+    it('matches descendants at any depth, including none', () => {
+        assert.ok(matches('..concealed', ['items', 0, 'sections', 0, 'fields', 0, 'value', 'concealed']));
+        assert.ok(matches('$..items[1].cvv', ['items', 1, 'cvv']));
+        assert.ok(matches('items..value', ['items', 0, 'loginFields', 1, 'value']));
+        assert.ok(matches(`..[?(@.designation == 'username')].value`, ['items', 0, 'loginFields', 0, 'value']));
+        assert.ok(!matches('..concealed', ['items', 0, 'title']));
+        assert.ok(!matches('items..title', ['items']));
+    });
+});
+
+describe('formatPath', () => {
+    it('writes names with dots and indices in brackets', () => {
+        assert.equal(formatPath(['accounts', 0, 'vaults', 1, 'name']), 'accounts[0].vaults[1].name');
+        assert.equal(formatPath([0, 'title']), '[0].title');
+        assert.equal(formatPath([]), '');
+    });
+});
@@ -0,0 +1,414 @@
+/**
+ * A YAML subset for configuration files
+ *
+ * Enough of YAML 1.2 for mapping packs, without a YAML package:
+ *
+ *   key: value              block mappings, nested by indentation
+ *   - item                  block sequences, including "- key: value" items
+ *   { a: 1, b: [x, y] }     flow mappings and sequences
+ *   'single'  "double\n"    quoted scalars, with YAML escapes in double quotes
+ *   plain                   plain scalars: null, ~, true, false and numbers
+ *                           resolve as in YAML, anything else is a string
+ *   # comment               comments, and a leading --- document marker
+ *
+ * Anchors, aliases, tags, block scalars (| and >), scalars spanning several
+ * lines and multiple documents are rejected with the line they appear on.
+ */
+
+const DOUBLE_QUOTE_ESCAPES = {
+    '0': '\0', a: '\x07', b: '\b', t: '\t', '\t': '\t', n: '\n', v: '\v', f: '\f', r: '\r', e: '\x1b',
+    ' ': ' ', '"': '"', '/': '/', '\\': '\\', N: '\x85', _: '\xa0', L: '\u2028', P: '\u2029'
+};
+const HEX_ESCAPE_LENGTHS = { x: 2, u: 4, U: 8 };
+
+/**
+ * Throws a parse error that points at a line
+ * @param {string} message - What is wrong
+ * @param {number} line - 1-based line number
+ */
+function fail(message, line) {
+    throw new Error(`line ${line}: ${message}`);
+}
+
+/**
+ * Removes a trailing comment, leaving "#" inside quoted scalars alone
+ * @param {string} text - A source line
+ * @returns {string} - The line without its comment
+ */
+function stripComment(text) {
+    let quote = null;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        const afterSpace = i === 0 || /[\s[{,]/.test(text[i - 1]);
+        if (quote === '\'') {
+            if (char === '\'') {
+                if (text[i + 1] === '\'') {
+                    i++;
+                } else {
+                    quote = null;
+                }
+            }
+        } else if (quote === '"') {
+            if (char === '\\') {
+                i++;
+            } else if (char === '"') {
+                quote = null;
+            }
+        } else if ((char === '\'' || char === '"') && afterSpace) {
+            quote = char;
+        } else if (char === '#' && (i === 0 || /\s/.test(text[i - 1]))) {
+            return text.slice(0, i);
+        }
+    }
+    return text;
+}
+
+/**
+ * Resolves a plain scalar the way the YAML core schema does
+ * @param {string} text - The scalar, trimmed
+ * @returns {null|boolean|number|string} - The value
+ */
+function resolvePlain(text) {
+    if (/^(|~|null|Null|NULL)$/.test(text)) {
+        return null;
+    }
+    if (/^(true|True|TRUE)$/.test(text)) {
+        return true;
+    }
+    if (/^(false|False|FALSE)$/.test(text)) {
+        return false;
+    }
+    if (/^[-+]?(\d+|\d+\.\d*|\.\d+)([eE][-+]?\d+)?$/.test(text)) {
+        return Number(text);
+    }
+    if (/^0x[0-9a-fA-F]+$/.test(text)) {
+        return parseInt(text.slice(2), 16);
+    }
+    if (/^0o[0-7]+$/.test(text)) {
+        return parseInt(text.slice(2), 8);
+    }
+    return text;
+}
+
+/**
+ * Reads a quoted scalar
+ * @param {string} text - The source
+ * @param {number} start - Index of the opening quote
+ * @param {number} line - Line number, for errors
+ * @returns {[string, number]} - The value and the index after the closing quote
+ */
+function readQuoted(text, start, line) {
+    const quote = text[start];
+    let value = '';
+    for (let i = start + 1; i < text.length; i++) {
+        const char = text[i];
+        if (quote === '\'') {
+            if (char !== '\'') {
+                value += char;
+            } else if (text[i + 1] === '\'') {
+                value += '\'';
+                i++;
+            } else {
+                return [value, i + 1];
+            }
+        } else if (char === '"') {
+            return [value, i + 1];
+        } else if (char !== '\\') {
+            value += char;
+        } else {
+            const escape = text[++i];
+            if (Object.hasOwn(DOUBLE_QUOTE_ESCAPES, escape)) {
+                value += DOUBLE_QUOTE_ESCAPES[escape];
+            } else if (Object.hasOwn(HEX_ESCAPE_LENGTHS, escape)) {
+                const hex = text.slice(i + 1, i + 1 + HEX_ESCAPE_LENGTHS[escape]);
+                if (!/^[0-9a-fA-F]+$/.test(hex) || hex.length !== HEX_ESCAPE_LENGTHS[escape]) {
+                    fail(`invalid escape \\${escape}${hex}`, line);
+                }
+                value += String.fromCodePoint(parseInt(hex, 16));
+                i += hex.length;
+            } else {
+                fail(`invalid escape \\${escape ?? ''}`, line);
+            }
+        }
+    }
+    return fail('unterminated quoted string (quoted strings must end on the same line)', line);
+}
+
+/**
+ * Finds the colon that ends the key of a "key: value" entry
+ * @param {string} text - A line, without indentation and comment
+ * @param {number} line - Line number, for errors
+ * @returns {number} - Index of the colon, or -1 if the line is not a mapping entry
+ */
+function findKeyColon(text, line) {
+    let end = 0;
+    if (text[0] === '"' || text[0] === '\'') {
+        [, end] = readQuoted(text, 0, line);
+        const colon = text.slice(end).match(/^\s*:(?=\s|$)/);
+        return colon ? end + colon[0].length - 1 : -1;
+    }
+    if (/^[[{]/.test(text)) {
+        return -1;
+    }
+    const colon = text.match(/:(?=\s|$)/);
+    return colon ? colon.index : -1;
+}
+
+/**
+ * Checks whether a line is a block sequence item
+ * @param {string} text - A line, without indentation
+ * @returns {boolean} - True for "-" alone or followed by a space
+ */
+function isSequenceItem(text) {
+    return text === '-' || text.startsWith('- ');
+}
+
+/**
+ * Reads a flow collection or scalar
+ * @param {string} text - The source
+ * @param {number} start - Where the value starts
+ * @param {number} line - Line number, for errors
+ * @param {boolean} [isKey] - Read a flow mapping key, which also ends at ":"
+ * @returns {[any, number]} - The value and the index after it
+ */
+function readFlow(text, start, line, isKey = false) {
+    let i = start;
+    const skipSpaces = () => {
+        while (text[i] === ' ') {
+            i++;
+        }
+    };
+    skipSpaces();
+
+    if (text[i] === '[' || text[i] === '{') {
+        const isMapping = text[i] === '{';
+        const close = isMapping ? '}' : ']';
+        const collection = isMapping ? {} : [];
+        i++;
+        for (;;) {
+            skipSpaces();
+            if (text[i] === close) {
+                return [collection, i + 1];
+            }
+            let value;
+            if (isMapping) {
+                let key;
+                [key, i] = readFlow(text, i, line, true);
+                skipSpaces();
+                if (text[i] === ':') {
+                    i++;
+                    skipSpaces();
+                    [value, i] = text[i] === ',' || text[i] === close ? [null, i] : readFlow(text, i, line);
+                } else {
+                    value = null;
+                }
+                if (Object.hasOwn(collection, key)) {
+                    fail(`duplicate key "${key}"`, line);
+                }
+                Object.defineProperty(collection, String(key), { value, enumerable: true, writable: true, configurable: true });
+            } else {
+                [value, i] = readFlow(text, i, line);
+                collection.push(value);
+            }
+            skipSpaces();
+            if (text[i] === ',') {
+                i++;
+            } else if (text[i] !== close) {
+                fail(`expected "," or "${close}"${i < text.length ? ` at "${text.slice(i)}"` : ' before the end of the line'}`, line);
+            }
+        }
+    }
+
+    if (text[i] === '"' || text[i] === '\'') {
+        return readQuoted(text, i, line);
+    }
+    checkPlainStart(text.slice(i), line);
+    const end = text.slice(i).search(isKey ? /[,[\]{}]|:(?=[\s,[\]{}]|$)/ : /[,[\]{}]/);
+    const stop = end === -1 ? text.length : i + end;
+    return [resolvePlain(text.slice(i, stop).trim()), stop];
+}
+
+/**
+ * Rejects the YAML features this subset leaves out
+ * @param {string} text - A value, from its first character
+ * @param {number} line - Line number, for errors
+ */
+function checkPlainStart(text, line) {
+    if (/^[&*]/.test(text)) {
+        fail('anchors and aliases are not supported (quote values that start with & or *)', line);
+    }
+    if (/^!/.test(text)) {
+        fail('tags are not supported (quote values that start with !)', line);
+    }
+    if (/^[|>]/.test(text)) {
+        fail('block scalars (| and >) are not supported; use a quoted string with \\n', line);
+    }
+    if (/^[@`%]/.test(text)) {
+        fail(`a plain value cannot start with "${text[0]}"; quote it`, line);
+    }
+}
+
+/**
+ * Reads the value on the rest of a line
+ * @param {string} text - The value, trimmed
+ * @param {number} line - Line number, for errors
+ * @returns {any} - The value
+ */
+function readInline(text, line) {
+    if (!/^[[{"']/.test(text)) {
+        checkPlainStart(text, line);
+        return resolvePlain(text);
+    }
+    const [value, end] = readFlow(text, 0, line);
+    if (text.slice(end).trim()) {
+        fail(`unexpected "${text.slice(end).trim()}" after the value`, line);
+    }
+    return value;
+}
+
+/**
+ * Parses the block structure of a document
+ * @param {{indent: number, text: string, line: number}[]} lines - Lines without comments or blanks
+ * @returns {any} - The document
+ */
+function parseBlocks(lines) {
+    let pos = 0;
+
+    // The mapping or sequence starting at the current line
+    const block = () => (isSequenceItem(lines[pos].text) ? sequence(lines[pos].indent) : mapping(lines[pos].indent));
+
+    // A block nested deeper than its parent entry, or null when nothing is nested
+    const nested = parentIndent => (pos < lines.length && lines[pos].indent > parentIndent ? block() : null);
+
+    const sequence = indent => {
+        const items = [];
+        while (pos < lines.length) {
+            const entry = lines[pos];
+            if (entry.indent < indent || (entry.indent === indent && !isSequenceItem(entry.text))) {
+                break;
+            }
+            if (entry.indent > indent) {
+                fail('unexpected indentation', entry.line);
+            }
+
+            const rest = entry.text.slice(1).trimStart();
+            if (!rest) {
+                pos++;
+                items.push(nested(indent));
+            } else if (isSequenceItem(rest) || findKeyColon(rest, entry.line) >= 0) {
+                // "- key: value" and "- - item" open a collection indented to where their content starts
+                const contentIndent = indent + entry.text.length - rest.length;
+                lines[pos] = { indent: contentIndent, text: rest, line: entry.line };
+                items.push(isSequenceItem(rest) ? sequence(contentIndent) : mapping(contentIndent));
+            } else {
+                pos++;
+                items.push(readInline(rest, entry.line));
+            }
+        }
+        return items;
+    };
+
+    const mapping = indent => {
+        const result = {};
+        while (pos < lines.length) {
+            const entry = lines[pos];
+            if (entry.indent < indent) {
+                break;
+            }
+            if (entry.indent > indent) {
+                fail('unexpected indentation', entry.line);
+            }
+            if (isSequenceItem(entry.text)) {
+                fail('a list item cannot follow "key: value" entries at the same indentation', entry.line);
+            }
+
+            const colon = findKeyColon(entry.text, entry.line);
+            if (colon < 0) {
+                fail(`expected "key: value" at "${entry.text}"`, entry.line);
+            }
+            const rawKey = entry.text.slice(0, colon).trim();
+            if (/^[?[{]/.test(rawKey)) {
+                fail('complex keys are not supported', entry.line);
+            }
+            const key = /^["']/.test(rawKey) ? readQuoted(rawKey, 0, entry.line)[0] : rawKey;
+            if (Object.hasOwn(result, key)) {
+                fail(`duplicate key "${key}"`, entry.line);
+            }
+            const rest = entry.text.slice(colon + 1).trim();
+            pos++;
+
+            let value;
+            if (rest) {
+                value = readInline(rest, entry.line);
+            } else if (pos < lines.length && lines[pos].indent === indent && isSequenceItem(lines[pos].text)) {
+                // A list may sit at the same indentation as its key
+                value = sequence(indent);
+            } else {
+                value = nested(indent);
+            }
+            Object.defineProperty(result, key, { value, enumerable: true, writable: true, configurable: true });
+        }
+        return result;
+    };
+
+    const first = lines[0];
+    let document;
+    if (isSequenceItem(first.text) || findKeyColon(first.text, first.line) >= 0) {
+        document = block();
+    } else {
+        document = readInline(first.text, first.line);
+        pos++;
+    }
+    if (pos < lines.length) {
+        fail(`unexpected "${lines[pos].text}"`, lines[pos].line);
+    }
+    return document;
+}
+
+/**
+ * Parses a YAML document written in the subset described above
+ * @param {string} text - The YAML source
+ * @returns {any} - The document, or null if it is empty
+ * @throws {Error} - "line N: ..." for syntax errors and unsupported features
+ */
+function parseYAML(text) {
+    const lines = [];
+    let ended = false;
+    String(text).replace(/^\uFEFF/, '').split(/\r?\n/).forEach((source, index) => {
+        const line = index + 1;
+        const content = stripComment(source).trimEnd();
+        if (!content.trim()) {
+            return;
+        }
+        if (ended) {
+            fail('multiple documents are not supported', line);
+        }
+        if (/^%/.test(content)) {
+            fail('directives are not supported', line);
+        }
+        if (/^(---|\.\.\.)(\s|$)/.test(content)) {
+            if (content.startsWith('...') || lines.length > 0) {
+                ended = true;
+            } else if (content.slice(3).trim()) {
+                fail('content after "---" is not supported; start it on the next line', line);
+            }
+            return;
+        }
+
+        const indentation = content.match(/^[ \t]*/)[0];
+        if (indentation.includes('\t')) {
+            fail('tabs cannot be used for indentation', line);
+        }
+        lines.push({ indent: indentation.length, text: content.slice(indentation.length), line });
+    });
+
+    if (lines.length === 0) {
+        return null;
+    }
+
+    return parseBlocks(lines);
+}
+
+module.exports = {
+    parseYAML
+};
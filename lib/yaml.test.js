@@ -0,0 +1,125 @@
+/**
+ * The YAML subset, and YAML mapping packs read with it
+ *
+ * Run with: node --test lib/
+ */
+
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { describe, it } = require('node:test');
+const { parseYAML } = require('./yaml');
+const { compileMappingPack, loadMappingPack } = require('./mapping-packs');
+
+// The example pack from mapping-packs.js, in YAML
+const PACK_YAML = `# Acme team pack
+---
+name: acme-team
+exactMatches:
+  git.acme.internal: { name: Acme GitLab, category: Development }
+  zoom.us: null
+patterns:
+  - pattern: "^(.*\\\\.)?acme\\\\.internal$"
+    flags: i
+    replacement: Acme
+    category: Internal
+  - wildcard: "*.okta.com"
+    replacement: Okta
+  - { pattern: '^sso\\.(.*)\\.com$', replacement: $1, transform: capitalize }
+skipPrefixes: [sso, "!api"]
+`;
+
+const PACK = {
+    name: 'acme-team',
+    exactMatches: {
+        'git.acme.internal': { name: 'Acme GitLab', category: 'Development' },
+        'zoom.us': null
+    },
+    patterns: [
+        { pattern: '^(.*\\.)?acme\\.internal$', flags: 'i', replacement: 'Acme', category: 'Internal' },
+        { wildcard: '*.okta.com', replacement: 'Okta' },
+        { pattern: '^sso\\.(.*)\\.com$', replacement: '$1', transform: 'capitalize' }
+    ],
+    skipPrefixes: ['sso', '!api']
+};
+
+describe('parseYAML', () => {
+    it('reads the mapping pack shape in block and flow style', () => {
+        assert.deepEqual(parseYAML(PACK_YAML), PACK);
+    });
+
+    it('resolves plain scalars like the YAML core schema', () => {
+        assert.deepEqual(parseYAML('a: ~\nb: null\nc: true\nd: False\ne: 42\nf: -1.5e3\ng: 0x1F\nh: 1.2.3\ni: yes\nj:'), {
+            a: null, b: null, c: true, d: false, e: 42, f: -1500, g: 31, h: '1.2.3', i: 'yes', j: null
+        });
+    });
+
+    it('reads quoted scalars with their escapes', () => {
+        assert.deepEqual(parseYAML(`a: 'it''s # not a comment'\nb: "tab\\there \\u00e9 \\"q\\""\n"c d": 'x' # comment`), {
+            a: 'it\'s # not a comment',
+            b: 'tab\there é "q"',
+            'c d': 'x'
+        });
+    });
+
+    it('reads nested sequences and lists at the indentation of their key', () => {
+        assert.deepEqual(parseYAML('list:\n- a\n- - b\n  - c\n-\n  d: 1\nnext: [x, [y], {z: ~}]'), {
+            list: ['a', ['b', 'c'], { d: 1 }],
+            next: ['x', ['y'], { z: null }]
+        });
+    });
+
+    it('treats colons inside values as text', () => {
+        assert.deepEqual(parseYAML('url: https://example.com:8443/a\ntime: 12:30'), { url: 'https://example.com:8443/a', time: '12:30' });
+    });
+
+    it('reads an empty document as null', () => {
+        assert.equal(parseYAML('# nothing\n---\n'), null);
+    });
+
+    it('rejects what the subset leaves out, with the line', () => {
+        const cases = [
+            ['a: 1\n  b: 2', /line 2: unexpected indentation/],
+            ['a: 1\na: 2', /line 2: duplicate key "a"/],
+            ['a:\n\t- b', /line 2: tabs cannot be used/],
+            ['a: |\n  text', /line 1: block scalars/],
+            ['a: &x 1\nb: *x', /line 1: anchors and aliases/],
+            ['a: !!str 1', /line 1: tags are not supported/],
+            ['a: "open', /line 1: unterminated quoted string/],
+            ['a: [1, 2', /line 1: expected "," or "]"/],
+            ['a: 1\n---\nb: 2', /line 3: multiple documents/],
+            ['a: 1\n- b', /line 2: a list item cannot follow/],
+            ['just text\nmore', /line 2: unexpected "more"/]
+        ];
+        for (const [text, message] of cases) {
+            assert.throws(() => parseYAML(text), message, text);
+        }
+    });
+});
+
+describe('YAML mapping packs', () => {
+    it('load like the same pack in JSON', () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mapping-packs-'));
+        const filePath = path.join(dir, 'domain-mappings.yaml');
+        fs.writeFileSync(filePath, PACK_YAML);
+
+        try {
+            assert.deepEqual(loadMappingPack(filePath), compileMappingPack(PACK, filePath));
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    it('report YAML errors with the file and line', () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mapping-packs-'));
+        const filePath = path.join(dir, 'domain-mappings.yml');
+        fs.writeFileSync(filePath, 'patterns:\n  - wildcard: *.okta.com\n');
+
+        try {
+            assert.throws(() => loadMappingPack(filePath), new RegExp(`^Error: Invalid mapping pack ${filePath.replace(/[.\\]/g, '\\$&')}: line 2: anchors and aliases`));
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});